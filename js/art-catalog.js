@@ -0,0 +1,242 @@
+// art-catalog.js - Art catalog loaded from JSON (see art-catalog.schema.json), exact mesh matching
+
+// Catalog state
+let artCatalog = null; // { url, entries: [...], byId: Map, byMeshName: Map }
+let artCatalogReport = null; // Result of the last reportArtCatalogCoverage() call
+const artCatalogCache = new Map(); // url -> validated catalog (scenes often share one catalog)
+
+// Popup text for meshes without a catalog entry
+const UNKNOWN_ARTWORK = Object.freeze({
+    id: null,
+    title: "Untitled Artwork",
+    description: "Information about this piece is not available.",
+    artist: "Unknown",
+    year: "Unknown",
+    medium: "Unknown"
+});
+
+const ART_ENTRY_FIELDS = ['id', 'meshes', 'title', 'artist', 'year', 'medium', 'description', 'view'];
+
+function isVector3(value) {
+    return Array.isArray(value) && value.length === 3 && value.every(n => typeof n === 'number' && isFinite(n));
+}
+
+// Validate raw catalog JSON against the schema. Invalid entries are dropped and reported in errors.
+function validateArtCatalog(rawCatalog) {
+    const errors = [];
+    if (!rawCatalog || typeof rawCatalog !== 'object' || !Array.isArray(rawCatalog.artworks)) {
+        throw new Error("Catalog must be an object with an 'artworks' array");
+    }
+    if (rawCatalog.version !== undefined && rawCatalog.version !== 1) {
+        throw new Error(`Unsupported catalog version: ${rawCatalog.version}`);
+    }
+
+    const entries = [];
+    const seenIds = new Set();
+    const claimedMeshNames = new Map(); // mesh name -> entry id
+
+    rawCatalog.artworks.forEach((raw, index) => {
+        const label = raw && typeof raw.id === 'string' && raw.id ? `'${raw.id}'` : `#${index}`;
+        const entryErrors = [];
+
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            errors.push(`artworks[${index}]: must be an object`);
+            return;
+        }
+        if (typeof raw.id !== 'string' || !raw.id) entryErrors.push("'id' must be a non-empty string");
+        else if (seenIds.has(raw.id)) entryErrors.push(`duplicate id`);
+        if (typeof raw.title !== 'string' || !raw.title) entryErrors.push("'title' must be a non-empty string");
+        ['artist', 'medium', 'description'].forEach(field => {
+            if (raw[field] !== undefined && typeof raw[field] !== 'string') entryErrors.push(`'${field}' must be a string`);
+        });
+        if (raw.year !== undefined && typeof raw.year !== 'string' && !Number.isInteger(raw.year)) {
+            entryErrors.push("'year' must be a string or an integer");
+        }
+        if (raw.meshes !== undefined &&
+            (!Array.isArray(raw.meshes) || !raw.meshes.every(name => typeof name === 'string' && name))) {
+            entryErrors.push("'meshes' must be an array of non-empty strings");
+        }
+        if (raw.view !== undefined &&
+            (!raw.view || typeof raw.view !== 'object' || !isVector3(raw.view.position) || !isVector3(raw.view.target))) {
+            entryErrors.push("'view' must have 'position' and 'target' arrays of 3 numbers");
+        }
+        Object.keys(raw).forEach(field => {
+            if (!ART_ENTRY_FIELDS.includes(field)) entryErrors.push(`unknown field '${field}'`);
+        });
+
+        if (entryErrors.length > 0) {
+            errors.push(`artworks[${index}] ${label}: ${entryErrors.join(', ')}`);
+            return;
+        }
+
+        const meshes = raw.meshes ? raw.meshes.slice() : [raw.id];
+        meshes.forEach(name => {
+            if (claimedMeshNames.has(name)) {
+                errors.push(`artworks[${index}] ${label}: mesh '${name}' is already used by '${claimedMeshNames.get(name)}'`);
+            } else {
+                claimedMeshNames.set(name, raw.id);
+            }
+        });
+
+        seenIds.add(raw.id);
+        entries.push(Object.freeze({
+            id: raw.id,
+            meshes: Object.freeze(meshes),
+            title: raw.title,
+            artist: raw.artist ?? UNKNOWN_ARTWORK.artist,
+            year: raw.year !== undefined ? String(raw.year) : UNKNOWN_ARTWORK.year,
+            medium: raw.medium ?? UNKNOWN_ARTWORK.medium,
+            description: raw.description ?? UNKNOWN_ARTWORK.description,
+            // Curated "View" camera pose; null = computed from the mesh bounds
+            view: raw.view ? Object.freeze({ position: raw.view.position.slice(), target: raw.view.target.slice() }) : null
+        }));
+    });
+
+    const byId = new Map(entries.map(entry => [entry.id, entry]));
+    const byMeshName = new Map();
+    claimedMeshNames.forEach((id, name) => byMeshName.set(name, byId.get(id)));
+
+    return { entries, byId, byMeshName, errors };
+}
+
+// Load (or reuse) the catalog for a scene. Returns false if it is missing or invalid.
+async function loadArtCatalog(catalogUrl = CONFIG.ASSETS.ART_CATALOG) {
+    artCatalogReport = null;
+    if (!catalogUrl) {
+        artCatalog = null;
+        updateArtCatalogStatus();
+        return false;
+    }
+    if (artCatalogCache.has(catalogUrl)) {
+        artCatalog = artCatalogCache.get(catalogUrl);
+        return true;
+    }
+
+    try {
+        const response = await fetch(catalogUrl, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const validated = validateArtCatalog(await response.json());
+
+        if (validated.errors.length > 0) {
+            console.error(`Art catalog '${catalogUrl}' has ${validated.errors.length} schema error(s):\n  ${validated.errors.join('\n  ')}`);
+        }
+        artCatalog = { url: catalogUrl, ...validated };
+        artCatalogCache.set(catalogUrl, artCatalog);
+        console.log(`Art catalog loaded: ${artCatalog.entries.length} artwork(s) from ${catalogUrl}`);
+        return true;
+    } catch (error) {
+        console.error(`Art catalog '${catalogUrl}' could not be loaded:`, error);
+        artCatalog = null;
+        updateArtCatalogStatus();
+        return false;
+    }
+}
+
+// glTF extras end up in node.metadata.gltf.extras (Babylon's ExtrasAsMetadata extension)
+function getGltfArtId(node) {
+    const artId = node?.metadata?.gltf?.extras?.artId;
+    return typeof artId === 'string' && artId ? artId : null;
+}
+
+// Exact lookup: extras.artId first, then the mesh name, walking up the parents
+// (multi-material glTF meshes are split into "<name>_primitiveN" children of the named node)
+function findArtCatalogEntry(mesh) {
+    if (!artCatalog || !mesh) return null;
+
+    for (let node = mesh; node; node = node.parent) {
+        const artId = getGltfArtId(node);
+        if (artId && artCatalog.byId.has(artId)) return artCatalog.byId.get(artId);
+        if (artCatalog.byMeshName.has(node.name)) return artCatalog.byMeshName.get(node.name);
+    }
+    return null;
+}
+
+// Popup info for a mesh (catalog entry or the "Untitled" placeholder)
+function getArtInfo(mesh) {
+    return findArtCatalogEntry(mesh) || UNKNOWN_ARTWORK;
+}
+
+// Compare loaded art meshes with the catalog: meshes without entry, entries without mesh
+function reportArtCatalogCoverage(artMeshes) {
+    const matchedIds = new Set();
+    const unmatchedMeshes = [];
+
+    artMeshes.forEach(mesh => {
+        if (!mesh || mesh.name === "__root__" || mesh.getTotalVertices() === 0) return;
+        const entry = findArtCatalogEntry(mesh);
+        if (entry) {
+            matchedIds.add(entry.id);
+        } else {
+            unmatchedMeshes.push(mesh.name);
+        }
+    });
+
+    const entries = artCatalog ? artCatalog.entries : [];
+    artCatalogReport = {
+        catalog: artCatalog ? artCatalog.url : null,
+        matched: Array.from(matchedIds),
+        meshesWithoutEntry: unmatchedMeshes,
+        entriesWithoutMesh: entries.filter(entry => !matchedIds.has(entry.id)).map(entry => entry.id),
+        schemaErrors: artCatalog ? artCatalog.errors.slice() : []
+    };
+
+    if (artCatalogReport.meshesWithoutEntry.length > 0) {
+        console.warn(`Art meshes without a catalog entry (${artCatalogReport.meshesWithoutEntry.length}): ${artCatalogReport.meshesWithoutEntry.join(', ')}`);
+    }
+    if (artCatalogReport.entriesWithoutMesh.length > 0) {
+        console.warn(`Catalog entries without a mesh in this scene (${artCatalogReport.entriesWithoutMesh.length}): ${artCatalogReport.entriesWithoutMesh.join(', ')}`);
+    }
+
+    updateArtCatalogStatus();
+    return artCatalogReport;
+}
+
+function getArtCatalogReport() {
+    return artCatalogReport;
+}
+
+// Summary line in the Info panel (console output is muted in production, curators need to see this)
+function updateArtCatalogStatus() {
+    const statusText = document.getElementById('catalogStatus');
+    if (!statusText) return;
+
+    if (!artCatalog) {
+        statusText.textContent = CONFIG.ASSETS.ART_CATALOG ? "Catalog unavailable" : "No catalog";
+        statusText.title = "";
+        return;
+    }
+    if (!artCatalogReport) {
+        statusText.textContent = `${artCatalog.entries.length} artwork(s)`;
+        statusText.title = "";
+        return;
+    }
+
+    const { matched, meshesWithoutEntry, entriesWithoutMesh, schemaErrors } = artCatalogReport;
+    const problems = [];
+    if (meshesWithoutEntry.length) problems.push(`${meshesWithoutEntry.length} mesh(es) without entry`);
+    if (entriesWithoutMesh.length) problems.push(`${entriesWithoutMesh.length} entry(ies) without mesh`);
+    if (schemaErrors.length) problems.push(`${schemaErrors.length} schema error(s)`);
+    statusText.textContent = `${matched.length} matched` + (problems.length ? ` | ${problems.join(' | ')}` : '');
+
+    // Full lists in the tooltip
+    statusText.title = [
+        meshesWithoutEntry.length ? `Meshes without entry: ${meshesWithoutEntry.join(', ')}` : '',
+        entriesWithoutMesh.length ? `Entries without mesh: ${entriesWithoutMesh.join(', ')}` : '',
+        ...schemaErrors
+    ].filter(Boolean).join('\n');
+}
+
+// Expose necessary functions globally
+if (typeof window !== 'undefined') {
+    window.loadArtCatalog = loadArtCatalog; // Called by interaction.js
+    window.getArtInfo = getArtInfo;
+    window.reportArtCatalogCoverage = reportArtCatalogCoverage;
+    window.getArtCatalogReport = getArtCatalogReport;
+}
+
+// Export for non-browser use (schema validation)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { validateArtCatalog };
+}
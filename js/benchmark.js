@@ -0,0 +1,327 @@
+// benchmark.js - Scripted benchmark mode (?benchmark=...): flies a fixed camera path once per pixel-ratio
+// preset and reports frame-time percentiles, load time and memory. Frames are stepped, not timed
+// (scene.useConstantAnimationDeltaTime), so runs are repeatable and runBenchmark() also works on a NullEngine.
+//
+// ?benchmark or ?benchmark=default - built-in loop around the spawn point
+// ?benchmark=tour                  - the current gallery scene's tour stops
+// ?benchmark=<url>                 - a path file: [{ position, target }, ...] or { stops: [...] } (tour format)
+
+// Benchmark state (browser mode)
+let benchmarkReportElement = null;
+let lastBenchmarkReport = null;
+
+// Nearest-rank percentiles of a list of frame times (ms)
+function computeFrameTimeStats(frameTimes) {
+    if (frameTimes.length === 0) {
+        return { frames: 0, mean: null, min: null, max: null, p50: null, p95: null, p99: null };
+    }
+    const sorted = frameTimes.slice().sort((a, b) => a - b);
+    const percentile = p => sorted[Math.min(sorted.length - 1, Math.ceil(p / 100 * sorted.length) - 1)];
+    const round = value => Math.round(value * 100) / 100;
+    return {
+        frames: sorted.length,
+        mean: round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+        min: round(sorted[0]),
+        max: round(sorted[sorted.length - 1]),
+        p50: round(percentile(50)),
+        p95: round(percentile(95)),
+        p99: round(percentile(99))
+    };
+}
+
+// Closed loop around a point: the camera circles it looking outward, so every direction of the room gets drawn
+function buildDefaultBenchmarkPath(center, startYaw, settings = CONFIG.BENCHMARK) {
+    const poses = [];
+    const count = settings.DEFAULT_PATH_KEYFRAMES;
+    for (let i = 0; i < count; i++) {
+        const angle = startYaw + (i / count) * Math.PI * 2;
+        const direction = new BABYLON.Vector3(Math.sin(angle), 0, Math.cos(angle));
+        const position = center.add(direction.scale(settings.DEFAULT_PATH_RADIUS));
+        poses.push({ position, target: position.add(direction) });
+    }
+    return { poses, closed: true };
+}
+
+// Pose at t (0..1) along the path (Catmull-Rom through the keyframes, like tour segments)
+function sampleBenchmarkPath(path, t) {
+    const { poses, closed } = path;
+    if (poses.length === 1) return { position: poses[0].position.clone(), target: poses[0].target.clone() };
+
+    const segmentCount = closed ? poses.length : poses.length - 1;
+    const scaled = Math.min(Math.max(t, 0), 1) * segmentCount;
+    const segment = Math.min(Math.floor(scaled), segmentCount - 1);
+    const amount = scaled - segment;
+    const at = index => closed
+        ? poses[(index + poses.length) % poses.length]
+        : poses[Math.min(Math.max(index, 0), poses.length - 1)];
+
+    const p0 = at(segment - 1), p1 = at(segment), p2 = at(segment + 1), p3 = at(segment + 2);
+    return {
+        position: BABYLON.Vector3.CatmullRom(p0.position, p1.position, p2.position, p3.position, amount),
+        target: BABYLON.Vector3.CatmullRom(p0.target, p1.target, p2.target, p3.target, amount)
+    };
+}
+
+function getHeapMB() {
+    if (typeof performance !== 'undefined' && performance.memory) return performance.memory.usedJSHeapSize / 1048576;
+    if (typeof process !== 'undefined' && process.memoryUsage) return process.memoryUsage().heapUsed / 1048576;
+    return null;
+}
+
+// Fly the path once per preset and time every frame. Resolves with one result per preset.
+// options: path (required), presets [{ name, pixelRatio }], applyPreset(preset), framesPerPreset,
+//          warmupFrames, syncGpu (wait for the GPU each frame with a 1px readPixels), onProgress(fraction, preset)
+function runBenchmark(targetScene, options) {
+    const settings = CONFIG.BENCHMARK;
+    const targetEngine = targetScene.getEngine();
+    const benchmarkCamera = targetScene.activeCamera;
+    const {
+        path,
+        presets,
+        applyPreset = preset => targetEngine.setHardwareScalingLevel(1 / preset.pixelRatio),
+        framesPerPreset = settings.FRAMES_PER_PRESET,
+        warmupFrames = settings.WARMUP_FRAMES,
+        syncGpu = settings.SYNC_GPU,
+        onProgress = null
+    } = options;
+
+    return new Promise((resolve, reject) => {
+        const results = [];
+        const framesPerRun = warmupFrames + framesPerPreset;
+        const wasConstantDeltaTime = targetScene.useConstantAnimationDeltaTime;
+        let presetIndex = 0;
+        let frameIndex = 0;
+        let frameTimes = [];
+        let heapAtStart = null;
+
+        // Animations (and anything else using the scene's delta time) advance 16 ms per frame
+        targetScene.useConstantAnimationDeltaTime = true;
+
+        const finish = (error) => {
+            targetEngine.stopRenderLoop(step);
+            targetScene.useConstantAnimationDeltaTime = wasConstantDeltaTime;
+            if (error) reject(error); else resolve(results);
+        };
+
+        function step() {
+            try {
+                const preset = presets[presetIndex];
+                if (frameIndex === 0) {
+                    applyPreset(preset);
+                    frameTimes = [];
+                    heapAtStart = getHeapMB();
+                }
+
+                // Warm-up frames hold the first pose; measured frames cover the path from start to end
+                const measuredIndex = frameIndex - warmupFrames;
+                const t = measuredIndex <= 0 ? 0 : measuredIndex / Math.max(1, framesPerPreset - 1);
+                const pose = sampleBenchmarkPath(path, t);
+                benchmarkCamera.position.copyFrom(pose.position);
+                benchmarkCamera.setTarget(pose.target);
+
+                const start = performance.now();
+                targetScene.render();
+                if (syncGpu) targetEngine.readPixels(0, 0, 1, 1).catch(() => {});
+                if (measuredIndex >= 0) frameTimes.push(performance.now() - start);
+
+                frameIndex++;
+                if (onProgress) onProgress((presetIndex * framesPerRun + frameIndex) / (presets.length * framesPerRun), preset);
+                if (frameIndex < framesPerRun) return;
+
+                results.push({
+                    preset: preset.name,
+                    pixelRatio: preset.pixelRatio,
+                    renderWidth: targetEngine.getRenderWidth(),
+                    renderHeight: targetEngine.getRenderHeight(),
+                    ...computeFrameTimeStats(frameTimes),
+                    heapMBStart: heapAtStart,
+                    heapMBEnd: getHeapMB()
+                });
+                frameIndex = 0;
+                presetIndex++;
+                if (presetIndex >= presets.length) finish();
+            } catch (error) {
+                finish(error);
+            }
+        }
+
+        targetEngine.runRenderLoop(step);
+    });
+}
+
+// --- Browser mode ---
+
+// Path for the ?benchmark= value
+async function loadBenchmarkPath(source) {
+    if (!source || source === '1' || source === 'default') {
+        const forward = camera.getDirection(BABYLON.Axis.Z);
+        return buildDefaultBenchmarkPath(camera.position.clone(), Math.atan2(forward.x, forward.z));
+    }
+
+    const rawPath = source === 'tour'
+        ? await loadTourForScene(getActiveGalleryScene())
+        : await fetch(source, { cache: 'no-cache' }).then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status} while fetching ${source}`);
+            return response.json();
+        });
+    if (!rawPath) throw new Error("The current scene has no tour");
+
+    // Same format as tours (art-linked stops look at the artwork)
+    const tour = normalizeTour(rawPath, `Benchmark path '${source}'`);
+    return { poses: tour.stops.map(getTourStopPose), closed: false };
+}
+
+// Called by main.js after initialization; does nothing without ?benchmark in the URL
+async function initBenchmarkMode() {
+    const params = new URLSearchParams(location.search);
+    if (!params.has('benchmark') || !scene || !camera) return;
+
+    const source = params.get('benchmark');
+    const loadTimeMs = Math.round(performance.now()); // Navigation start -> app ready
+    console.log(`%cBenchmark mode%c (path: ${source || 'default'})`, "color: #e89f17; font-weight: bold;", "color: default;");
+
+    const presets = Object.entries(PIXEL_RATIO_PRESETS).map(([name, preset]) => ({ name, pixelRatio: preset.pixelRatio }));
+    const previousPixelRatio = window.currentPixelRatio;
+    const previousResolution = getResolutionState(); // Every preset run switches to manual resolution
+    engine.stopRenderLoop(optimizedRenderLoop);
+    showBenchmarkStatus("Preparing benchmark...");
+
+    try {
+        const path = await loadBenchmarkPath(source);
+        const heapMBBefore = getHeapMB();
+        let shownPercent = -1;
+        const results = await runBenchmark(scene, {
+            path,
+            presets,
+            applyPreset: preset => applyPixelRatioPreset(preset.name),
+            onProgress: (fraction, preset) => {
+                const percent = Math.floor(fraction * 100);
+                if (percent === shownPercent) return;
+                shownPercent = percent;
+                showBenchmarkStatus(`Running benchmark... ${percent}% (${preset.name})`);
+            }
+        });
+        lastBenchmarkReport = buildBenchmarkReport(source, path, results, loadTimeMs, heapMBBefore);
+        window.benchmarkReport = lastBenchmarkReport; // For automated runs (e.g. read by a headless browser)
+        console.table(results);
+        showBenchmarkReport(lastBenchmarkReport);
+        downloadBenchmarkReport();
+    } catch (error) {
+        console.error("Benchmark failed:", error);
+        cleanupBenchmark();
+        showError(`Benchmark failed: ${error.message || error}`);
+    } finally {
+        restoreResolutionMode(previousResolution, previousPixelRatio);
+        engine.runRenderLoop(optimizedRenderLoop);
+    }
+}
+
+// Put the resolution mode the user had before the run back (DRS, Target FPS or a manual preset)
+function restoreResolutionMode(state, pixelRatio) {
+    if (state.mode === 'dynamic') {
+        window.setPixelRatio(pixelRatio);
+        activateDynamicResolution();
+    } else if (state.mode === 'target-fps') {
+        window.setPixelRatio(pixelRatio); // Start from the ratio the controller had settled on
+        activateTargetFpsResolution(state.targetFps);
+    } else if (state.preset) {
+        applyPixelRatioPreset(state.preset);
+    } else {
+        window.setPixelRatio(pixelRatio);
+    }
+}
+
+function buildBenchmarkReport(source, path, results, loadTimeMs, heapMBBefore) {
+    const profile = typeof getDeviceProfile === 'function' ? getDeviceProfile() : null;
+    // Resource timing of the splat download (absent when it came from the offline cache)
+    const splatEntry = typeof currentSplatFile === 'string'
+        ? performance.getEntriesByType('resource').find(entry => entry.name.endsWith(currentSplatFile.replace(/^\.\//, '')))
+        : null;
+
+    return {
+        version: 1,
+        createdAt: new Date().toISOString(),
+        userAgent: navigator.userAgent,
+        device: profile && { tier: profile.tier, gpu: profile.webgl.renderer, deviceMemoryGB: profile.deviceMemoryGB, cpuCores: profile.cpuCores },
+        splatFile: typeof currentSplatFile === 'string' ? currentSplatFile : null,
+        splatQuality: typeof getSplatQuality === 'function' ? getSplatQuality() : null,
+        path: { source: source || 'default', keyframes: path.poses.length, closed: path.closed },
+        settings: { framesPerPreset: CONFIG.BENCHMARK.FRAMES_PER_PRESET, warmupFrames: CONFIG.BENCHMARK.WARMUP_FRAMES, syncGpu: CONFIG.BENCHMARK.SYNC_GPU },
+        loadTimeMs,
+        splatDownloadMs: splatEntry ? Math.round(splatEntry.duration) : null,
+        heapMBBefore,
+        results
+    };
+}
+
+function downloadBenchmarkReport() {
+    if (!lastBenchmarkReport) return;
+    downloadFile(JSON.stringify(lastBenchmarkReport, null, 2),
+        `benchmark-${lastBenchmarkReport.createdAt.replace(/[:.]/g, '-')}.json`, 'application/json');
+}
+
+// Small panel in the corner (a full-screen overlay would be part of what gets measured)
+function getBenchmarkReportElement() {
+    if (!benchmarkReportElement) {
+        benchmarkReportElement = document.createElement('div');
+        benchmarkReportElement.id = 'benchmarkReport';
+        document.body.appendChild(benchmarkReportElement);
+    }
+    return benchmarkReportElement;
+}
+
+function showBenchmarkStatus(message) {
+    getBenchmarkReportElement().textContent = message;
+}
+
+// Results table
+function showBenchmarkReport(report) {
+    EventManager.removeCategory('benchmark');
+
+    const format = value => value === null ? 'n/a' : value.toFixed(1);
+    const element = getBenchmarkReportElement();
+    element.innerHTML = `
+        <h3><i class="fas fa-stopwatch"></i> Benchmark</h3>
+        <table>
+            <thead><tr><th>Preset</th><th>Size</th><th>p50</th><th>p95</th><th>p99</th><th>Heap</th></tr></thead>
+            <tbody>
+                ${report.results.map(result => `<tr>
+                    <td>${result.preset}</td>
+                    <td>${result.renderWidth}x${result.renderHeight}</td>
+                    <td>${format(result.p50)}</td>
+                    <td>${format(result.p95)}</td>
+                    <td>${format(result.p99)}</td>
+                    <td>${result.heapMBEnd === null ? 'n/a' : `${result.heapMBEnd.toFixed(0)} MB`}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+        <div class="benchmark-summary">Frame times in ms. Load: ${(report.loadTimeMs / 1000).toFixed(1)} s${report.splatDownloadMs !== null ? ` (splat download ${(report.splatDownloadMs / 1000).toFixed(1)} s)` : ''}. Path: <span class="benchmark-path"></span>.</div>
+        <div class="button-group">
+            <button class="benchmark-download"><i class="fas fa-download"></i> Download JSON</button>
+            <button class="benchmark-close">Close</button>
+        </div>
+    `;
+    // The path source comes from the ?benchmark= URL parameter, so it must not be parsed as HTML
+    element.querySelector('.benchmark-path').textContent = report.path.source;
+
+    EventManager.addListener('benchmark', element.querySelector('.benchmark-download'), 'click', downloadBenchmarkReport);
+    EventManager.addListener('benchmark', element.querySelector('.benchmark-close'), 'click', cleanupBenchmark);
+}
+
+function cleanupBenchmark() {
+    EventManager.removeCategory('benchmark');
+    if (benchmarkReportElement) benchmarkReportElement.remove();
+    benchmarkReportElement = null;
+}
+
+// Expose necessary functions globally
+if (typeof window !== 'undefined') {
+    window.initBenchmarkMode = initBenchmarkMode; // Called by main.js
+    window.cleanupBenchmark = cleanupBenchmark;
+    window.runBenchmark = runBenchmark;
+}
+
+// Export for headless runs (NullEngine in CI, see README)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { runBenchmark, computeFrameTimeStats, buildDefaultBenchmarkPath, sampleBenchmarkPath };
+}
@@ -0,0 +1,374 @@
+// bookmarks.js - Saved viewpoints (IndexedDB) with thumbnails, reorder, rename, import/export
+
+// Bookmark state
+let bookmarkDatabase = null; // Promise<IDBDatabase>, opened lazily
+let bookmarkList = []; // Sorted by order, mirrors the object store
+
+// Bookmark: { id, name, scene, position: [x,y,z], target: [x,y,z], fov (degrees), thumbnail (data URL), created, order }
+const BOOKMARK_EXPORT_VERSION = 1;
+
+// Validate bookmarks from an export file. Invalid items are skipped and reported in errors.
+function normalizeBookmarkImport(rawExport) {
+    const rawItems = Array.isArray(rawExport) ? rawExport : rawExport?.bookmarks;
+    if (!Array.isArray(rawItems)) {
+        throw new Error("File must contain a 'bookmarks' array");
+    }
+
+    const isVector3 = value => Array.isArray(value) && value.length === 3 && value.every(n => typeof n === 'number' && isFinite(n));
+    const bookmarks = [];
+    const errors = [];
+    rawItems.forEach((raw, index) => {
+        if (!raw || !isVector3(raw.position) || !isVector3(raw.target)) {
+            errors.push(`bookmarks[${index}]: needs 'position' and 'target' arrays of 3 numbers`);
+            return;
+        }
+        bookmarks.push({
+            name: typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : `Bookmark ${index + 1}`,
+            scene: typeof raw.scene === 'string' && raw.scene ? raw.scene : null,
+            position: raw.position.slice(),
+            target: raw.target.slice(),
+            fov: typeof raw.fov === 'number' && raw.fov > 0 && raw.fov < 180 ? raw.fov : null,
+            thumbnail: typeof raw.thumbnail === 'string' && raw.thumbnail.startsWith('data:image/') ? raw.thumbnail : null,
+            created: typeof raw.created === 'number' ? raw.created : Date.now()
+        });
+    });
+    return { bookmarks, errors };
+}
+
+// --- IndexedDB helpers ---
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function openBookmarkDatabase() {
+    if (!bookmarkDatabase) {
+        bookmarkDatabase = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error("IndexedDB is not available in this browser"));
+                return;
+            }
+            const request = indexedDB.open(CONFIG.BOOKMARKS.DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(CONFIG.BOOKMARKS.STORE_NAME, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Allow a retry after a failed open (e.g. storage blocked in private windows)
+        bookmarkDatabase.catch(() => { bookmarkDatabase = null; });
+    }
+    return bookmarkDatabase;
+}
+
+async function getBookmarkStore(mode) {
+    const database = await openBookmarkDatabase();
+    return database.transaction(CONFIG.BOOKMARKS.STORE_NAME, mode).objectStore(CONFIG.BOOKMARKS.STORE_NAME);
+}
+
+async function loadBookmarks() {
+    const store = await getBookmarkStore('readonly');
+    bookmarkList = (await requestToPromise(store.getAll())).sort((a, b) => a.order - b.order);
+    return bookmarkList;
+}
+
+async function putBookmarks(bookmarks) {
+    const store = await getBookmarkStore('readwrite');
+    await Promise.all(bookmarks.map(bookmark => requestToPromise(store.put(bookmark))));
+}
+
+function createBookmarkId() {
+    return `bm-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// --- Bookmark operations ---
+
+// Small JPEG of the current frame (rendered through the camera, so it works without preserveDrawingBuffer)
+async function captureBookmarkThumbnail() {
+    try {
+        return await BABYLON.Tools.CreateScreenshotAsync(engine, camera,
+            { width: CONFIG.BOOKMARKS.THUMBNAIL_WIDTH, height: CONFIG.BOOKMARKS.THUMBNAIL_HEIGHT }, 'image/jpeg', 0.7);
+    } catch (error) {
+        console.warn("Bookmark thumbnail could not be captured:", error);
+        return null;
+    }
+}
+
+// Save the current view as a new bookmark (appended at the end of the list)
+async function addBookmarkForCurrentView() {
+    if (!camera) return null;
+
+    const entry = (typeof getActiveGalleryScene === 'function') ? getActiveGalleryScene() : null;
+    const bookmark = {
+        id: createBookmarkId(),
+        name: `View ${bookmarkList.length + 1}`,
+        scene: entry ? entry.id : null,
+        position: camera.position.asArray(),
+        target: camera.getTarget().asArray(),
+        fov: BABYLON.Tools.ToDegrees(camera.fov),
+        thumbnail: await captureBookmarkThumbnail(),
+        created: Date.now(),
+        order: bookmarkList.length ? bookmarkList[bookmarkList.length - 1].order + 1 : 0
+    };
+
+    try {
+        await putBookmarks([bookmark]);
+    } catch (error) {
+        console.error("Bookmark could not be saved:", error);
+        showError(`Failed to save bookmark: ${error.message || error}`);
+        return null;
+    }
+    await refreshBookmarksPanel();
+    return bookmark;
+}
+
+async function renameBookmark(id, name) {
+    const bookmark = bookmarkList.find(item => item.id === id);
+    if (!bookmark || !name || !name.trim()) return false;
+    bookmark.name = name.trim();
+    try {
+        await putBookmarks([bookmark]);
+    } catch (error) {
+        reportBookmarkStorageError("rename bookmark", error);
+        await refreshBookmarksPanel(); // Back to the stored name
+        return false;
+    }
+    await refreshBookmarksPanel();
+    return true;
+}
+
+async function deleteBookmark(id) {
+    try {
+        const store = await getBookmarkStore('readwrite');
+        await requestToPromise(store.delete(id));
+    } catch (error) {
+        reportBookmarkStorageError("delete bookmark", error);
+        return false;
+    }
+    await refreshBookmarksPanel();
+    return true;
+}
+
+// Move a bookmark up (-1) or down (+1) by swapping order with its neighbour
+async function moveBookmark(id, direction) {
+    const index = bookmarkList.findIndex(item => item.id === id);
+    const neighbour = bookmarkList[index + direction];
+    if (index === -1 || !neighbour) return false;
+
+    const bookmark = bookmarkList[index];
+    [bookmark.order, neighbour.order] = [neighbour.order, bookmark.order];
+    try {
+        await putBookmarks([bookmark, neighbour]);
+    } catch (error) {
+        reportBookmarkStorageError("move bookmark", error);
+        await refreshBookmarksPanel(); // Back to the stored order
+        return false;
+    }
+    await refreshBookmarksPanel();
+    return true;
+}
+
+// IndexedDB failures (quota, blocked storage) are shown to the user instead of becoming unhandled rejections
+function reportBookmarkStorageError(action, error) {
+    console.error(`Failed to ${action}:`, error);
+    showError(`Failed to ${action}: ${error.message || error}`);
+}
+
+// Fly to a bookmark (switching scenes first if it was saved in another room)
+async function travelToBookmark(bookmark) {
+    if (!camera || !bookmark) return false;
+
+    const entry = (typeof getActiveGalleryScene === 'function') ? getActiveGalleryScene() : null;
+    if (bookmark.scene && entry && bookmark.scene !== entry.id) {
+        if (typeof switchGalleryScene !== 'function' || !(await switchGalleryScene(bookmark.scene))) {
+            showError(`Scene '${bookmark.scene}' of this bookmark is not available.`);
+            return false;
+        }
+    }
+    if (typeof exitTour === 'function') exitTour();
+
+    const position = BABYLON.Vector3.FromArray(bookmark.position);
+    const target = BABYLON.Vector3.FromArray(bookmark.target);
+    return flyCameraTo(position, target, () => {
+        if (bookmark.fov) camera.fov = BABYLON.Tools.ToRadians(bookmark.fov);
+    });
+}
+
+// Download all bookmarks (with thumbnails) as a JSON file
+function exportBookmarks() {
+    const data = {
+        version: BOOKMARK_EXPORT_VERSION,
+        bookmarks: bookmarkList.map(({ name, scene, position, target, fov, thumbnail, created }) =>
+            ({ name, scene, position, target, fov, thumbnail, created }))
+    };
+    downloadFile(JSON.stringify(data, null, 2), `bookmarks-${new Date().toISOString().slice(0, 10)}.json`, 'application/json');
+}
+
+// Append bookmarks from an exported file
+async function importBookmarks(file) {
+    try {
+        const { bookmarks, errors } = normalizeBookmarkImport(JSON.parse(await file.text()));
+        if (errors.length > 0) {
+            console.warn(`Bookmark import skipped ${errors.length} item(s):\n  ${errors.join('\n  ')}`);
+        }
+
+        let order = bookmarkList.length ? bookmarkList[bookmarkList.length - 1].order + 1 : 0;
+        await putBookmarks(bookmarks.map(bookmark => ({ ...bookmark, id: createBookmarkId(), order: order++ })));
+        await refreshBookmarksPanel();
+        console.log(`Imported ${bookmarks.length} bookmark(s) from ${file.name}.`);
+        return bookmarks.length;
+    } catch (error) {
+        console.error("Bookmark import failed:", error);
+        showError(`Failed to import bookmarks: ${error.message || error}`);
+        return 0;
+    }
+}
+
+// --- Panel ---
+
+// Reload from IndexedDB and rebuild the list
+async function refreshBookmarksPanel() {
+    const listElement = document.querySelector('#bookmarksPanel .bookmark-list');
+    if (!listElement) return;
+
+    try {
+        await loadBookmarks();
+    } catch (error) {
+        console.error("Bookmarks could not be loaded:", error);
+        listElement.innerHTML = '<div class="bookmark-empty">Bookmarks are not available (storage blocked).</div>';
+        return;
+    }
+
+    EventManager.removeCategory('bookmark-items');
+    listElement.innerHTML = '';
+    if (bookmarkList.length === 0) {
+        listElement.innerHTML = '<div class="bookmark-empty">No saved views yet.</div>';
+        return;
+    }
+
+    const activeSceneId = (typeof getActiveGalleryScene === 'function') ? getActiveGalleryScene()?.id : null;
+    bookmarkList.forEach((bookmark, index) => {
+        const row = document.createElement('div');
+        row.className = 'bookmark-row';
+
+        const travelButton = document.createElement('button');
+        travelButton.className = 'bookmark-travel';
+        travelButton.title = `Go to "${bookmark.name}"`;
+        if (bookmark.thumbnail) {
+            const image = document.createElement('img');
+            image.src = bookmark.thumbnail;
+            image.alt = '';
+            travelButton.appendChild(image);
+        }
+        const label = document.createElement('span');
+        label.className = 'bookmark-name';
+        label.textContent = bookmark.name;
+        travelButton.appendChild(label);
+        if (bookmark.scene && bookmark.scene !== activeSceneId) {
+            const sceneLabel = document.createElement('span');
+            sceneLabel.className = 'bookmark-scene';
+            sceneLabel.textContent = bookmark.scene;
+            travelButton.appendChild(sceneLabel);
+        }
+        row.appendChild(travelButton);
+
+        const actions = [
+            ['fa-arrow-up', 'Move up', index === 0, () => moveBookmark(bookmark.id, -1)],
+            ['fa-arrow-down', 'Move down', index === bookmarkList.length - 1, () => moveBookmark(bookmark.id, 1)],
+            ['fa-pen', 'Rename', false, () => {
+                const name = window.prompt("Bookmark name:", bookmark.name);
+                if (name !== null) renameBookmark(bookmark.id, name);
+            }],
+            ['fa-trash', 'Delete', false, () => {
+                if (window.confirm(`Delete bookmark "${bookmark.name}"?`)) deleteBookmark(bookmark.id);
+            }]
+        ];
+        actions.forEach(([icon, title, disabled, action]) => {
+            const button = document.createElement('button');
+            button.className = 'bookmark-action';
+            button.title = title;
+            button.disabled = disabled;
+            button.innerHTML = `<i class="fas ${icon}"></i>`;
+            EventManager.addListener('bookmark-items', button, 'click', (e) => {
+                e.preventDefault(); e.stopPropagation();
+                action();
+            });
+            row.appendChild(button);
+        });
+
+        EventManager.addListener('bookmark-items', travelButton, 'click', (e) => {
+            e.preventDefault(); e.stopPropagation();
+            travelToBookmark(bookmark);
+        });
+        listElement.appendChild(row);
+    });
+}
+
+// Wire the panel (called by main.js after initUI)
+function initBookmarks() {
+    const panel = document.getElementById('bookmarksPanel');
+    const toggle = document.getElementById('toggleBookmarks');
+    if (!panel || !toggle) {
+        console.warn("Bookmarks panel not found, bookmarks disabled.");
+        return;
+    }
+
+    EventManager.removeCategory('bookmarks');
+    EventManager.addListener('bookmarks', toggle, 'click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        togglePanel('bookmarksPanel', 'toggleBookmarks');
+        if (panel.classList.contains('active')) refreshBookmarksPanel();
+    });
+
+    const addButton = panel.querySelector('#addBookmark');
+    const exportButton = panel.querySelector('#exportBookmarks');
+    const importButton = panel.querySelector('#importBookmarks');
+    const importInput = panel.querySelector('#importBookmarksFile');
+
+    if (addButton) {
+        EventManager.addListener('bookmarks', addButton, 'click', (e) => {
+            e.preventDefault(); e.stopPropagation();
+            addBookmarkForCurrentView();
+        });
+    }
+    if (exportButton) {
+        EventManager.addListener('bookmarks', exportButton, 'click', (e) => {
+            e.preventDefault(); e.stopPropagation();
+            exportBookmarks();
+        });
+    }
+    if (importButton && importInput) {
+        EventManager.addListener('bookmarks', importButton, 'click', (e) => {
+            e.preventDefault(); e.stopPropagation();
+            importInput.click();
+        });
+        EventManager.addListener('bookmarks', importInput, 'change', async () => {
+            if (importInput.files.length > 0) await importBookmarks(importInput.files[0]);
+            importInput.value = ''; // Allow importing the same file again
+        });
+    }
+
+    refreshBookmarksPanel();
+}
+
+function cleanupBookmarks() {
+    EventManager.removeCategory('bookmarks');
+    EventManager.removeCategory('bookmark-items');
+}
+
+// Expose necessary functions globally
+if (typeof window !== 'undefined') {
+    window.initBookmarks = initBookmarks; // Called by main.js
+    window.addBookmarkForCurrentView = addBookmarkForCurrentView;
+    window.travelToBookmark = travelToBookmark;
+    window.cleanupBookmarks = cleanupBookmarks;
+}
+
+// Export for non-browser use (import validation)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { normalizeBookmarkImport };
+}
@@ -0,0 +1,267 @@
+// camera-flight.js - Smooth, collider-aware camera flights ("View" an artwork, Esc to return)
+
+// Flight state
+let cameraFlight = null; // { curve: [p0, control, p2], fromTarget, toTarget, startTime, duration, onDone }
+let cameraFlightObserver = null;
+let flightReturnPose = null; // { position, target, arrival } - where the visitor was before the first "View"
+let flightFadeElement = null;
+
+// OPTIMIZATION: Reusable ray for line-of-sight checks
+const _flightRay = new BABYLON.Ray(BABYLON.Vector3.Zero(), new BABYLON.Vector3(0, 0, 1), 1);
+
+function isCameraFlightActive() {
+    return cameraFlight !== null;
+}
+
+// Distance from `from` towards `to` that is free of collider geometry (Infinity if fully clear).
+// anyHit: stop at the first triangle found (enough for yes/no checks, not for the nearest distance)
+function getClearDistance(from, to, anyHit = false) {
+    const direction = to.subtract(from);
+    const length = direction.length();
+    if (length < 0.001 || typeof isColliderMesh !== 'function') return Infinity;
+
+    _flightRay.origin.copyFrom(from);
+    _flightRay.direction.copyFrom(direction.scaleInPlace(1 / length));
+    _flightRay.length = length;
+    const hit = scene.pickWithRay(_flightRay, isColliderMesh, anyHit);
+    return hit && hit.hit ? hit.distance : Infinity;
+}
+
+// Quadratic Bezier point
+function getCurvePoint(curve, t) {
+    const [p0, c, p2] = curve;
+    const u = 1 - t;
+    return p0.scale(u * u).addInPlace(c.scale(2 * u * t)).addInPlace(p2.scale(t * t));
+}
+
+// Sample the curve and make sure no segment passes through the collider
+function isCurveClear(curve) {
+    const samples = CONFIG.FLY_TO.PATH_SAMPLES;
+    let previous = curve[0];
+    for (let i = 1; i <= samples; i++) {
+        const point = getCurvePoint(curve, i / samples);
+        if (getClearDistance(previous, point, true) !== Infinity) return false;
+        previous = point;
+    }
+    return true;
+}
+
+// Straight line if possible, otherwise bend around the obstacle through a side waypoint.
+// Returns null when no clear path is found (caller then cuts instead of flying through walls).
+function planFlightCurve(from, to) {
+    const straight = [from, BABYLON.Vector3.Center(from, to), to];
+    if (isCurveClear(straight)) return straight;
+
+    const travel = to.subtract(from);
+    const side = BABYLON.Vector3.Cross(travel, BABYLON.Vector3.Up()).normalize();
+    const midpoint = BABYLON.Vector3.Center(from, to);
+
+    for (const offset of CONFIG.FLY_TO.DETOUR_OFFSETS) {
+        for (const sign of [1, -1]) {
+            const waypoint = midpoint.add(side.scale(offset * sign));
+            // Control point that makes the curve pass through the waypoint at t = 0.5
+            const control = waypoint.scale(2).subtractInPlace(midpoint);
+            const curve = [from, control, to];
+            if (isCurveClear(curve)) return curve;
+        }
+    }
+    return null;
+}
+
+// Combined world bounding box of a set of meshes
+function getMeshesBounds(meshes) {
+    const min = new BABYLON.Vector3(Infinity, Infinity, Infinity);
+    const max = new BABYLON.Vector3(-Infinity, -Infinity, -Infinity);
+    meshes.forEach(mesh => {
+        if (!mesh || mesh.isDisposed() || mesh.getTotalVertices() === 0) return;
+        const box = mesh.getBoundingInfo().boundingBox;
+        min.minimizeInPlace(box.minimumWorld);
+        max.maximizeInPlace(box.maximumWorld);
+    });
+    return isFinite(min.x) ? { min, max } : null;
+}
+
+// Automatic viewpoint: in front of the piece (on the visitor's side), far enough to frame its bounding box,
+// at the current eye height, and not behind a wall
+function computeArtworkViewpoint(meshes) {
+    const bounds = getMeshesBounds(meshes);
+    if (!bounds) return null;
+
+    const center = BABYLON.Vector3.Center(bounds.min, bounds.max);
+    const radius = bounds.max.subtract(bounds.min).length() / 2;
+    const distance = Math.min(CONFIG.FLY_TO.MAX_DISTANCE, Math.max(CONFIG.FLY_TO.MIN_DISTANCE,
+        radius * CONFIG.FLY_TO.FRAMING_MARGIN / Math.tan(camera.fov / 2)));
+    const eyeY = camera.position.y;
+
+    // Approach from where the visitor is standing
+    const approach = camera.position.subtract(center);
+    approach.y = 0;
+    if (approach.lengthSquared() < 0.0001) {
+        approach.copyFrom(camera.getDirection(BABYLON.Axis.Z).scale(-1));
+        approach.y = 0;
+    }
+    approach.normalize();
+
+    const clearance = CONFIG.COLLISION.ELLIPSOID[0] + 0.1;
+    let best = null;
+    for (const angle of CONFIG.FLY_TO.CANDIDATE_ANGLES) {
+        const radians = BABYLON.Tools.ToRadians(angle);
+        const direction = new BABYLON.Vector3(
+            approach.x * Math.cos(radians) - approach.z * Math.sin(radians),
+            0,
+            approach.x * Math.sin(radians) + approach.z * Math.cos(radians)
+        );
+        const lookFrom = new BABYLON.Vector3(center.x, eyeY, center.z);
+        const candidate = lookFrom.add(direction.scale(distance));
+
+        // Pull the viewpoint in front of any wall between the piece and the candidate
+        const clear = getClearDistance(lookFrom, candidate);
+        const usable = clear === Infinity ? distance : clear - clearance;
+        if (usable >= distance * 0.8) {
+            return { position: lookFrom.add(direction.scale(usable)), target: center };
+        }
+        if (usable >= CONFIG.FLY_TO.MIN_DISTANCE && (!best || usable > best.usable)) {
+            best = { usable, position: lookFrom.add(direction.scale(usable)), target: center };
+        }
+    }
+    return best ? { position: best.position, target: best.target } : null;
+}
+
+// Fly the camera to position, looking at target
+function flyCameraTo(position, target, onDone = null) {
+    if (!camera || !scene) return false;
+    cancelCameraFlight();
+
+    const from = camera.position.clone();
+    const fromTarget = camera.getTarget().clone();
+    const curve = planFlightCurve(from, position);
+
+    if (!curve) {
+        // No clear path: fade out, cut, fade in (never show the camera passing through a wall)
+        fadeFlightTransition(() => {
+            camera.position.copyFrom(position);
+            camera.setTarget(target);
+            finishCameraFlight(onDone);
+        });
+        return true;
+    }
+
+    const distance = BABYLON.Vector3.Distance(from, position);
+    cameraFlight = {
+        curve,
+        fromTarget,
+        toTarget: target.clone(),
+        startTime: performance.now(),
+        duration: Math.min(CONFIG.FLY_TO.MAX_DURATION_MS,
+            Math.max(CONFIG.FLY_TO.MIN_DURATION_MS, distance / CONFIG.FLY_TO.SPEED * 1000)),
+        onDone
+    };
+    cameraFlightObserver = scene.onBeforeRenderObservable.add(updateCameraFlight);
+    return true;
+}
+
+function updateCameraFlight() {
+    if (!cameraFlight || !camera) return;
+
+    const progress = Math.min(1, (performance.now() - cameraFlight.startTime) / cameraFlight.duration);
+    const eased = progress * progress * (3 - 2 * progress); // Smoothstep: ease in and out
+
+    // Ignore leftover keyboard/joystick motion while flying
+    camera.cameraDirection.set(0, 0, 0);
+    camera.cameraRotation.set(0, 0);
+
+    camera.position.copyFrom(getCurvePoint(cameraFlight.curve, eased));
+    camera.setTarget(BABYLON.Vector3.Lerp(cameraFlight.fromTarget, cameraFlight.toTarget, eased));
+
+    if (progress >= 1) {
+        const onDone = cameraFlight.onDone;
+        cancelCameraFlight();
+        finishCameraFlight(onDone);
+    }
+}
+
+function finishCameraFlight(onDone) {
+    // Ground following starts fresh from the new position
+    if (typeof resetGroundFollow === 'function') resetGroundFollow();
+    if (onDone) onDone();
+}
+
+function cancelCameraFlight() {
+    if (cameraFlightObserver && scene) {
+        scene.onBeforeRenderObservable.remove(cameraFlightObserver);
+    }
+    cameraFlightObserver = null;
+    cameraFlight = null;
+}
+
+// Short black fade used when no collider-free path exists
+function fadeFlightTransition(onMidpoint) {
+    if (!flightFadeElement) {
+        flightFadeElement = document.createElement('div');
+        flightFadeElement.id = 'flightFade';
+        document.body.appendChild(flightFadeElement);
+    }
+    flightFadeElement.style.transitionDuration = `${CONFIG.FLY_TO.FADE_MS}ms`;
+    flightFadeElement.classList.add('active');
+    setTimeout(() => {
+        onMidpoint();
+        flightFadeElement.classList.remove('active');
+    }, CONFIG.FLY_TO.FADE_MS);
+}
+
+// "View" button: fly to the catalog's curated viewpoint, or compute one from the piece's bounds
+function flyToArtwork(mesh) {
+    if (!CONFIG.FLY_TO.ENABLED || !mesh || !camera) return false;
+
+    const catalogEntry = (typeof findArtCatalogEntry === 'function') ? findArtCatalogEntry(mesh) : null;
+    let view = null;
+    if (catalogEntry && catalogEntry.view) {
+        view = {
+            position: BABYLON.Vector3.FromArray(catalogEntry.view.position),
+            target: BABYLON.Vector3.FromArray(catalogEntry.view.target)
+        };
+    } else {
+        const pieceMeshes = (typeof getArtPieceMeshes === 'function') ? getArtPieceMeshes(mesh) : [mesh];
+        view = computeArtworkViewpoint(pieceMeshes);
+    }
+    if (!view) {
+        console.warn(`flyToArtwork: No viewpoint found for '${mesh.name}'.`);
+        return false;
+    }
+
+    // Remember where the visitor came from (only for the first of several "View" clicks)
+    if (!flightReturnPose) {
+        flightReturnPose = { position: camera.position.clone(), target: camera.getTarget().clone(), arrival: null };
+    }
+    return flyCameraTo(view.position, view.target, () => {
+        if (flightReturnPose) flightReturnPose.arrival = camera.position.clone();
+    });
+}
+
+// Esc: fly back to where the visitor was before "View". Returns true if a return flight started.
+function returnFromArtworkView() {
+    if (!flightReturnPose || !camera) return false;
+
+    const pose = flightReturnPose;
+    flightReturnPose = null;
+
+    // Visitor walked away from the viewpoint since - returning would be surprising
+    const arrival = pose.arrival || camera.position;
+    if (!isCameraFlightActive() && BABYLON.Vector3.Distance(arrival, camera.position) > CONFIG.FLY_TO.RETURN_MAX_WANDER) {
+        return false;
+    }
+    return flyCameraTo(pose.position, pose.target);
+}
+
+// Forget flights and return points (scene switch, spawn)
+function resetCameraFlight() {
+    cancelCameraFlight();
+    flightReturnPose = null;
+}
+
+// Expose necessary functions globally
+window.isCameraFlightActive = isCameraFlightActive; // Used by main.js (pauses ground following)
+window.flyCameraTo = flyCameraTo;
+window.flyToArtwork = flyToArtwork; // Used by the popup "View" button
+window.returnFromArtworkView = returnFromArtworkView; // Esc handler in main.js
+window.resetCameraFlight = resetCameraFlight;
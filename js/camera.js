@@ -1,9 +1,5 @@
 // camera.js - Camera controls and configuration
 
-const _tempVec3A = new BABYLON.Vector3();
-const _tempVec3B = new BABYLON.Vector3();
-const _tempVec3C = new BABYLON.Vector3();
-
 // Initialize the camera
 function initCamera() {
     if (!scene) {
@@ -11,9 +7,10 @@ function initCamera() {
         return;
     }
 
-    // Create and position camera
-    const [x, y, z] = CONFIG.CAMERA.INITIAL_POSITION;
-    const [targetX, targetY, targetZ] = CONFIG.CAMERA.INITIAL_TARGET;
+    // Create and position camera (spawn point of the active gallery scene, if any)
+    const spawn = (typeof getActiveGalleryScene === 'function') ? getActiveGalleryScene()?.spawn : null;
+    const [x, y, z] = spawn?.position || CONFIG.CAMERA.INITIAL_POSITION;
+    const [targetX, targetY, targetZ] = spawn?.target || CONFIG.CAMERA.INITIAL_TARGET;
     
     camera = new BABYLON.FreeCamera("mainCamera", new BABYLON.Vector3(x, y, z), scene);
     camera.setTarget(new BABYLON.Vector3(targetX, targetY, targetZ));
@@ -24,13 +21,9 @@ function initCamera() {
     camera.speed = CONFIG.CAMERA.SPEED;
     camera.angularSensibility = CONFIG.CAMERA.ANGULAR_SENSITIVITY;
     
-    // Key mappings for movement
-    camera.keysUp = [87, 38];    // W or Up Arrow
-    camera.keysDown = [83, 40];  // S or Down Arrow
-    camera.keysLeft = [65, 37];  // A or Left Arrow
-    camera.keysRight = [68, 39]; // D or Right Arrow
+    // Keyboard movement is handled by input-actions.js (same speed model as joystick and gamepad)
     
-    // Physics settings
+    // Physics settings (gravity/ground following is handled by ground.js, not Babylon)
     camera.applyGravity = false;
     camera.minZ = CONFIG.CAMERA.MIN_Z;
     camera.inertia = CONFIG.CAMERA.INERTIA;
@@ -43,6 +36,13 @@ function initCamera() {
     if (!camera.rotationQuaternion) {
         camera.rotationQuaternion = BABYLON.Quaternion.FromEulerVector(camera.rotation);
    }
+
+    // Opened from a shared view link: start at the linked pose instead of the spawn point
+    const linkedView = (typeof getInitialLinkedView === 'function') ? getInitialLinkedView() : null;
+    const activeSceneId = (typeof getActiveGalleryScene === 'function') ? getActiveGalleryScene()?.id : null;
+    if (linkedView && (!linkedView.scene || linkedView.scene === activeSceneId)) {
+        applyLinkedCameraPose(linkedView);
+    }
    
    console.log("initCamera completed. Camera object:", camera);
 }
@@ -64,7 +64,10 @@ function configureCameraCollision() {
     camera.ellipsoid = new BABYLON.Vector3(ellipX, ellipY, ellipZ);
 
     const [offsetX, offsetY, offsetZ] = CONFIG.COLLISION.ELLIPSOID_OFFSET;
-    camera.ellipsoidOffset = new BABYLON.Vector3(offsetX, offsetY, offsetZ);
+    // With ground following, lift the ellipsoid by the step height: risers below it are
+    // climbed by ground.js instead of blocking horizontal movement
+    const stepLift = CONFIG.GROUND.ENABLED ? CONFIG.GROUND.STEP_HEIGHT : 0;
+    camera.ellipsoidOffset = new BABYLON.Vector3(offsetX, offsetY + stepLift, offsetZ);
 
     // Collision callback for debugging
     camera.onCollide = (collidedMesh) => {
@@ -76,51 +79,17 @@ function configureCameraCollision() {
 }
 
 
-function applyJoystickMovement() {
-    // Guard clauses
-    if (!camera || !scene || !window.joystickVector || !window.joystickVisible || !window.joystickActive) return;
+// Rotate the view by yaw/pitch deltas in radians (pitch clamped). Used by touch look and input-actions.js.
+function applyLookDelta(yawDelta, pitchDelta) {
+    if (!camera) return;
 
-    // Get camera's forward and right vectors in local space
-    const forward = new BABYLON.Vector3(0, 0, 1);  // Forward in local space
-    const right = new BABYLON.Vector3(1, 0, 0);    // Right in local space
-    
-   // OPTIMIZATION: Use reusable vectors
-   _tempVec3A.set(0, 0, 1); // Forward in local space
-   _tempVec3B.set(1, 0, 0); // Right in local space
-   
-   // Transform vectors using existing objects
-   const forwardWorld = BABYLON.Vector3.TransformNormal(_tempVec3A, camera.getWorldMatrix(), _tempVec3C);
-   const rightWorld = BABYLON.Vector3.TransformNormal(_tempVec3B, camera.getWorldMatrix(), _tempVec3A);
-   
-   // Zero-out Y component
-   forwardWorld.y = 0;
-   rightWorld.y = 0;
-    
-    // Normalize the vectors (in case Y component changed their length)
-    forwardWorld.normalize();
-    rightWorld.normalize();
-    
-    // Calculate movement based on joystick input
-    const moveVector = new BABYLON.Vector3(0, 0, 0);
-    
-    // Apply joystick Y to forward/backward movement
-    moveVector.addInPlace(forwardWorld.scale(window.joystickVector.y));
-    
-    // Apply joystick X to right/left movement
-    moveVector.addInPlace(rightWorld.scale(window.joystickVector.x));
-    
-    // Apply speed multiplier
-    const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-    const speedMultiplier = isMobile ?
-        CONFIG.JOYSTICK.MOBILE_SPEED_MULTIPLIER :
-        CONFIG.JOYSTICK.DESKTOP_SPEED_MULTIPLIER;
-    
-    // Get distance from center (0-1 range)
-    const joystickDistance = Math.sqrt(
-        window.joystickVector.x * window.joystickVector.x + 
-        window.joystickVector.y * window.joystickVector.y
-    );
-    
-    // Apply movement with speed based on distance from center
-    camera.cameraDirection.addInPlace(moveVector.scale(camera.speed * speedMultiplier * joystickDistance));
-}
\ No newline at end of file
+    const maxPitch = BABYLON.Tools.ToRadians(CONFIG.CAMERA.MAX_PITCH_DEGREES);
+    camera.rotation.y += yawDelta;
+    camera.rotation.x = Math.max(-maxPitch, Math.min(maxPitch, camera.rotation.x + pitchDelta));
+    if (camera.rotationQuaternion) {
+        BABYLON.Quaternion.RotationYawPitchRollToRef(camera.rotation.y, camera.rotation.x, camera.rotation.z, camera.rotationQuaternion);
+    }
+
+    // Rotation is set directly, so the tour's cameraRotation check can't see it
+    if (typeof pauseTourForUserInput === 'function') pauseTourForUserInput();
+}
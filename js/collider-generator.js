@@ -0,0 +1,378 @@
+// collider-generator.js - Coarse floor-and-walls collider built from splat positions
+// Pure data code (no Babylon dependency): voxel occupancy grid + RANSAC floor-plane fit.
+// scene.js turns the returned geometry into a Babylon mesh.
+
+const COLLIDER_GENERATOR_DEFAULTS = {
+    VOXEL_SIZE: 0.25, // Grid cell size (meters)
+    MAX_VOXELS: 4000000, // Grid size cap; the voxel size grows to stay below it
+    MIN_SPLATS_PER_VOXEL: 3, // Fewer splats than this = empty (floaters/noise)
+    MIN_OPACITY: 0.3, // Nearly transparent splats are ignored (0-1)
+    TRIM_PERCENT: 0.5, // Bounds ignore this % of outliers on each side of every axis
+    FLOOR_MAX_TILT_DEGREES: 15, // Floor plane must be within this angle of horizontal
+    FLOOR_DILATE_CELLS: 1, // Grow the floor to close small holes in the scan
+    WALL_MIN_HEIGHT: 0.5, // Occupancy is probed from this height above the floor...
+    WALL_PROBE_HEIGHT: 1.5, // ...over this many meters
+    WALL_FILL_RATIO: 0.4, // Share of probed voxels that must be occupied to make a wall column
+    WALL_HEIGHT: 2.5, // Height of generated wall boxes above the floor
+    CLOSE_BOUNDARY: true, // Put walls around the edge of the floor so visitors can't walk off it
+    RANSAC_ITERATIONS: 300
+};
+
+// Read splat centers from .splat rows (32 bytes: xyz float32 at 0, rgba bytes at 24).
+// transform: optional 16-element matrix in Babylon's layout (Matrix.m) applied to every point.
+function extractSplatPositions(splatBuffer, minOpacity = COLLIDER_GENERATOR_DEFAULTS.MIN_OPACITY, transform = null) {
+    const rowCount = Math.floor(splatBuffer.byteLength / 32);
+    const floats = new Float32Array(splatBuffer, 0, rowCount * 8);
+    const bytes = new Uint8Array(splatBuffer, 0, rowCount * 32);
+    const minAlpha = Math.round(minOpacity * 255);
+
+    const positions = new Float32Array(rowCount * 3);
+    let count = 0;
+    for (let row = 0; row < rowCount; row++) {
+        if (bytes[row * 32 + 27] < minAlpha) continue;
+
+        const x = floats[row * 8], y = floats[row * 8 + 1], z = floats[row * 8 + 2];
+        if (!isFinite(x) || !isFinite(y) || !isFinite(z)) continue;
+
+        if (transform) {
+            const m = transform;
+            positions[count * 3] = x * m[0] + y * m[4] + z * m[8] + m[12];
+            positions[count * 3 + 1] = x * m[1] + y * m[5] + z * m[9] + m[13];
+            positions[count * 3 + 2] = x * m[2] + y * m[6] + z * m[10] + m[14];
+        } else {
+            positions[count * 3] = x;
+            positions[count * 3 + 1] = y;
+            positions[count * 3 + 2] = z;
+        }
+        count++;
+    }
+    return positions.subarray(0, count * 3);
+}
+
+// Axis bounds that ignore the most extreme trimPercent of points (sampled for speed)
+function computeTrimmedBounds(positions, trimPercent) {
+    const pointCount = positions.length / 3;
+    const step = Math.max(1, Math.floor(pointCount / 50000));
+    const min = [0, 0, 0];
+    const max = [0, 0, 0];
+
+    for (let axis = 0; axis < 3; axis++) {
+        const samples = [];
+        for (let i = 0; i < pointCount; i += step) {
+            samples.push(positions[i * 3 + axis]);
+        }
+        samples.sort((a, b) => a - b);
+        const trim = Math.floor(samples.length * trimPercent / 100);
+        min[axis] = samples[trim];
+        max[axis] = samples[samples.length - 1 - trim];
+    }
+    return { min, max };
+}
+
+// Deterministic PRNG so the same splat always produces the same collider
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        return state / 4294967296;
+    };
+}
+
+// Solve the plane y = a*x + b*z + c through three points (null if degenerate)
+function planeThroughPoints(p1, p2, p3) {
+    const det = (p1[0] - p3[0]) * (p2[2] - p3[2]) - (p2[0] - p3[0]) * (p1[2] - p3[2]);
+    if (Math.abs(det) < 1e-9) return null;
+    const a = ((p1[1] - p3[1]) * (p2[2] - p3[2]) - (p2[1] - p3[1]) * (p1[2] - p3[2])) / det;
+    const b = ((p2[1] - p3[1]) * (p1[0] - p3[0]) - (p1[1] - p3[1]) * (p2[0] - p3[0])) / det;
+    return { a, b, c: p3[1] - a * p3[0] - b * p3[2] };
+}
+
+// Least-squares refinement of y = a*x + b*z + c over the inliers
+function refinePlane(points, plane) {
+    let sxx = 0, sxz = 0, szz = 0, sx = 0, sz = 0, sy = 0, sxy = 0, szy = 0;
+    points.forEach(([x, y, z]) => {
+        sxx += x * x; sxz += x * z; szz += z * z;
+        sx += x; sz += z; sy += y;
+        sxy += x * y; szy += z * y;
+    });
+    const n = points.length;
+    // Normal equations solved with Cramer's rule
+    const det = sxx * (szz * n - sz * sz) - sxz * (sxz * n - sz * sx) + sx * (sxz * sz - szz * sx);
+    if (Math.abs(det) < 1e-9) {
+        // Flat in one direction (e.g. a corridor): keep the slope, re-center the height
+        return { a: plane.a, b: plane.b, c: (sy - plane.a * sx - plane.b * sz) / n };
+    }
+    const a = (sxy * (szz * n - sz * sz) - sxz * (szy * n - sz * sy) + sx * (szy * sz - szz * sy)) / det;
+    const b = (sxx * (szy * n - sz * sy) - sxy * (sxz * n - sz * sx) + sx * (sxz * sy - szy * sx)) / det;
+    const c = (sxx * (szz * sy - sz * szy) - sxz * (sxz * sy - sz * sxy) + sx * (sxz * szy - szz * sxy)) / det;
+    return { a, b, c };
+}
+
+// RANSAC fit of the dominant near-horizontal plane through the candidate floor points
+function fitFloorPlane(points, inlierDistance, maxTiltDegrees, iterations) {
+    if (points.length < 3) {
+        throw new Error("Not enough splat data to fit a floor plane");
+    }
+
+    const random = createSeededRandom(points.length);
+    const maxGradient = Math.tan(maxTiltDegrees * Math.PI / 180);
+    let bestPlane = null;
+    let bestInliers = 0;
+
+    for (let i = 0; i < iterations; i++) {
+        const plane = planeThroughPoints(
+            points[Math.floor(random() * points.length)],
+            points[Math.floor(random() * points.length)],
+            points[Math.floor(random() * points.length)]
+        );
+        if (!plane || Math.hypot(plane.a, plane.b) > maxGradient) continue;
+
+        let inliers = 0;
+        for (const [x, y, z] of points) {
+            if (Math.abs(y - (plane.a * x + plane.b * z + plane.c)) <= inlierDistance) inliers++;
+        }
+        // Prefer the lower plane on ties so a large table top never beats the floor
+        if (inliers > bestInliers || (inliers === bestInliers && bestPlane && plane.c < bestPlane.c)) {
+            bestInliers = inliers;
+            bestPlane = plane;
+        }
+    }
+
+    if (!bestPlane) {
+        // Every sample was degenerate/too steep: fall back to a horizontal plane at the median height
+        const heights = points.map(p => p[1]).sort((a, b) => a - b);
+        return { a: 0, b: 0, c: heights[Math.floor(heights.length / 2)], inlierRatio: 0 };
+    }
+
+    const inlierPoints = points.filter(([x, y, z]) =>
+        Math.abs(y - (bestPlane.a * x + bestPlane.b * z + bestPlane.c)) <= inlierDistance);
+    const refined = refinePlane(inlierPoints, bestPlane);
+    refined.inlierRatio = inlierPoints.length / points.length;
+    return refined;
+}
+
+// Build the collider geometry. positions: Float32Array of world-space xyz triples.
+// Returns { positions, indices, floorPlane, stats } ready for BABYLON.VertexData.
+function buildVoxelCollider(positions, options = {}) {
+    const opts = Object.assign({}, COLLIDER_GENERATOR_DEFAULTS, options);
+    const pointCount = positions.length / 3;
+    if (pointCount < 100) {
+        throw new Error(`Too few splats (${pointCount}) to generate a collider`);
+    }
+
+    // --- Grid setup ---
+    const bounds = computeTrimmedBounds(positions, opts.TRIM_PERCENT);
+    let voxelSize = opts.VOXEL_SIZE;
+    const extent = [0, 1, 2].map(axis => bounds.max[axis] - bounds.min[axis]);
+    while ((Math.ceil(extent[0] / voxelSize) + 1) * (Math.ceil(extent[1] / voxelSize) + 1) *
+           (Math.ceil(extent[2] / voxelSize) + 1) > opts.MAX_VOXELS) {
+        voxelSize *= 1.25;
+    }
+    const nx = Math.ceil(extent[0] / voxelSize) + 1;
+    const ny = Math.ceil(extent[1] / voxelSize) + 1;
+    const nz = Math.ceil(extent[2] / voxelSize) + 1;
+    const [minX, minY, minZ] = bounds.min;
+    const columnIndex = (ix, iz) => iz * nx + ix;
+    const voxelIndex = (ix, iy, iz) => (iz * nx + ix) * ny + iy; // y fastest: columns are contiguous
+
+    // --- Occupancy counts ---
+    const counts = new Uint16Array(nx * ny * nz);
+    for (let i = 0; i < pointCount; i++) {
+        const ix = Math.floor((positions[i * 3] - minX) / voxelSize);
+        const iy = Math.floor((positions[i * 3 + 1] - minY) / voxelSize);
+        const iz = Math.floor((positions[i * 3 + 2] - minZ) / voxelSize);
+        if (ix < 0 || iy < 0 || iz < 0 || ix >= nx || iy >= ny || iz >= nz) continue; // Trimmed outlier
+        const index = voxelIndex(ix, iy, iz);
+        if (counts[index] < 65535) counts[index]++;
+    }
+    const isOccupied = (ix, iy, iz) => counts[voxelIndex(ix, iy, iz)] >= opts.MIN_SPLATS_PER_VOXEL;
+
+    // --- Floor plane from the lowest occupied voxel of every column ---
+    const lowestVoxel = new Int32Array(nx * nz).fill(-1);
+    for (let iz = 0; iz < nz; iz++) {
+        for (let ix = 0; ix < nx; ix++) {
+            for (let iy = 0; iy < ny; iy++) {
+                if (isOccupied(ix, iy, iz)) { lowestVoxel[columnIndex(ix, iz)] = iy; break; }
+            }
+        }
+    }
+    // Average the splats inside those voxels - voxel centers alone would quantize the floor height
+    const heightSums = new Float64Array(nx * nz);
+    const heightCounts = new Uint32Array(nx * nz);
+    for (let i = 0; i < pointCount; i++) {
+        const ix = Math.floor((positions[i * 3] - minX) / voxelSize);
+        const iz = Math.floor((positions[i * 3 + 2] - minZ) / voxelSize);
+        if (ix < 0 || iz < 0 || ix >= nx || iz >= nz) continue;
+        const column = columnIndex(ix, iz);
+        if (Math.floor((positions[i * 3 + 1] - minY) / voxelSize) !== lowestVoxel[column]) continue;
+        heightSums[column] += positions[i * 3 + 1];
+        heightCounts[column]++;
+    }
+    const floorCandidates = [];
+    for (let iz = 0; iz < nz; iz++) {
+        for (let ix = 0; ix < nx; ix++) {
+            const column = columnIndex(ix, iz);
+            if (heightCounts[column] === 0) continue;
+            floorCandidates.push([
+                minX + (ix + 0.5) * voxelSize,
+                heightSums[column] / heightCounts[column],
+                minZ + (iz + 0.5) * voxelSize
+            ]);
+        }
+    }
+    const floorPlane = fitFloorPlane(floorCandidates, voxelSize, opts.FLOOR_MAX_TILT_DEGREES, opts.RANSAC_ITERATIONS);
+    const floorHeightAt = (x, z) => floorPlane.a * x + floorPlane.b * z + floorPlane.c;
+    const floorVoxelAt = (ix, iz) => Math.floor(
+        (floorHeightAt(minX + (ix + 0.5) * voxelSize, minZ + (iz + 0.5) * voxelSize) - minY) / voxelSize);
+
+    // --- Classify columns: floor / wall ---
+    const FLOOR = 1, WALL = 2;
+    const columns = new Uint8Array(nx * nz);
+    const wallProbeStart = Math.max(1, Math.round(opts.WALL_MIN_HEIGHT / voxelSize));
+    const wallProbeCount = Math.max(1, Math.round(opts.WALL_PROBE_HEIGHT / voxelSize));
+
+    for (let iz = 0; iz < nz; iz++) {
+        for (let ix = 0; ix < nx; ix++) {
+            const floorIy = floorVoxelAt(ix, iz);
+
+            let hasFloor = false;
+            for (let iy = Math.max(0, floorIy - 1); iy <= Math.min(ny - 1, floorIy + 1); iy++) {
+                if (isOccupied(ix, iy, iz)) { hasFloor = true; break; }
+            }
+
+            let probed = 0, filled = 0;
+            for (let k = 0; k < wallProbeCount; k++) {
+                const iy = floorIy + wallProbeStart + k;
+                if (iy < 0 || iy >= ny) continue;
+                probed++;
+                if (isOccupied(ix, iy, iz)) filled++;
+            }
+
+            if (probed > 0 && filled / probed >= opts.WALL_FILL_RATIO) {
+                columns[columnIndex(ix, iz)] = WALL;
+            } else if (hasFloor) {
+                columns[columnIndex(ix, iz)] = FLOOR;
+            }
+        }
+    }
+
+    // Close small holes in the floor (unscanned patches, reflections)
+    for (let pass = 0; pass < opts.FLOOR_DILATE_CELLS; pass++) {
+        const grown = columns.slice();
+        for (let iz = 0; iz < nz; iz++) {
+            for (let ix = 0; ix < nx; ix++) {
+                if (columns[columnIndex(ix, iz)] !== 0) continue;
+                if ((ix > 0 && columns[columnIndex(ix - 1, iz)] === FLOOR) ||
+                    (ix < nx - 1 && columns[columnIndex(ix + 1, iz)] === FLOOR) ||
+                    (iz > 0 && columns[columnIndex(ix, iz - 1)] === FLOOR) ||
+                    (iz < nz - 1 && columns[columnIndex(ix, iz + 1)] === FLOOR)) {
+                    grown[columnIndex(ix, iz)] = FLOOR;
+                }
+            }
+        }
+        columns.set(grown);
+    }
+
+    // Fence the walkable area: empty cells next to floor become walls, and so does the grid border
+    if (opts.CLOSE_BOUNDARY) {
+        const fenced = columns.slice();
+        for (let iz = 0; iz < nz; iz++) {
+            for (let ix = 0; ix < nx; ix++) {
+                const index = columnIndex(ix, iz);
+                const onBorder = ix === 0 || iz === 0 || ix === nx - 1 || iz === nz - 1;
+                if (columns[index] === FLOOR && onBorder) {
+                    fenced[index] = WALL;
+                } else if (columns[index] === 0 &&
+                    ((ix > 0 && columns[columnIndex(ix - 1, iz)] === FLOOR) ||
+                     (ix < nx - 1 && columns[columnIndex(ix + 1, iz)] === FLOOR) ||
+                     (iz > 0 && columns[columnIndex(ix, iz - 1)] === FLOOR) ||
+                     (iz < nz - 1 && columns[columnIndex(ix, iz + 1)] === FLOOR))) {
+                    fenced[index] = WALL;
+                }
+            }
+        }
+        columns.set(fenced);
+    }
+
+    // --- Geometry: merge runs of equal columns along x into quads/boxes ---
+    const vertices = [];
+    const indices = [];
+    let floorCells = 0, wallCells = 0;
+
+    const addQuad = (corners) => { // corners: 4 [x,y,z] in counter-clockwise order seen from the front
+        const base = vertices.length / 3;
+        corners.forEach(corner => vertices.push(corner[0], corner[1], corner[2]));
+        indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+    };
+
+    for (let iz = 0; iz < nz; iz++) {
+        let ix = 0;
+        while (ix < nx) {
+            const type = columns[columnIndex(ix, iz)];
+            let runEnd = ix;
+            while (runEnd + 1 < nx && columns[columnIndex(runEnd + 1, iz)] === type) runEnd++;
+
+            if (type !== 0) {
+                const x0 = minX + ix * voxelSize, x1 = minX + (runEnd + 1) * voxelSize;
+                const z0 = minZ + iz * voxelSize, z1 = minZ + (iz + 1) * voxelSize;
+                const cellCount = runEnd - ix + 1;
+
+                if (type === FLOOR) {
+                    floorCells += cellCount;
+                    addQuad([
+                        [x0, floorHeightAt(x0, z0), z0],
+                        [x0, floorHeightAt(x0, z1), z1],
+                        [x1, floorHeightAt(x1, z1), z1],
+                        [x1, floorHeightAt(x1, z0), z0]
+                    ]);
+                } else {
+                    wallCells += cellCount;
+                    const bottom = Math.min(floorHeightAt(x0, z0), floorHeightAt(x1, z1), floorHeightAt(x0, z1), floorHeightAt(x1, z0)) - voxelSize;
+                    const top = Math.max(floorHeightAt(x0, z0), floorHeightAt(x1, z1), floorHeightAt(x0, z1), floorHeightAt(x1, z0)) + opts.WALL_HEIGHT;
+                    addQuad([[x0, top, z0], [x0, top, z1], [x1, top, z1], [x1, top, z0]]); // Top
+                    addQuad([[x0, bottom, z0], [x0, top, z0], [x1, top, z0], [x1, bottom, z0]]); // -Z side
+                    addQuad([[x1, bottom, z1], [x1, top, z1], [x0, top, z1], [x0, bottom, z1]]); // +Z side
+                    addQuad([[x0, bottom, z1], [x0, top, z1], [x0, top, z0], [x0, bottom, z0]]); // -X side
+                    addQuad([[x1, bottom, z0], [x1, top, z0], [x1, top, z1], [x1, bottom, z1]]); // +X side
+                }
+            }
+            ix = runEnd + 1;
+        }
+    }
+
+    if (floorCells === 0) {
+        throw new Error("No floor found in the splat data");
+    }
+
+    return {
+        positions: new Float32Array(vertices),
+        indices: new Uint32Array(indices),
+        floorPlane: { a: floorPlane.a, b: floorPlane.b, c: floorPlane.c },
+        stats: {
+            splats: pointCount,
+            voxelSize,
+            grid: [nx, ny, nz],
+            floorInlierRatio: floorPlane.inlierRatio,
+            floorCells,
+            wallCells,
+            triangles: indices.length / 3
+        }
+    };
+}
+
+// Expose for scene.js
+if (typeof window !== 'undefined') {
+    window.COLLIDER_GENERATOR_DEFAULTS = COLLIDER_GENERATOR_DEFAULTS;
+    window.extractSplatPositions = extractSplatPositions;
+    window.buildVoxelCollider = buildVoxelCollider;
+}
+
+// Export for non-browser use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        COLLIDER_GENERATOR_DEFAULTS,
+        extractSplatPositions,
+        buildVoxelCollider,
+        fitFloorPlane
+    };
+}
@@ -17,15 +17,16 @@ const CONFIG = {
         HEIGHT: cameraHeight, // Use the constant: 1.8
         // Field of view in degrees
         FOV: 55,
-        // Movement speed (meters per frame or per second? Babylon FreeCamera uses units per frame scaled by engine delta time implicitly with moveWithCollisions)
-        // Let's treat this as a base factor. Adjust value based on feel.
-        SPEED: 0.175, // Might need significant tuning now
+        // Babylon camera speed - only scales its movement epsilon now; walking speed is INPUT.WALK_SPEED
+        SPEED: 0.175,
         // Mouse sensitivity (higher = less sensitive)
         ANGULAR_SENSITIVITY: 4000,
         // Minimum distance camera can focus (meters)
         MIN_Z: 0.2,
         // Camera inertia (0-1, higher = more smoothing) - Affects mouse look, not usually collision movement
-        INERTIA: 0.9
+        INERTIA: 0.9,
+        // Pitch limit for stick and touch look (degrees)
+        MAX_PITCH_DEGREES: 85
     },
 
     // Collision settings
@@ -45,6 +46,133 @@ const CONFIG = {
         EPSILON: 0.01 // Default is 0.001, might need increase if getting stuck slightly
     },
 
+    // Ground following (active whenever a collider is loaded; otherwise the camera stays at CAMERA.HEIGHT)
+    GROUND: {
+        // Raycast the collider to find the floor and apply gravity (false = legacy fixed height)
+        ENABLED: true,
+        // Downward acceleration (m/s^2)
+        GRAVITY: 9.81,
+        // Terminal fall speed (m/s)
+        MAX_FALL_SPEED: 20,
+        // Highest ledge that can be walked up without jumping (meters) - also lifts the collision ellipsoid
+        STEP_HEIGHT: 0.35,
+        // How fast the camera rises onto a step (m/s) - smooths stair climbing
+        STEP_UP_SPEED: 3,
+        // Steepest surface that can be walked up (degrees from horizontal)
+        MAX_SLOPE_DEGREES: 40,
+        // When walking down, stay glued to floors this far below the feet instead of falling (meters)
+        SNAP_DOWN_DISTANCE: 0.4,
+        // How far below the feet to look for a floor (meters)
+        MAX_GROUND_DISTANCE: 30,
+        // Keep altitude when no floor is found below (scan edges, holes in the collider)
+        FALL_WHEN_NO_GROUND: false,
+        // Floor rays are cast at the centre and at this fraction of the ellipsoid radius around it
+        FOOTPRINT_SAMPLE_FACTOR: 0.7,
+        // Longest frame step used for gravity (ms) - avoids tunnelling after hitches
+        MAX_DELTA_TIME_MS: 100
+    },
+
+    // Camera fly-to for the popup's "View" button (see camera-flight.js)
+    FLY_TO: {
+        // Show the "View" button in the art popup
+        ENABLED: true,
+        // Flight speed (m/s), clamped to the durations below
+        SPEED: 3,
+        MIN_DURATION_MS: 700,
+        MAX_DURATION_MS: 3000,
+        // Framing: distance = bounding radius * margin / tan(fov / 2), clamped (meters)
+        FRAMING_MARGIN: 1.4,
+        MIN_DISTANCE: 1.2,
+        MAX_DISTANCE: 8,
+        // Viewing angles tried around the piece, relative to the visitor's side (degrees)
+        CANDIDATE_ANGLES: [0, 30, -30, 60, -60, 90, -90, 180],
+        // Sideways waypoint offsets tried when the straight path crosses the collider (meters)
+        DETOUR_OFFSETS: [1.5, 3, 5],
+        // Line-of-sight checks per flight path
+        PATH_SAMPLES: 12,
+        // Fade used instead of flying when no clear path exists (ms)
+        FADE_MS: 250,
+        // Esc only flies back if the visitor stayed within this distance of the viewpoint (meters)
+        RETURN_MAX_WANDER: 3
+    },
+
+    // WebXR immersive VR (see xr.js)
+    XR: {
+        // Show "Enter VR" when the browser supports immersive-vr
+        ENABLED: true,
+        // Reference space; 'local-floor' puts the XR floor at the real floor
+        REFERENCE_SPACE: 'local-floor',
+        // Teleport floor used when the scene has no collider (meters)
+        FALLBACK_FLOOR_SIZE: 200,
+        // In-world artwork panel: size and distance in meters, texture resolution in pixels
+        PANEL_WIDTH: 0.9,
+        PANEL_HEIGHT: 0.6,
+        PANEL_DISTANCE: 1.2,
+        PANEL_TEXTURE_WIDTH: 1024
+    },
+
+    // Saved views (see bookmarks.js)
+    BOOKMARKS: {
+        // IndexedDB database/object store holding the bookmarks
+        DB_NAME: 'splat-gallery',
+        STORE_NAME: 'bookmarks',
+        // Thumbnail size in pixels (JPEG, stored with the bookmark)
+        THUMBNAIL_WIDTH: 160,
+        THUMBNAIL_HEIGHT: 90
+    },
+
+    // Shareable view links in the URL hash (see view-link.js)
+    VIEW_LINK: {
+        // Read links on load and keep the hash in sync with the camera
+        ENABLED: true,
+        // Hash updates at most this often while moving (ms)
+        UPDATE_INTERVAL_MS: 500,
+        // Decimals for positions (meters) and angles (degrees) in the link
+        DECIMALS: 2,
+        // How long the copy button shows its checkmark (ms)
+        COPY_FEEDBACK_MS: 1500
+    },
+
+    // Guided tours (see tour.js, stops are authored per scene in gallery.json)
+    TOUR: {
+        // Show the tour button for scenes that have a tour
+        ENABLED: true,
+        // Walking speed along the spline between stops (m/s)
+        SPEED: 1.2,
+        // Shortest time between two stops, so close stops don't jerk (ms)
+        MIN_SEGMENT_MS: 1500,
+        // Dwell time for stops without "dwell" (seconds)
+        DEFAULT_DWELL_S: 6,
+        // Samples used to estimate a segment's length
+        ARC_LENGTH_SAMPLES: 8,
+        // Camera input above this (squared) pauses the tour
+        INPUT_EPSILON: 1e-8
+    },
+
+    // Collider generated from the splat when a scene has no collider file (see collider-generator.js)
+    AUTO_COLLIDER: {
+        // Build a floor-and-walls proxy instead of falling back to the splat's bounds
+        ENABLED: true,
+        // Grid cell size (meters) - smaller is more detailed but slower
+        VOXEL_SIZE: 0.25,
+        // Cap on grid cells; the voxel size grows automatically for very large scans
+        MAX_VOXELS: 4000000,
+        // Cells with fewer splats are treated as empty (floaters/noise)
+        MIN_SPLATS_PER_VOXEL: 3,
+        // Ignore nearly transparent splats (0-1)
+        MIN_OPACITY: 0.3,
+        // Largest floor tilt accepted by the plane fit (degrees)
+        FLOOR_MAX_TILT_DEGREES: 15,
+        // Columns filled over WALL_PROBE_HEIGHT meters above WALL_MIN_HEIGHT (at least WALL_FILL_RATIO) become walls
+        WALL_MIN_HEIGHT: 0.5,
+        WALL_PROBE_HEIGHT: 1.5,
+        WALL_FILL_RATIO: 0.4,
+        // Height of the generated walls above the floor (meters)
+        WALL_HEIGHT: 2.5,
+        // Wall off the edge of the scanned floor
+        CLOSE_BOUNDARY: true
+    },
+
     // Scene and renderer settings
     SCENE: {
         // Background color [r, g, b, a] (0-1)
@@ -55,16 +183,191 @@ const CONFIG = {
         DEFAULT_PIXEL_RATIO: 0.5 // Defaulting to Medium
     },
 
+    // Benchmark mode (?benchmark=..., see benchmark.js): camera path flown once per pixel-ratio preset
+    BENCHMARK: {
+        // Measured frames per preset (the path is spread over them, so the run doesn't depend on frame rate)
+        FRAMES_PER_PRESET: 600,
+        // Unmeasured frames at the first pose before each preset (shader compile, splat sort, resize)
+        WARMUP_FRAMES: 30,
+        // Wait for the GPU after every frame (1px readPixels) so frame times include GPU work
+        SYNC_GPU: true,
+        // Built-in path: keyframes on a circle of this radius (m) around the spawn point, looking outward
+        DEFAULT_PATH_KEYFRAMES: 8,
+        DEFAULT_PATH_RADIUS: 1.5
+    },
+
+    // Performance HUD (click the FPS indicator, see performance-hud.js)
+    PERFORMANCE_HUD: {
+        // Frames shown in the frame-time sparkline
+        HISTORY_FRAMES: 180,
+        // Sparkline size (canvas pixels) and the frame time at its top edge (ms)
+        GRAPH_WIDTH: 240,
+        GRAPH_HEIGHT: 60,
+        GRAPH_MAX_MS: 50,
+        // Redraw the open HUD at most this often (ms)
+        REDRAW_INTERVAL_MS: 250,
+        // Resolution/DRS transitions listed in the HUD
+        MAX_EVENTS_SHOWN: 5,
+        // A recording stops by itself after this many frames (~5 minutes at 60 FPS)
+        MAX_RECORD_FRAMES: 18000
+    },
+
+    // Device capability profile (see device-profile.js): thresholds for the tier and what each tier gets
+    DEVICE_PROFILE: {
+        // Phones at or below these count as LOW_END (deviceMemory is only reported by Chromium)
+        LOW_END_MEMORY_GB: 2,
+        LOW_END_CPU_CORES: 4,
+        LOW_END_SCREEN_PIXELS: 1000000, // Physical pixels
+        MIN_TEXTURE_SIZE: 4096,
+        // Desktops at or below these (or with an integrated GPU) are DESKTOP instead of HIGH_END
+        DESKTOP_MEMORY_GB: 4,
+        DESKTOP_CPU_CORES: 2,
+        // Warm-up render of the loaded splat: frames to wait for shaders/first sort, then frames to time
+        BENCHMARK_WARMUP_FRAMES: 10,
+        BENCHMARK_FRAMES: 8,
+        // requestAnimationFrame intervals sampled at startup to measure the display refresh rate (caps Target FPS)
+        REFRESH_SAMPLE_FRAMES: 30,
+        // Median frame time (ms) above which the tier drops one step / below which DESKTOP becomes HIGH_END
+        SLOW_FRAME_MS: 25,
+        FAST_FRAME_MS: 8,
+        // DRS high/low targets (PIXEL_RATIO_PRESETS names) per tier, used by manual-lod.js
+        DRS_TARGETS: {
+            HIGH_END: { HIGH: 'FULL', LOW: 'MEDIUM' },
+            DESKTOP: { HIGH: 'HIGH', LOW: 'MEDIUM' },
+            MOBILE: { HIGH: 'MEDIUM', LOW: 'LOW' },
+            LOW_END: { HIGH: 'MEDIUM', LOW: 'LOW' }
+        },
+        // Frames between splat frustum checks per tier, while moving / standing still (scene.js)
+        FRUSTUM_CHECK_INTERVALS: {
+            HIGH_END: { MOVING: 5, IDLE: 30 },
+            DESKTOP: { MOVING: 5, IDLE: 30 },
+            MOBILE: { MOVING: 8, IDLE: 45 },
+            LOW_END: { MOVING: 12, IDLE: 60 }
+        }
+    },
+
+    // Splat quality (Settings > Splat Quality, see manual-lod.js): applied when a splat file is loaded
+    SPLAT_QUALITY: {
+        // The choice made in Settings is stored here and wins over the device defaults
+        STORAGE_KEY: 'splat-gallery.splat-quality',
+        // Starting splat budget (SPLAT_BUDGET_PRESETS name) and SH degree per device tier (DEVICE_PROFILE)
+        DEVICE_DEFAULTS: {
+            HIGH_END: { BUDGET: 'ALL', SH_DEGREE: 3 },
+            DESKTOP: { BUDGET: 'HIGH', SH_DEGREE: 2 }, // Integrated GPU or few cores
+            MOBILE: { BUDGET: 'MEDIUM', SH_DEGREE: 1 },
+            LOW_END: { BUDGET: 'LOW', SH_DEGREE: 0 }
+        }
+    },
+
+    // Render on demand (see render-on-demand.js): skip scene.render() while nothing changes
+    RENDER_ON_DEMAND: {
+        // Off = render every frame like before
+        ENABLED: true,
+        // Keep rendering this long after the last change (ms) - camera inertia, splat re-sorting, DRS refinement
+        SETTLE_MS: 1000
+    },
+
+    // Target-FPS adaptive resolution (Settings > Resolution > Target N FPS, see manual-lod.js)
+    TARGET_FPS: {
+        // Targets offered in the settings panel
+        OPTIONS: [30, 60, 90],
+        // Pixel ratio range the controller may use
+        MIN_PIXEL_RATIO: 0.35,
+        MAX_PIXEL_RATIO: 1.0,
+        // Lower resolution when measured FPS drops below this fraction of the target
+        DOWNSCALE_THRESHOLD: 0.9,
+        // Raise resolution only while measured FPS is at least this fraction of the target
+        UPSCALE_THRESHOLD: 0.97,
+        // Minimum time between downscales (ms)
+        DOWNSCALE_INTERVAL_MS: 500,
+        // Minimum time between upscales (ms)
+        UPSCALE_INTERVAL_MS: 1500,
+        // Wait after a downscale before trying to upscale again (ms); doubles on oscillation
+        UPSCALE_DELAY_MS: 3000,
+        // Upper limit for that wait (ms)
+        MAX_UPSCALE_DELAY_MS: 24000,
+        // Pixel ratio added per upscale
+        UPSCALE_STEP: 0.05,
+        // Largest pixel ratio drop per downscale
+        MAX_DOWNSCALE_STEP: 0.15,
+        // Frame time smoothing factor per frame (0-1, lower = smoother)
+        FRAME_TIME_SMOOTHING: 0.05,
+        // Frames longer than this are ignored (ms) - tab switches, loading hitches
+        MAX_FRAME_TIME_MS: 250
+    },
+
     // Asset loading
     ASSETS: {
-        // Default 3D scene file path
+        // Default 3D scene file path (.ply, .splat, .ksplat or .spz)
         SPLAT_FILE: "scene.ply",
         // Default collider file path
         COLLIDER_FILE: "collider.glb",
         DEFAULT_ART_FILE: "art1.glb", // <<< CHANGE: Moved filename here
         // Base path for art assets (used in interaction.js)
-        ART_ASSETS_PATH: "./assets/art/" // Added for clarity in loadArtMesh
-    
+        ART_ASSETS_PATH: "./assets/art/", // Added for clarity in loadArtPiece
+        // Art catalog JSON (popup texts, see art-catalog.schema.json); scenes can override it with "catalog"
+        ART_CATALOG: "art-catalog.json",
+        // Gallery manifest listing every scene (set to null to only use the files above)
+        GALLERY_MANIFEST: "gallery.json"
+    },
+
+    // Gallery (multi-scene) settings
+    GALLERY: {
+        // Scene id to load first when the manifest has no "defaultScene"
+        DEFAULT_SCENE_ID: null,
+        // Hide the scene picker button when the manifest only lists one scene
+        HIDE_PICKER_FOR_SINGLE_SCENE: true
+    },
+
+    // Offline / PWA settings (also read by sw.js via importScripts)
+    OFFLINE: {
+        // Register the service worker
+        ENABLED: true,
+        // Service worker script (must live at the app root so its scope covers everything)
+        SERVICE_WORKER_FILE: "sw.js",
+        // App shell cache name = prefix + version; bump the version to force a fresh shell
+        SHELL_CACHE_PREFIX: "3dgs-gallery-shell-",
+        CACHE_VERSION: "v1",
+        // Cache holding splat/collider/art files (shared by all scenes)
+        ASSET_CACHE_NAME: "3dgs-gallery-assets",
+        // Keep scene files the visitor has already loaded, so reloads don't re-download them
+        CACHE_ASSETS_ON_LOAD: true,
+        // File extensions treated as scene assets (cache-first)
+        ASSET_EXTENSIONS: ["ply", "splat", "ksplat", "spz", "glb"]
+    },
+
+    // Input actions shared by keyboard, joystick and gamepad (see input-actions.js)
+    INPUT: {
+        // Walking speed at full stick deflection / key held (meters per second)
+        WALK_SPEED: 2.5,
+        // Speed factor while sprint is held
+        SPRINT_MULTIPLIER: 2,
+        // How fast walking speed builds up (m/s per second)
+        ACCELERATION: 10,
+        // How fast it drops when input is released (m/s per second)
+        DECELERATION: 12,
+        // Stick look turn rate at full deflection (radians per second)
+        LOOK_SPEED: 2.5
+    },
+
+    // Keyboard shortcuts (see keybindings.js) - users can rebind them in Settings
+    KEYBINDINGS: {
+        // localStorage key for the user's changes
+        STORAGE_KEY: 'splat-gallery.keybindings',
+        // Keys per action shown in Settings (primary / alternative)
+        SLOTS_PER_ACTION: 2,
+        // Default KeyboardEvent.code values per action (physical key positions, so WASD sits under ZQSD on AZERTY)
+        DEFAULTS: {
+            MOVE_FORWARD: ['KeyW', 'ArrowUp'],
+            MOVE_BACKWARD: ['KeyS', 'ArrowDown'],
+            MOVE_LEFT: ['KeyA', 'ArrowLeft'],
+            MOVE_RIGHT: ['KeyD', 'ArrowRight'],
+            SPRINT: ['ShiftLeft', 'ShiftRight'],
+            INTERACT: ['KeyE'],
+            TOGGLE_JOYSTICK: ['KeyJ'],
+            TOGGLE_FULLSCREEN: ['KeyF'],
+            CLOSE_PANELS: ['Escape']
+        }
     },
 
     // Joystick settings
@@ -73,12 +376,64 @@ const CONFIG = {
         AUTO_SHOW_ON_MOBILE: true,
         // Maximum handle distance from center (as percentage of base radius)
         MAX_HANDLE_DISTANCE_FACTOR: 0.75,
-        // Movement speed multiplier for desktop (applied to camera.speed)
-        DESKTOP_SPEED_MULTIPLIER: 0.8, // Might need tuning
-        // Movement speed multiplier for mobile (applied to camera.speed)
-        MOBILE_SPEED_MULTIPLIER: 0.8, // Might need tuning
         // Position from bottom-left [x, y] in pixels
-        POSITION: [50, 50]
+        POSITION: [50, 50],
+        // Second thumb while the joystick is shown: 'area' (drag on the right of the screen),
+        // 'stick' (look stick bottom-right) or 'none' (Babylon's default touch look)
+        LOOK_MODE: 'area',
+        // Look area starts at this fraction of the screen width
+        LOOK_AREA_START: 0.5,
+        // Look area: radians per pixel dragged
+        LOOK_SENSITIVITY: 0.005,
+        // Dragging/pushing up looks down
+        INVERT_LOOK_Y: false,
+        // Look stick position from bottom-right [x, y] in pixels
+        LOOK_STICK_POSITION: [50, 50],
+        // Default joystick placement: 'fixed' (at POSITION) or 'floating' (spawns under the thumb); user can change it in Settings
+        MODE: 'fixed',
+        // Floating mode: touches left of this fraction of the screen width spawn the joystick
+        FLOATING_AREA_END: 1 / 3,
+        // Default deflection-to-speed curve: 'linear', 'quadratic' or 'expo'; user can change it in Settings
+        RESPONSE_CURVE: 'linear',
+        // Steepness of the 'expo' curve (higher = slower near the center)
+        EXPO_STRENGTH: 3,
+        // Vibrate (navigator.vibrate) when the stick reaches the rim
+        HAPTICS: true,
+        // Deflection (0-1) that counts as the rim
+        HAPTIC_THRESHOLD: 0.98,
+        // Vibration pulse length (ms)
+        HAPTIC_PULSE_MS: 15,
+        // localStorage key for the Touch Controls settings
+        PREFERENCES_STORAGE_KEY: 'splat-gallery.joystick'
+    },
+
+    // Gamepad settings (standard mapping, see gamepad.js)
+    GAMEPAD: {
+        // Poll connected gamepads in the render loop
+        ENABLED: true,
+        // Stick values below this are ignored (0-1, radial)
+        DEAD_ZONE: 0.15,
+        // Right-stick look speed, as a multiplier of INPUT.LOOK_SPEED (full deflection = LOOK_SPEED x this)
+        LOOK_SENSITIVITY: 1.0,
+        // Push up to look down
+        INVERT_Y: false,
+        // Axis indices: left stick moves, right stick looks
+        AXES: { MOVE_X: 0, MOVE_Y: 1, LOOK_X: 2, LOOK_Y: 3 },
+        // Button indices: A/Cross interacts (opens the artwork under the reticle), B/Circle opens/closes the popup,
+        // left stick click sprints
+        BUTTONS: { INTERACT: 0, TOGGLE_POPUP: 1, SPRINT: 10 }
+    },
+
+    // Splat decoding worker (js/splat-worker.js): parsing, conversion and decimation off the main thread
+    SPLAT_WORKER: {
+        // Falls back to decoding on the main thread when off or when the worker can't start
+        ENABLED: true,
+        // Worker script, relative to index.html (precached by sw.js)
+        SCRIPT: "js/splat-worker.js",
+        // Splats converted between progress reports / cancellation checks
+        CHUNK_SPLATS: 65536,
+        // Give up on the worker if it hasn't reported ready within this time (ms)
+        STARTUP_TIMEOUT: 5000
     },
 
     // Loading settings
@@ -87,8 +442,28 @@ const CONFIG = {
         DEFAULT_MESSAGE: "Loading...",
         // Splat loading message
         SPLAT_MESSAGE: "Loading Scene...",
+        // Shown while a splat file is converted (followed by a percentage when decoded in the splat worker)
+        DECODING_MESSAGE: "Decoding Scene...",
+        // Shown while the splat budget drops the least important splats
+        DECIMATING_MESSAGE: "Applying Splat Budget...",
+        // Render a coarse subset of the splat while the file is still downloading (.ply/.splat only)
+        PROGRESSIVE_PREVIEW: true,
+        // Minimum time between preview refreshes (ms) - each refresh re-uploads the preview splats
+        PREVIEW_UPDATE_INTERVAL: 1500,
+        // Maximum number of splats in the preview (received rows are strided down to this)
+        PREVIEW_MAX_SPLATS: 150000,
+        // Art loading message (followed by "(loaded/total)")
+        ART_MESSAGE: "Loading Artwork",
         // Collider loading message
-        COLLIDER_MESSAGE: "Loading Collider..."
+        COLLIDER_MESSAGE: "Loading Collider...",
+        // Shown while a collider is generated from the splat
+        COLLIDER_GENERATION_MESSAGE: "Generating Collider...",
+        // Scene switch message
+        SCENE_SWITCH_MESSAGE: "Switching Scene...",
+        // Shown after the user cancels a splat download/decode with the indicator's Cancel button
+        CANCELLED_MESSAGE: "Loading cancelled",
+        // How long the cancelled message stays up (ms)
+        CANCELLED_DISPLAY_TIME: 2000
     },
 
     // Debug settings
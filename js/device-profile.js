@@ -0,0 +1,178 @@
+// device-profile.js - One cached device capability profile (GPU, memory, CPU, screen, splat render benchmark)
+// Drives the default splat quality, DRS targets, joystick throttling and frustum-check intervals.
+// Tiers, slowest first: 'LOW_END' | 'MOBILE' | 'DESKTOP' | 'HIGH_END'
+
+const DEVICE_TIERS = ['LOW_END', 'MOBILE', 'DESKTOP', 'HIGH_END'];
+
+// Old phones the WebGL limits don't give away
+const LOW_END_UA_PATTERN = /iPhone\s(5|6|7|8|SE)|Android.*SM-G9|Android.*GT-/i;
+const MOBILE_UA_PATTERN = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i;
+// CPU rasterizers (no GPU, or GPU blocklisted by the browser)
+const SOFTWARE_RENDERER_PATTERN = /SwiftShader|llvmpipe|softpipe|Software|Microsoft Basic Render/i;
+// Integrated desktop GPUs share memory bandwidth with the CPU
+const INTEGRATED_GPU_PATTERN = /Intel|UHD|Iris|Radeon\(TM\) Graphics|Vega \d+ Graphics/i;
+
+let deviceProfile = null; // Cached result of getDeviceProfile()
+
+// WebGL limits and renderer string from a throwaway context (released right away)
+function readWebGLInfo() {
+    const info = { version: 0, maxTextureSize: 0, maxRenderbufferSize: 0, renderer: '', vendor: '' };
+    if (typeof document === 'undefined') return info;
+
+    const canvas = document.createElement('canvas');
+    const gl = canvas.getContext('webgl2') || canvas.getContext('webgl');
+    if (!gl) return info;
+
+    info.version = (typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext) ? 2 : 1;
+    info.maxTextureSize = gl.getParameter(gl.MAX_TEXTURE_SIZE) || 0;
+    info.maxRenderbufferSize = gl.getParameter(gl.MAX_RENDERBUFFER_SIZE) || 0;
+
+    // Unmasked names need WEBGL_debug_renderer_info (Firefox and Safari may report a generic string instead)
+    const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+    info.renderer = String(gl.getParameter(debugInfo ? debugInfo.UNMASKED_RENDERER_WEBGL : gl.RENDERER) || '');
+    info.vendor = String(gl.getParameter(debugInfo ? debugInfo.UNMASKED_VENDOR_WEBGL : gl.VENDOR) || '');
+
+    const loseContext = gl.getExtension('WEBGL_lose_context');
+    if (loseContext) loseContext.loseContext();
+    return info;
+}
+
+// Everything that can be read without rendering
+function collectDeviceSignals() {
+    const userAgent = typeof navigator !== 'undefined' ? navigator.userAgent : '';
+    // Physical pixels - CSS screen sizes of phones are all small
+    const screenPixels = typeof window !== 'undefined' && window.screen
+        ? window.screen.width * window.screen.height * Math.pow(window.devicePixelRatio || 1, 2)
+        : 0;
+    return {
+        userAgent,
+        isMobile: MOBILE_UA_PATTERN.test(userAgent),
+        isLowEndUA: LOW_END_UA_PATTERN.test(userAgent),
+        deviceMemoryGB: typeof navigator !== 'undefined' && navigator.deviceMemory ? navigator.deviceMemory : null, // Chromium only
+        cpuCores: typeof navigator !== 'undefined' && navigator.hardwareConcurrency ? navigator.hardwareConcurrency : null,
+        screenPixels,
+        webgl: readWebGLInfo(),
+        refreshRateHz: null, // Filled in by measureDisplayRefreshRate()
+        gpuFrameTimeMs: null // Filled in by measureSplatRenderBenchmark()
+    };
+}
+
+// Pick a tier from the signals. Unknown values (null) never count against the device.
+function classifyDeviceTier(signals, settings) {
+    const { webgl } = signals;
+    const isSoftware = webgl.version === 0 || SOFTWARE_RENDERER_PATTERN.test(webgl.renderer);
+    if (isSoftware) return 'LOW_END';
+
+    let tier;
+    if (signals.isMobile) {
+        const isLowEnd = signals.isLowEndUA ||
+            (signals.deviceMemoryGB !== null && signals.deviceMemoryGB <= settings.LOW_END_MEMORY_GB) ||
+            (signals.cpuCores !== null && signals.cpuCores <= settings.LOW_END_CPU_CORES) ||
+            webgl.maxTextureSize < settings.MIN_TEXTURE_SIZE ||
+            signals.screenPixels < settings.LOW_END_SCREEN_PIXELS;
+        tier = isLowEnd ? 'LOW_END' : 'MOBILE';
+    } else {
+        const isModest = INTEGRATED_GPU_PATTERN.test(webgl.renderer) ||
+            (signals.deviceMemoryGB !== null && signals.deviceMemoryGB <= settings.DESKTOP_MEMORY_GB) ||
+            (signals.cpuCores !== null && signals.cpuCores <= settings.DESKTOP_CPU_CORES);
+        tier = isModest ? 'DESKTOP' : 'HIGH_END';
+    }
+
+    // The warm-up render of the real splat has the last word: one tier down when slow, up when fast
+    if (signals.gpuFrameTimeMs !== null) {
+        const index = DEVICE_TIERS.indexOf(tier);
+        if (signals.gpuFrameTimeMs > settings.SLOW_FRAME_MS && index > 0) {
+            tier = DEVICE_TIERS[index - 1];
+        } else if (signals.gpuFrameTimeMs < settings.FAST_FRAME_MS && tier === 'DESKTOP') {
+            tier = 'HIGH_END';
+        }
+    }
+    return tier;
+}
+
+function buildDeviceProfile(signals) {
+    const tier = classifyDeviceTier(signals, CONFIG.DEVICE_PROFILE);
+    return {
+        ...signals,
+        tier,
+        isLowEnd: tier === 'LOW_END',
+        isHighEnd: tier !== 'LOW_END' // Render loop may skip non-essential work only on LOW_END
+    };
+}
+
+// The cached profile (built on first use from the static signals)
+function getDeviceProfile() {
+    if (!deviceProfile) {
+        deviceProfile = buildDeviceProfile(collectDeviceSignals());
+    }
+    return deviceProfile;
+}
+
+// Display refresh rate from requestAnimationFrame intervals (median, so loading hitches don't count).
+// Must run while nothing heavy renders yet - a busy render loop would measure its own frame rate.
+async function measureDisplayRefreshRate() {
+    const frames = CONFIG.DEVICE_PROFILE.REFRESH_SAMPLE_FRAMES;
+    if (typeof requestAnimationFrame !== 'function' || frames <= 0) return null;
+
+    const intervals = [];
+    let previous = await new Promise(resolve => requestAnimationFrame(resolve));
+    for (let i = 0; i < frames; i++) {
+        const now = await new Promise(resolve => requestAnimationFrame(resolve));
+        intervals.push(now - previous);
+        previous = now;
+    }
+    intervals.sort((a, b) => a - b);
+    const medianMs = intervals[Math.floor(intervals.length / 2)];
+    if (!(medianMs > 0)) return null;
+
+    const refreshRateHz = Math.round(10000 / medianMs) / 10;
+    deviceProfile = { ...getDeviceProfile(), refreshRateHz };
+    console.log(`Display refresh rate: ${refreshRateHz} Hz`);
+    return refreshRateHz;
+}
+
+// Render the loaded splat a few times and time each frame (readPixels waits for the GPU).
+// Updates the cached profile and returns it; the tier may change.
+async function measureSplatRenderBenchmark(targetScene) {
+    const profile = getDeviceProfile();
+    const { BENCHMARK_WARMUP_FRAMES, BENCHMARK_FRAMES } = CONFIG.DEVICE_PROFILE;
+    const targetEngine = targetScene ? targetScene.getEngine() : null;
+    if (!targetEngine || !targetScene.activeCamera || BENCHMARK_FRAMES <= 0) return profile;
+
+    try {
+        await targetScene.whenReadyAsync();
+        // Let shaders compile and the first splat sort arrive before timing anything
+        for (let i = 0; i < BENCHMARK_WARMUP_FRAMES; i++) {
+            await new Promise(resolve => requestAnimationFrame(resolve));
+        }
+
+        const frameTimes = [];
+        for (let i = 0; i < BENCHMARK_FRAMES; i++) {
+            const start = performance.now();
+            targetScene.render();
+            await targetEngine.readPixels(0, 0, 1, 1);
+            frameTimes.push(performance.now() - start);
+        }
+        frameTimes.sort((a, b) => a - b);
+        const gpuFrameTimeMs = frameTimes[Math.floor(frameTimes.length / 2)];
+
+        // Re-read the cache: measureDisplayRefreshRate() may have added refreshRateHz meanwhile
+        deviceProfile = buildDeviceProfile({ ...getDeviceProfile(), gpuFrameTimeMs });
+        console.log(`Splat render benchmark: ${gpuFrameTimeMs.toFixed(1)} ms/frame (median of ${BENCHMARK_FRAMES})`);
+    } catch (error) {
+        console.warn("Splat render benchmark failed, keeping the static profile:", error);
+    }
+    return deviceProfile;
+}
+
+// Expose necessary functions globally
+if (typeof window !== 'undefined') {
+    window.getDeviceProfile = getDeviceProfile; // Used by main.js, scene.js, joystick.js, manual-lod.js
+    window.measureSplatRenderBenchmark = measureSplatRenderBenchmark; // Called by main.js once the splat is loaded
+    window.measureDisplayRefreshRate = measureDisplayRefreshRate; // Called by main.js before loading (caps Target FPS)
+}
+
+// Export for non-browser use (tier classification tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DEVICE_TIERS, classifyDeviceTier };
+}
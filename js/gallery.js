@@ -0,0 +1,356 @@
+// gallery.js - Multi-scene gallery manifest and in-app scene switching
+
+// Gallery state
+let galleryManifest = null; // Normalized manifest: { defaultScene, scenes: [...] }
+let activeGallerySceneId = null; // Id of the scene currently loaded
+let isSceneSwitchInProgress = false; // Guards against overlapping swaps
+let isActiveSceneLoaded = true; // False after a cancelled or failed switch left the room empty
+
+// Load the manifest and pick the scene to load first (called by initScene)
+async function prepareInitialGalleryScene() {
+    await loadGalleryManifest();
+
+    // A shared view link (#scene=...) wins over the manifest's default
+    const linkedId = (typeof getLinkedSceneId === 'function') ? getLinkedSceneId() : null;
+    const preferredId = galleryManifest.defaultScene || CONFIG.GALLERY.DEFAULT_SCENE_ID;
+    const initialEntry = getGallerySceneById(linkedId) || getGallerySceneById(preferredId) || galleryManifest.scenes[0];
+    activeGallerySceneId = initialEntry.id;
+
+    console.log(`Initial gallery scene: ${initialEntry.id} (${initialEntry.title})`);
+    return initialEntry;
+}
+
+// Fetch and validate the gallery manifest, falling back to CONFIG.ASSETS
+async function loadGalleryManifest() {
+    const manifestPath = CONFIG.ASSETS.GALLERY_MANIFEST;
+    galleryManifest = null;
+
+    if (manifestPath) {
+        try {
+            const response = await fetch(manifestPath, { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            galleryManifest = normalizeGalleryManifest(await response.json());
+            console.log(`Gallery manifest loaded: ${galleryManifest.scenes.length} scene(s).`);
+        } catch (error) {
+            console.warn(`Gallery manifest '${manifestPath}' unavailable (${error.message || error}). Using CONFIG.ASSETS.`);
+        }
+    }
+
+    if (!galleryManifest) {
+        galleryManifest = { defaultScene: 'default', scenes: [createSceneEntryFromConfig()] };
+    }
+    return galleryManifest;
+}
+
+// Validate raw manifest JSON and fill in defaults for every scene entry
+function normalizeGalleryManifest(rawManifest) {
+    if (!rawManifest || !Array.isArray(rawManifest.scenes)) {
+        throw new Error("Manifest must contain a 'scenes' array");
+    }
+
+    const seenIds = new Set();
+    const scenes = [];
+
+    rawManifest.scenes.forEach((rawEntry, index) => {
+        if (!rawEntry || typeof rawEntry.id !== 'string' || !rawEntry.id) {
+            console.warn(`Gallery manifest: scene #${index} has no id, skipping.`);
+            return;
+        }
+        if (seenIds.has(rawEntry.id)) {
+            console.warn(`Gallery manifest: duplicate scene id '${rawEntry.id}', skipping.`);
+            return;
+        }
+        if (typeof rawEntry.splat !== 'string' || !rawEntry.splat) {
+            console.warn(`Gallery manifest: scene '${rawEntry.id}' has no splat file, skipping.`);
+            return;
+        }
+
+        seenIds.add(rawEntry.id);
+        scenes.push({
+            id: rawEntry.id,
+            title: rawEntry.title || rawEntry.id,
+            splat: rawEntry.splat,
+            collider: rawEntry.collider || null, // null = no collider for this room
+            art: normalizeArtPieces(rawEntry.art, rawEntry.id),
+            artPath: rawEntry.artPath || CONFIG.ASSETS.ART_ASSETS_PATH,
+            catalog: typeof rawEntry.catalog === 'string' ? rawEntry.catalog : CONFIG.ASSETS.ART_CATALOG,
+            tour: rawEntry.tour || null, // Inline stops or a tour JSON URL, validated by tour.js when started
+            spawn: {
+                position: isVector3Array(rawEntry.spawn?.position) ? rawEntry.spawn.position : CONFIG.CAMERA.INITIAL_POSITION,
+                target: isVector3Array(rawEntry.spawn?.target) ? rawEntry.spawn.target : CONFIG.CAMERA.INITIAL_TARGET
+            }
+        });
+    });
+
+    if (scenes.length === 0) {
+        throw new Error("Manifest contains no valid scenes");
+    }
+
+    return {
+        defaultScene: typeof rawManifest.defaultScene === 'string' ? rawManifest.defaultScene : null,
+        scenes
+    };
+}
+
+// Build a single scene entry from the legacy CONFIG.ASSETS fields
+function createSceneEntryFromConfig() {
+    return {
+        id: 'default',
+        title: document.title,
+        splat: CONFIG.ASSETS.SPLAT_FILE,
+        collider: CONFIG.ASSETS.COLLIDER_FILE,
+        art: normalizeArtPieces(CONFIG.ASSETS.DEFAULT_ART_FILE ? [CONFIG.ASSETS.DEFAULT_ART_FILE] : [], 'default'),
+        artPath: CONFIG.ASSETS.ART_ASSETS_PATH,
+        catalog: CONFIG.ASSETS.ART_CATALOG,
+        tour: null,
+        spawn: {
+            position: CONFIG.CAMERA.INITIAL_POSITION,
+            target: CONFIG.CAMERA.INITIAL_TARGET
+        }
+    };
+}
+
+// Art list entries are either "file.glb" or { file, id, position, rotation (degrees), scale }
+function normalizeArtPieces(rawArt, sceneId) {
+    if (!Array.isArray(rawArt)) return [];
+
+    const usedIds = new Set();
+    const pieces = [];
+    rawArt.forEach((rawPiece, index) => {
+        const raw = typeof rawPiece === 'string' ? { file: rawPiece } : rawPiece;
+        if (!raw || typeof raw.file !== 'string' || !raw.file) {
+            console.warn(`Gallery manifest: art #${index} of scene '${sceneId}' has no file, skipping.`);
+            return;
+        }
+
+        // Ids must be unique per scene (the same GLB may be placed several times)
+        let id = typeof raw.id === 'string' && raw.id ? raw.id : raw.file.replace(/\.[^.]+$/, '');
+        for (let suffix = 2; usedIds.has(id); suffix++) {
+            id = `${raw.id || raw.file.replace(/\.[^.]+$/, '')}#${suffix}`;
+        }
+        usedIds.add(id);
+
+        const scale = typeof raw.scale === 'number' ? [raw.scale, raw.scale, raw.scale] : raw.scale;
+        pieces.push({
+            id,
+            file: raw.file,
+            position: isVector3Array(raw.position) ? raw.position : [0, 0, 0],
+            rotation: isVector3Array(raw.rotation) ? raw.rotation : [0, 0, 0],
+            scale: isVector3Array(scale) ? scale : [1, 1, 1]
+        });
+    });
+    return pieces;
+}
+
+function isVector3Array(value) {
+    return Array.isArray(value) && value.length === 3 && value.every(n => typeof n === 'number' && isFinite(n));
+}
+
+// Lookup helpers
+function getGallerySceneById(sceneId) {
+    if (!galleryManifest || !sceneId) return null;
+    return galleryManifest.scenes.find(entry => entry.id === sceneId) || null;
+}
+
+function getActiveGalleryScene() {
+    return getGallerySceneById(activeGallerySceneId);
+}
+
+function getGalleryScenes() {
+    return galleryManifest ? galleryManifest.scenes : [];
+}
+
+// Hot-swap to another scene from the manifest without reloading the page
+async function switchGalleryScene(sceneId) {
+    const entry = getGallerySceneById(sceneId);
+    if (!entry) {
+        console.error(`switchGalleryScene: Unknown scene id '${sceneId}'.`);
+        return false;
+    }
+    if (!scene || scene.isDisposed) {
+        console.error("switchGalleryScene: Scene is not ready.");
+        return false;
+    }
+    // The active scene may be picked again when a cancelled or failed switch emptied the room
+    if (isSceneSwitchInProgress || (sceneId === activeGallerySceneId && isActiveSceneLoaded)) return false;
+
+    isSceneSwitchInProgress = true;
+    updateGalleryPanelUI();
+    console.log(`%cSwitching gallery scene: ${activeGallerySceneId} -> ${entry.id}`, "color: #e89f17; font-weight: bold;");
+    let switched = false;
+
+    try {
+        showLoadingIndicator(CONFIG.LOADING.SCENE_SWITCH_MESSAGE);
+        if (typeof closeAllPanels === 'function') closeAllPanels();
+
+        // --- Tear down everything tied to the previous room ---
+        if (typeof teardownDynamicResolutionSystem === 'function') {
+            teardownDynamicResolutionSystem();
+        }
+        if (frustumCullObserver) {
+            scene.onBeforeRenderObservable.remove(frustumCullObserver);
+            frustumCullObserver = null;
+        }
+        if (typeof unloadArtMeshes === 'function') {
+            unloadArtMeshes();
+        }
+        disposeCollider();
+        isActiveSceneLoaded = false;
+
+        // New materials must be able to flag themselves dirty while loading
+        scene.blockMaterialDirtyMechanism = false;
+
+        // --- Load the new room (loadSplat disposes the previous splat) ---
+        const assetsLoaded = await loadDefaultAssets(entry);
+        if (!assetsLoaded && isSplatLoadCancelled) {
+            console.log(`Switch to gallery scene '${entry.id}' cancelled.`);
+            return false; // Not an error: the loading indicator already says so
+        }
+        if (!assetsLoaded || !currentSplatMesh) {
+            throw new Error(`Assets for scene '${entry.id}' failed to load`);
+        }
+        activeGallerySceneId = entry.id;
+        isActiveSceneLoaded = true;
+        switched = true;
+
+        // --- Rebuild per-scene systems ---
+        optimizeSplatMesh(currentSplatMesh);
+        scene.blockMaterialDirtyMechanism = true;
+        setupFrustumCullingObserver(scene);
+
+        applyGallerySceneSpawn(entry);
+
+        if (typeof initDynamicResolutionSystem === 'function') {
+            initDynamicResolutionSystem();
+        }
+
+        if (typeof loadSceneArt === 'function') {
+            await loadSceneArt(entry);
+        }
+        if (typeof updateTourAvailability === 'function') {
+            updateTourAvailability();
+        }
+
+        console.log(`Gallery scene '${entry.id}' is ready.`);
+        return true;
+    } catch (error) {
+        console.error("Gallery scene switch error:", error);
+        showError(`Failed to switch scene: ${error.message || error}`);
+        return false;
+    } finally {
+        if (scene && !scene.isDisposed) {
+            scene.blockMaterialDirtyMechanism = true;
+        }
+        isSceneSwitchInProgress = false;
+        hideLoadingIndicator();
+        if (!switched) recoverFromFailedSceneSwitch();
+        updateGalleryPanelUI();
+    }
+}
+
+// A cancelled or failed switch keeps the previous scene id but has already torn the room down:
+// restore the per-frame systems and re-open the picker so the user can choose again
+function recoverFromFailedSceneSwitch() {
+    if (scene && !scene.isDisposed) {
+        setupFrustumCullingObserver(scene);
+        if (typeof initDynamicResolutionSystem === 'function') {
+            initDynamicResolutionSystem();
+        }
+    }
+
+    const galleryPanel = document.getElementById('galleryPanel');
+    if (galleryPanel && !galleryPanel.classList.contains('active')) {
+        togglePanel('galleryPanel', 'toggleGallery');
+    }
+}
+
+// Move the camera to a scene's spawn point and cancel leftover motion
+function applyGallerySceneSpawn(entry) {
+    if (!camera || !entry) return;
+
+    const [x, y, z] = entry.spawn.position;
+    const [targetX, targetY, targetZ] = entry.spawn.target;
+
+    camera.position.set(x, y, z);
+    camera.cameraDirection.set(0, 0, 0);
+    camera.cameraRotation.set(0, 0);
+    camera.setTarget(new BABYLON.Vector3(targetX, targetY, targetZ));
+
+    if (typeof exitTour === 'function') {
+        exitTour();
+    }
+    if (typeof resetCameraFlight === 'function') {
+        resetCameraFlight();
+    }
+    if (typeof resetGroundFollow === 'function') {
+        resetGroundFollow();
+    }
+}
+
+// Build the scene picker panel (called by main.js after initUI)
+function initGalleryUI() {
+    const galleryPanel = document.getElementById('galleryPanel');
+    const galleryToggle = document.getElementById('toggleGallery');
+    if (!galleryPanel || !galleryToggle || !galleryManifest) {
+        console.warn("Gallery panel or manifest not available, scene picker disabled.");
+        return;
+    }
+
+    EventManager.removeCategory('gallery');
+
+    // Single-scene galleries don't need a picker
+    const hidePicker = CONFIG.GALLERY.HIDE_PICKER_FOR_SINGLE_SCENE && galleryManifest.scenes.length < 2;
+    galleryToggle.style.display = hidePicker ? 'none' : '';
+
+    EventManager.addListener('gallery', galleryToggle, 'click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        togglePanel('galleryPanel', 'toggleGallery');
+    });
+
+    const sceneList = galleryPanel.querySelector('.scene-list');
+    if (!sceneList) return;
+    sceneList.innerHTML = '';
+
+    galleryManifest.scenes.forEach(entry => {
+        const button = document.createElement('button');
+        button.className = 'scene-button';
+        button.dataset.sceneId = entry.id;
+        button.textContent = entry.title;
+        button.title = `Load "${entry.title}"`;
+        EventManager.addListener('gallery', button, 'click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            switchGalleryScene(entry.id);
+        });
+        sceneList.appendChild(button);
+    });
+
+    updateGalleryPanelUI();
+}
+
+// Reflect the active scene / loading state in the picker
+function updateGalleryPanelUI() {
+    const galleryPanel = document.getElementById('galleryPanel');
+    if (!galleryPanel) return;
+
+    galleryPanel.querySelectorAll('.scene-button').forEach(button => {
+        button.classList.toggle('active', button.dataset.sceneId === activeGallerySceneId);
+        button.disabled = isSceneSwitchInProgress;
+    });
+
+    const activeEntry = getActiveGalleryScene();
+    const currentLabel = galleryPanel.querySelector('.current-scene-title');
+    if (currentLabel && activeEntry) {
+        currentLabel.textContent = activeEntry.title;
+    }
+}
+
+// Expose necessary functions globally
+window.prepareInitialGalleryScene = prepareInitialGalleryScene; // Called by scene.js
+window.getActiveGalleryScene = getActiveGalleryScene; // Used by camera.js / interaction.js
+window.getGalleryScenes = getGalleryScenes; // Used by offline.js
+window.switchGalleryScene = switchGalleryScene;
+window.initGalleryUI = initGalleryUI; // Called by main.js
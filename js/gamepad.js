@@ -0,0 +1,126 @@
+// gamepad.js - Gamepad API input source: left stick moves, right stick looks, face buttons interact / toggle the popup
+
+// Gamepad state
+let activeGamepadIndex = null; // navigator.getGamepads() slot in use
+const previousGamepadButtons = []; // Pressed state of the last frame, for edge detection
+let gamepadReticle = null;
+
+// Radial dead zone, rescaled so the output starts at 0 just outside it (no jump at the edge)
+function applyStickDeadZone(x, y, deadZone) {
+    const magnitude = Math.sqrt(x * x + y * y);
+    if (magnitude <= deadZone) return { x: 0, y: 0, magnitude: 0 };
+    const scaled = Math.min(1, (magnitude - deadZone) / (1 - deadZone));
+    return { x: x / magnitude * scaled, y: y / magnitude * scaled, magnitude: scaled };
+}
+
+// First connected gamepad (standard mapping preferred)
+function findActiveGamepad() {
+    if (!navigator.getGamepads) return null;
+    const pads = Array.from(navigator.getGamepads()).filter(Boolean);
+    const pad = pads.find(candidate => candidate.mapping === 'standard') || pads[0] || null;
+    activeGamepadIndex = pad ? pad.index : null;
+    return pad;
+}
+
+// True on the frame a button goes down
+function wasGamepadButtonPressed(pad, buttonIndex) {
+    const button = pad.buttons[buttonIndex];
+    const pressed = !!button && button.pressed;
+    const wasPressed = !!previousGamepadButtons[buttonIndex];
+    previousGamepadButtons[buttonIndex] = pressed;
+    return pressed && !wasPressed;
+}
+
+// Input source for input-actions.js (polled once per frame)
+function pollGamepadActions(actions) {
+    if (activeGamepadIndex === null) return;
+
+    // Gamepad objects are snapshots in some browsers - fetch a fresh one every frame
+    const pad = navigator.getGamepads()[activeGamepadIndex] || findActiveGamepad();
+    if (!pad) return;
+
+    const { DEAD_ZONE, LOOK_SENSITIVITY, INVERT_Y, AXES, BUTTONS } = CONFIG.GAMEPAD;
+
+    // Left stick: stick up = negative axis = forward
+    const move = applyStickDeadZone(pad.axes[AXES.MOVE_X] || 0, pad.axes[AXES.MOVE_Y] || 0, DEAD_ZONE);
+    actions.move.x += move.x;
+    actions.move.y -= move.y;
+
+    // Right stick: look (turn rate is CONFIG.INPUT.LOOK_SPEED x LOOK_SENSITIVITY)
+    const look = applyStickDeadZone(pad.axes[AXES.LOOK_X] || 0, pad.axes[AXES.LOOK_Y] || 0, DEAD_ZONE);
+    actions.look.x += look.x * LOOK_SENSITIVITY;
+    actions.look.y += look.y * LOOK_SENSITIVITY * (INVERT_Y ? -1 : 1);
+
+    // Held buttons - input-actions.js detects the interact press itself
+    actions.sprint = actions.sprint || isGamepadButtonHeld(pad, BUTTONS.SPRINT);
+    actions.interact = actions.interact || isGamepadButtonHeld(pad, BUTTONS.INTERACT);
+
+    if (wasGamepadButtonPressed(pad, BUTTONS.TOGGLE_POPUP)) {
+        toggleArtPopupFromGamepad();
+    }
+}
+
+function isGamepadButtonHeld(pad, buttonIndex) {
+    const button = pad.buttons[buttonIndex];
+    return !!button && button.pressed;
+}
+
+// Close the popup if open, otherwise open it for the artwork under the reticle
+function toggleArtPopupFromGamepad() {
+    const openMesh = (typeof getOpenArtMesh === 'function') ? getOpenArtMesh() : null;
+    if (openMesh) {
+        hidePopup();
+    } else {
+        selectArtworkAtScreenCenter();
+    }
+}
+
+function onGamepadConnected(e) {
+    console.log(`Gamepad connected: ${e.gamepad.id} (${e.gamepad.mapping || 'non-standard'} mapping)`);
+    findActiveGamepad();
+    previousGamepadButtons.length = 0;
+    updateGamepadReticle();
+}
+
+function onGamepadDisconnected(e) {
+    console.log(`Gamepad disconnected: ${e.gamepad.id}`);
+    findActiveGamepad();
+    updateGamepadReticle();
+}
+
+// Center reticle, only while a gamepad is in use (aiming for the select button)
+function updateGamepadReticle() {
+    if (!gamepadReticle) {
+        gamepadReticle = document.createElement('div');
+        gamepadReticle.id = 'gamepadReticle';
+        document.body.appendChild(gamepadReticle);
+    }
+    gamepadReticle.classList.toggle('active', activeGamepadIndex !== null);
+}
+
+function initGamepad() {
+    if (!CONFIG.GAMEPAD.ENABLED || !navigator.getGamepads) return;
+
+    EventManager.removeCategory('gamepad');
+    EventManager.addListener('gamepad', window, 'gamepadconnected', onGamepadConnected);
+    EventManager.addListener('gamepad', window, 'gamepaddisconnected', onGamepadDisconnected);
+
+    // A pad that was connected before the page loaded only shows up after its first button press
+    findActiveGamepad();
+    updateGamepadReticle();
+    registerInputSource('gamepad', pollGamepadActions);
+}
+
+function cleanupGamepad() {
+    EventManager.removeCategory('gamepad');
+    if (typeof unregisterInputSource === 'function') unregisterInputSource('gamepad');
+    activeGamepadIndex = null;
+    if (gamepadReticle && gamepadReticle.parentNode) {
+        gamepadReticle.parentNode.removeChild(gamepadReticle);
+    }
+    gamepadReticle = null;
+}
+
+// Expose necessary functions globally
+window.initGamepad = initGamepad; // Called by main.js
+window.cleanupGamepad = cleanupGamepad;
@@ -0,0 +1,140 @@
+// ground.js - Ground following, gravity, stairs and slope limits for the walking camera
+
+// Ground-follow state
+let groundVerticalVelocity = 0; // m/s, negative = falling
+let isCameraGrounded = false;
+let lastWalkablePosition = null; // Last camera position standing on walkable ground (for slope blocking)
+
+// OPTIMIZATION: Reusable ray/vectors, no allocations per frame
+const _groundRay = new BABYLON.Ray(BABYLON.Vector3.Zero(), new BABYLON.Vector3(0, -1, 0), 1);
+const _groundSampleOffsets = [[0, 0], [1, 0], [-1, 0], [0, 1], [0, -1]];
+
+// Only real collider geometry counts (not the splat, not art pieces) - also used by camera-flight.js
+function isColliderMesh(mesh) {
+    return mesh.checkCollisions && mesh !== currentSplatMesh && !mesh.isDisposed() && mesh.isEnabled();
+}
+
+// Is ground following possible right now? Needs a collider to stand on.
+function isGroundFollowActive() {
+    return CONFIG.GROUND.ENABLED && CONFIG.COLLISION.ENABLED && !!colliderMesh && !colliderMesh.isDisposed();
+}
+
+// Find the highest floor under the camera's ellipsoid footprint.
+// Rays start STEP_HEIGHT above the feet, so steps up to that height are found as floor.
+function findGroundBelowCamera(singleSample) {
+    const feetY = camera.position.y - CONFIG.CAMERA.HEIGHT;
+    const footprintRadius = CONFIG.COLLISION.ELLIPSOID[0] * CONFIG.GROUND.FOOTPRINT_SAMPLE_FACTOR;
+    const sampleCount = singleSample ? 1 : _groundSampleOffsets.length;
+
+    let best = null;
+    for (let i = 0; i < sampleCount; i++) {
+        const [offsetX, offsetZ] = _groundSampleOffsets[i];
+        _groundRay.origin.set(
+            camera.position.x + offsetX * footprintRadius,
+            feetY + CONFIG.GROUND.STEP_HEIGHT,
+            camera.position.z + offsetZ * footprintRadius
+        );
+        _groundRay.length = CONFIG.GROUND.STEP_HEIGHT + CONFIG.GROUND.MAX_GROUND_DISTANCE;
+
+        const hit = scene.pickWithRay(_groundRay, isColliderMesh, false);
+        if (!hit || !hit.hit || !hit.pickedPoint) continue;
+
+        if (!best || hit.pickedPoint.y > best.y) {
+            const normal = hit.getNormal(true, true);
+            best = {
+                y: hit.pickedPoint.y,
+                // Angle between the surface and the horizontal plane
+                slopeDegrees: normal ? BABYLON.Tools.ToDegrees(Math.acos(Math.min(1, Math.abs(normal.y)))) : 0
+            };
+        }
+    }
+    return best;
+}
+
+// Per-frame update (called from optimizedRenderLoop in main.js)
+function updateGroundFollow(deltaTimeMs, reducedSampling = false) {
+    if (!camera || !scene) return;
+
+    // Without a collider there is nothing to stand on - keep the fixed eye height
+    if (!isGroundFollowActive()) {
+        const targetHeight = CONFIG.CAMERA.HEIGHT;
+        if (Math.abs(camera.position.y - targetHeight) > 0.01) {
+            camera.position.y = targetHeight;
+        }
+        groundVerticalVelocity = 0;
+        return;
+    }
+
+    // Clamp long frames (tab switches, loading hitches) so we never tunnel through floors
+    const deltaTime = Math.min(deltaTimeMs, CONFIG.GROUND.MAX_DELTA_TIME_MS) / 1000;
+    const feetY = camera.position.y - CONFIG.CAMERA.HEIGHT;
+    const ground = findGroundBelowCamera(reducedSampling);
+
+    // Too steep to walk up: undo the horizontal step that brought us onto the slope
+    if (ground && ground.y > feetY + 0.01 && ground.slopeDegrees > CONFIG.GROUND.MAX_SLOPE_DEGREES && lastWalkablePosition) {
+        camera.position.x = lastWalkablePosition.x;
+        camera.position.z = lastWalkablePosition.z;
+        return;
+    }
+
+    if (!ground) {
+        // No floor in range (edge of the scan): hold altitude rather than falling into the void
+        if (!CONFIG.GROUND.FALL_WHEN_NO_GROUND) {
+            groundVerticalVelocity = 0;
+            return;
+        }
+        applyGravityStep(deltaTime, -Infinity);
+        return;
+    }
+
+    const heightAboveGround = feetY - ground.y;
+
+    if (heightAboveGround <= 0) {
+        // Step up (stairs, ramps) - smoothed so stairs don't feel like teleports
+        const climb = Math.min(-heightAboveGround, CONFIG.GROUND.STEP_UP_SPEED * deltaTime);
+        camera.position.y += heightAboveGround < -0.005 ? climb : -heightAboveGround;
+        landOnGround();
+    } else if (isCameraGrounded && heightAboveGround <= CONFIG.GROUND.SNAP_DOWN_DISTANCE) {
+        // Walking down stairs/ramps: stick to the floor instead of hopping off every step
+        camera.position.y -= heightAboveGround;
+        landOnGround();
+    } else {
+        // Airborne (walked off a mezzanine edge etc.)
+        isCameraGrounded = false;
+        applyGravityStep(deltaTime, ground.y);
+    }
+}
+
+function applyGravityStep(deltaTime, groundY) {
+    groundVerticalVelocity = Math.max(
+        groundVerticalVelocity - CONFIG.GROUND.GRAVITY * deltaTime,
+        -CONFIG.GROUND.MAX_FALL_SPEED
+    );
+    camera.position.y = Math.max(
+        camera.position.y + groundVerticalVelocity * deltaTime,
+        groundY + CONFIG.CAMERA.HEIGHT
+    );
+}
+
+function landOnGround() {
+    isCameraGrounded = true;
+    groundVerticalVelocity = 0;
+    if (!lastWalkablePosition) {
+        lastWalkablePosition = camera.position.clone();
+    } else {
+        lastWalkablePosition.copyFrom(camera.position);
+    }
+}
+
+// Forget velocity/last position after teleports (spawn, scene switch)
+function resetGroundFollow() {
+    groundVerticalVelocity = 0;
+    isCameraGrounded = false;
+    lastWalkablePosition = null;
+}
+
+// Expose necessary functions globally
+window.updateGroundFollow = updateGroundFollow; // Called by main.js render loop
+window.resetGroundFollow = resetGroundFollow; // Called after camera teleports
+window.isGroundFollowActive = isGroundFollowActive;
+window.isColliderMesh = isColliderMesh;
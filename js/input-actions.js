@@ -0,0 +1,196 @@
+// input-actions.js - Input action layer: keyboard, virtual joystick, gamepad (and future sources) feed
+// move/look/sprint/interact, and one velocity model in meters per second moves the camera
+
+// Input action state
+const inputSources = new Map(); // name -> poll(actions, deltaTime), called once per frame
+const inputActions = createInputActions(); // Reused every frame
+const inputVelocity = { x: 0, z: 0 }; // Horizontal camera velocity in world space (m/s)
+let wasInteractPressed = false;
+let isInputDrivingCamera = false; // cameraDirection was written by this module last frame
+
+// Actions for one frame. move: x = strafe right, y = forward (-1..1, magnitude <= 1);
+// look: x = yaw right, y = pitch down (-1..1, scaled by CONFIG.INPUT.LOOK_SPEED)
+function createInputActions() {
+    return { move: { x: 0, y: 0 }, look: { x: 0, y: 0 }, sprint: false, interact: false };
+}
+
+function resetInputActions(actions) {
+    actions.move.x = 0;
+    actions.move.y = 0;
+    actions.look.x = 0;
+    actions.look.y = 0;
+    actions.sprint = false;
+    actions.interact = false;
+    return actions;
+}
+
+// A source adds its contribution to the shared actions every frame (sources are summed, move is clamped)
+function registerInputSource(name, poll) {
+    inputSources.set(name, poll);
+}
+
+function unregisterInputSource(name) {
+    inputSources.delete(name);
+}
+
+// Move velocity toward target by at most rate * deltaTime (m/s), so acceleration doesn't depend on frame rate.
+// Speeding up uses acceleration, slowing down/stopping uses deceleration.
+function stepInputVelocity(velocity, targetX, targetZ, acceleration, deceleration, deltaTime) {
+    const diffX = targetX - velocity.x;
+    const diffZ = targetZ - velocity.z;
+    const diff = Math.sqrt(diffX * diffX + diffZ * diffZ);
+    if (diff === 0) return velocity;
+
+    const speedingUp = targetX * targetX + targetZ * targetZ > velocity.x * velocity.x + velocity.z * velocity.z;
+    const maxStep = (speedingUp ? acceleration : deceleration) * deltaTime;
+    if (diff <= maxStep) {
+        velocity.x = targetX;
+        velocity.z = targetZ;
+    } else {
+        velocity.x += diffX / diff * maxStep;
+        velocity.z += diffZ / diff * maxStep;
+    }
+    return velocity;
+}
+
+// Limit a move vector to unit length (keyboard diagonals and summed sources)
+function clampMoveVector(move) {
+    const magnitude = Math.sqrt(move.x * move.x + move.y * move.y);
+    if (magnitude > 1) {
+        move.x /= magnitude;
+        move.y /= magnitude;
+    }
+    return move;
+}
+
+// Per-frame update (called from optimizedRenderLoop in main.js)
+function updateInputActions(deltaTimeMs) {
+    if (!camera) return;
+    const deltaTime = Math.min(deltaTimeMs, 100) / 1000;
+
+    // The XR rig and camera flights own the camera while they run
+    const isXRActive = typeof isXRSessionActive === 'function' && isXRSessionActive();
+    const isFlying = typeof isCameraFlightActive === 'function' && isCameraFlightActive();
+    if (isXRActive || isFlying) {
+        stopInputMovement();
+        return;
+    }
+
+    const actions = resetInputActions(inputActions);
+    inputSources.forEach(poll => poll(actions, deltaTime));
+    clampMoveVector(actions.move);
+
+    if (actions.look.x !== 0 || actions.look.y !== 0) {
+        const step = CONFIG.INPUT.LOOK_SPEED * deltaTime;
+        applyLookDelta(actions.look.x * step, actions.look.y * step);
+    }
+
+    updateInputMovement(actions, deltaTime);
+
+    // Slow stick look stays below hasCameraMoved()'s thresholds, so ask for frames while input is active
+    const isInputActive = actions.look.x !== 0 || actions.look.y !== 0 || isInputDrivingCamera;
+    if (isInputActive && typeof requestRender === 'function') requestRender();
+
+    if (actions.interact && !wasInteractPressed) {
+        selectArtworkAtScreenCenter();
+    }
+    wasInteractPressed = actions.interact;
+}
+
+function updateInputMovement(actions, deltaTime) {
+    const { WALK_SPEED, SPRINT_MULTIPLIER, ACCELERATION, DECELERATION } = CONFIG.INPUT;
+
+    // Target velocity on the ground plane, relative to where the camera looks
+    const yaw = camera.rotation.y;
+    const speed = WALK_SPEED * (actions.sprint ? SPRINT_MULTIPLIER : 1);
+    const forwardX = Math.sin(yaw), forwardZ = Math.cos(yaw);
+    const targetX = (forwardX * actions.move.y + forwardZ * actions.move.x) * speed;
+    const targetZ = (forwardZ * actions.move.y - forwardX * actions.move.x) * speed;
+
+    stepInputVelocity(inputVelocity, targetX, targetZ, ACCELERATION, DECELERATION, deltaTime);
+
+    if (inputVelocity.x !== 0 || inputVelocity.z !== 0) {
+        // Exactly one frame's displacement: Babylon applies cameraDirection (with collisions) during
+        // render, and it is overwritten every frame so camera inertia never adds to it
+        camera.cameraDirection.set(inputVelocity.x * deltaTime, 0, inputVelocity.z * deltaTime);
+        isInputDrivingCamera = true;
+    } else if (isInputDrivingCamera) {
+        camera.cameraDirection.set(0, 0, 0);
+        isInputDrivingCamera = false;
+    }
+}
+
+function stopInputMovement() {
+    inputVelocity.x = 0;
+    inputVelocity.z = 0;
+    if (isInputDrivingCamera && camera) camera.cameraDirection.set(0, 0, 0);
+    isInputDrivingCamera = false;
+}
+
+// Art mesh under the screen center (gamepad reticle), or null
+function pickArtworkAtScreenCenter() {
+    // scene.pick takes CSS pixels (it applies the hardware scaling level itself)
+    const canvas = engine.getRenderingCanvas();
+    const pick = scene.pick(canvas.clientWidth / 2, canvas.clientHeight / 2,
+        mesh => mesh.isArtMesh && mesh.isEnabled() && mesh.isVisible);
+    return pick && pick.hit ? pick.pickedMesh : null;
+}
+
+// "Interact" action: open the popup of the artwork in the middle of the view
+function selectArtworkAtScreenCenter() {
+    const mesh = pickArtworkAtScreenCenter();
+    if (mesh && typeof openArtPopup === 'function') {
+        openArtPopup(mesh);
+    }
+    return mesh;
+}
+
+// Keyboard source: held keys of the actions registered in keybindings.js
+const KEYBOARD_INPUT_ACTIONS = [
+    ['MOVE_FORWARD', 'Move forward'],
+    ['MOVE_BACKWARD', 'Move backward'],
+    ['MOVE_LEFT', 'Move left'],
+    ['MOVE_RIGHT', 'Move right'],
+    ['SPRINT', 'Sprint (hold)'],
+    ['INTERACT', 'Open artwork in view']
+];
+
+function pollKeyboardActions(actions) {
+    actions.move.y += (isKeyActionDown('MOVE_FORWARD') ? 1 : 0) - (isKeyActionDown('MOVE_BACKWARD') ? 1 : 0);
+    actions.move.x += (isKeyActionDown('MOVE_RIGHT') ? 1 : 0) - (isKeyActionDown('MOVE_LEFT') ? 1 : 0);
+    actions.sprint = actions.sprint || isKeyActionDown('SPRINT');
+    actions.interact = actions.interact || isKeyActionDown('INTERACT');
+}
+
+function initInputActions() {
+    // Keyboard movement goes through this layer instead of Babylon's keyboard input
+    if (camera && camera.inputs.attached.keyboard) {
+        camera.inputs.removeByType('FreeCameraKeyboardInput');
+    }
+
+    KEYBOARD_INPUT_ACTIONS.forEach(([id, label]) => {
+        registerKeyAction(id, { label, defaultKeys: CONFIG.KEYBINDINGS.DEFAULTS[id] });
+    });
+    registerInputSource('keyboard', pollKeyboardActions);
+}
+
+function cleanupInputActions() {
+    unregisterInputSource('keyboard');
+    KEYBOARD_INPUT_ACTIONS.forEach(([id]) => unregisterKeyAction(id));
+    stopInputMovement();
+}
+
+// Expose necessary functions globally
+if (typeof window !== 'undefined') {
+    window.registerInputSource = registerInputSource; // Used by joystick.js and gamepad.js
+    window.unregisterInputSource = unregisterInputSource;
+    window.updateInputActions = updateInputActions; // Called by main.js render loop
+    window.selectArtworkAtScreenCenter = selectArtworkAtScreenCenter;
+    window.initInputActions = initInputActions; // Called by main.js
+    window.cleanupInputActions = cleanupInputActions;
+}
+
+// Export for non-browser use (velocity model tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { stepInputVelocity, clampMoveVector, createInputActions };
+}
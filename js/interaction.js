@@ -5,6 +5,8 @@ let interactiveMeshes = [];
 let isArtMeshLoaded = false;
 let popupMenu = null;
 let currentlySelectedMesh = null;
+const loadedArtPieces = new Map(); // pieceId -> { piece, node, meshes (incl. __root__), interactive }
+let artLoadGeneration = 0; // Bumped by unloadArtMeshes(); imports started before that are discarded
 
 // Initialize interactions
 function initInteractions() {
@@ -16,12 +18,17 @@ function initInteractions() {
     
     // Load art meshes if not already loaded
     if (!isArtMeshLoaded) {
+        // Prefer the art list of the active gallery scene when a manifest is in use
+        const galleryEntry = (typeof getActiveGalleryScene === 'function') ? getActiveGalleryScene() : null;
+
         // Load the initial art mesh from config
         const artFile = CONFIG?.ASSETS?.DEFAULT_ART_FILE; // <<< CHANGE: Get filename from config
         const artPath = CONFIG?.ASSETS?.ART_ASSETS_PATH || "./assets/art/"; // Use configured path
 
-        if (artFile) {
-            loadArtMesh(artFile, artPath); // <<< CHANGE: Pass path as well
+        if (galleryEntry) {
+            loadSceneArt(galleryEntry);
+        } else if (artFile) {
+            loadSceneArt({ art: [artFile], artPath, catalog: CONFIG.ASSETS.ART_CATALOG });
         } else {
             console.warn("No default art file specified in CONFIG.ASSETS.DEFAULT_ART_FILE. Skipping initial art load.");
             // Optionally hide loading indicator if shown for art loading specifically
@@ -83,6 +90,7 @@ function createPopupMenu() {
                 </div>
             </div>
         </div>
+        <button class="popup-view-button" title="Fly to a good viewpoint (Esc to return)"><i class="fas fa-eye"></i> View</button>
     `;
 
     // MEMORY OPTIMIZATION: Cache DOM references for future updates
@@ -91,12 +99,25 @@ function createPopupMenu() {
     popupMenu._artistElement = popupMenu.querySelector('.art-info-artist');
     popupMenu._yearElement = popupMenu.querySelector('.art-info-year');
     popupMenu._mediumElement = popupMenu.querySelector('.art-info-medium');
+    popupMenu._viewButton = popupMenu.querySelector('.popup-view-button');
     
     // Add close button event listener using EventManager
     const closeButton = popupMenu.querySelector('.popup-close');
     if (closeButton) {
         EventManager.addListener('interaction', closeButton, 'click', hidePopup);
     }
+
+    // "View" flies the camera to the selected piece (camera-flight.js)
+    if (popupMenu._viewButton) {
+        popupMenu._viewButton.style.display = CONFIG.FLY_TO.ENABLED ? '' : 'none';
+        EventManager.addListener('interaction', popupMenu._viewButton, 'click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            const mesh = currentlySelectedMesh;
+            hidePopup();
+            if (mesh && typeof flyToArtwork === 'function') flyToArtwork(mesh);
+        });
+    }
     
     // Add to DOM
     document.body.appendChild(popupMenu);
@@ -112,49 +133,210 @@ function createPopupMenu() {
     });
 }
 
-// Load art mesh from file
-async function loadArtMesh(fileName, basePath = "./assets/art/") { // <<< CHANGE: Added basePath parameter with default
+// Load one art piece: import its GLB and place it with the piece's position/rotation/scale.
+// Returns true on success; errors are logged and reported to the caller instead of thrown.
+async function loadArtPiece(piece, basePath = CONFIG?.ASSETS?.ART_ASSETS_PATH || "./assets/art/") {
+    if (loadedArtPieces.has(piece.id)) {
+        console.warn(`Art piece '${piece.id}' is already loaded.`);
+        return true;
+    }
+
+    const generation = artLoadGeneration;
+    let result = null;
     try {
-        showLoadingIndicator(`Loading ${fileName}...`);
+        result = await BABYLON.SceneLoader.ImportMeshAsync("", basePath, piece.file, scene);
 
-        // Load the art mesh using base path and filename
-        const result = await BABYLON.SceneLoader.ImportMeshAsync(
-            "", basePath, fileName, scene // <<< CHANGE: Use basePath
-        );
+        // The room was unloaded (gallery scene switch) while this file was importing
+        if (generation !== artLoadGeneration) {
+            result.meshes.forEach(mesh => {
+                if (mesh && !mesh.isDisposed()) mesh.dispose(false, true);
+            });
+            console.log(`Art piece '${piece.id}' finished loading after its scene was unloaded; discarded.`);
+            return false;
+        }
 
-        // Configure art mesh for interaction
-        configureArtMesh(result);
+        // Parent the glTF root (which holds the handedness conversion) to a per-piece node
+        const pieceNode = new BABYLON.TransformNode(`art:${piece.id}`, scene);
+        pieceNode.position.set(...piece.position);
+        pieceNode.rotation.set(...piece.rotation.map(degrees => BABYLON.Tools.ToRadians(degrees)));
+        pieceNode.scaling.set(...piece.scale);
+        result.meshes.forEach(mesh => {
+            if (!mesh.parent) mesh.parent = pieceNode;
+        });
+        pieceNode.computeWorldMatrix(true);
+        result.meshes.forEach(mesh => mesh.computeWorldMatrix(true)); // Before configureArtMesh freezes them
+
+        const pieceMeshes = configureArtMesh(result);
+        pieceMeshes.forEach(mesh => { mesh.artPieceId = piece.id; });
+        loadedArtPieces.set(piece.id, { piece, node: pieceNode, meshes: result.meshes, interactive: pieceMeshes });
         isArtMeshLoaded = true; // Mark true only after successful load and config
 
         if (CONFIG.DEBUG.ENABLE_LOGGING) {
-            console.log(`Art mesh ${fileName} loaded successfully`);
+            console.log(`Art piece '${piece.id}' (${piece.file}) loaded successfully`);
         }
-
+        return true;
     } catch (error) {
-        console.error(`Art mesh loading error (${fileName}):`, error);
-        showError(`Failed to load art mesh ${fileName}: ${error.message || error}`);
-        isArtMeshLoaded = false; // Ensure flag is false on error
-    } finally {
-        hideLoadingIndicator();
+        console.error(`Art mesh loading error (${piece.file}):`, error);
+        // Don't leave half-configured meshes behind
+        if (result) {
+            result.meshes.forEach(mesh => {
+                if (mesh && !mesh.isDisposed()) mesh.dispose(false, true);
+            });
+        }
+        return false;
+    }
+}
+
+// Load a list of art pieces in parallel; one broken file doesn't stop the others.
+// Accepts normalized pieces from gallery.js or plain file names.
+async function loadArtFiles(pieces, basePath = CONFIG?.ASSETS?.ART_ASSETS_PATH || "./assets/art/") {
+    if (!Array.isArray(pieces) || pieces.length === 0) return [];
+
+    const normalized = pieces.map(piece => typeof piece === 'string'
+        ? { id: piece, file: piece, position: [0, 0, 0], rotation: [0, 0, 0], scale: [1, 1, 1] }
+        : piece);
+
+    const generation = artLoadGeneration;
+    let finished = 0;
+    showLoadingIndicator(`${CONFIG.LOADING.ART_MESSAGE} (0/${normalized.length})`);
+
+    const results = await Promise.all(normalized.map(piece =>
+        loadArtPiece(piece, basePath).then(loaded => {
+            finished++;
+            if (generation === artLoadGeneration) {
+                showLoadingIndicator(`${CONFIG.LOADING.ART_MESSAGE} (${finished}/${normalized.length})`);
+            }
+            return loaded;
+        })
+    ));
+    // Superseded by a scene switch: the new room owns the loading indicator, and discarded pieces aren't failures
+    if (generation !== artLoadGeneration) return results;
+    hideLoadingIndicator();
+
+    // One message for all failures instead of one popup per file
+    const failed = normalized.filter((piece, index) => !results[index]).map(piece => piece.file);
+    if (failed.length > 0) {
+        showError(`Failed to load ${failed.length} art file(s): ${failed.join(', ')}`);
     }
+    return results;
 }
 
-// Configure art mesh properties
+// Remove a single art piece (meshes, materials, action managers) from the scene
+function unloadArtPiece(pieceId) {
+    const loaded = loadedArtPieces.get(pieceId);
+    if (!loaded) return false;
+
+    if (currentlySelectedMesh && loaded.interactive.includes(currentlySelectedMesh)) {
+        hidePopup();
+        currentlySelectedMesh = null;
+    }
+
+    loaded.interactive.forEach(mesh => {
+        if (mesh.actionManager) {
+            mesh.actionManager.dispose();
+            mesh.actionManager = null;
+        }
+        const index = interactiveMeshes.indexOf(mesh);
+        if (index !== -1) interactiveMeshes.splice(index, 1);
+    });
+
+    loaded.meshes.forEach(mesh => {
+        if (mesh && !mesh.isDisposed()) {
+            mesh.dispose(false, true); // Recurse into children, release materials/textures
+        }
+    });
+    loaded.node.dispose();
+
+    loadedArtPieces.delete(pieceId);
+    isArtMeshLoaded = loadedArtPieces.size > 0;
+    document.body.style.cursor = 'default';
+
+    if (CONFIG.DEBUG.ENABLE_LOGGING) {
+        console.log(`Art piece '${pieceId}' unloaded`);
+    }
+    return true;
+}
+
+// Load a scene's art catalog, then its art files, then report catalog/mesh mismatches
+async function loadSceneArt(sceneEntry) {
+    if (typeof loadArtCatalog === 'function') {
+        await loadArtCatalog(sceneEntry.catalog);
+    }
+    await loadArtFiles(sceneEntry.art, sceneEntry.artPath);
+
+    if (typeof reportArtCatalogCoverage === 'function') {
+        const allMeshes = [];
+        loadedArtPieces.forEach(loaded => allMeshes.push(...loaded.meshes));
+        reportArtCatalogCoverage(allMeshes);
+    }
+
+    // A view link may be waiting for its artwork to load
+    if (typeof restoreLinkedArtwork === 'function') restoreLinkedArtwork();
+}
+
+// Unload every art piece from the scene (used when swapping gallery scenes)
+function unloadArtMeshes() {
+    artLoadGeneration++;
+    hidePopup();
+    Array.from(loadedArtPieces.keys()).forEach(unloadArtPiece);
+
+    interactiveMeshes.length = 0;
+    currentlySelectedMesh = null;
+    isArtMeshLoaded = false;
+
+    if (CONFIG.DEBUG.ENABLE_LOGGING) {
+        console.log("All art meshes unloaded");
+    }
+}
+
+// All interactive meshes of the piece a mesh belongs to (used to frame the whole piece)
+function getArtPieceMeshes(mesh) {
+    const loaded = mesh && loadedArtPieces.get(mesh.artPieceId);
+    return loaded ? loaded.interactive : [mesh];
+}
+
+// Loaded art mesh by reference (catalog id first, then exact mesh name) - used by tours and view links
+function findArtMeshByRef(artRef) {
+    if (!artRef) return null;
+    const byCatalog = interactiveMeshes.find(mesh => {
+        const entry = (typeof findArtCatalogEntry === 'function') ? findArtCatalogEntry(mesh) : null;
+        return entry && entry.id === artRef;
+    });
+    return byCatalog || interactiveMeshes.find(mesh => mesh.name === artRef) || null;
+}
+
+// Stable reference for a mesh: its catalog id, or its name when it has no entry
+function getArtMeshRef(mesh) {
+    const entry = (typeof findArtCatalogEntry === 'function') ? findArtCatalogEntry(mesh) : null;
+    return entry ? entry.id : mesh.name;
+}
+
+// Mesh whose popup is currently open (null when closed)
+function getOpenArtMesh() {
+    return popupMenu && popupMenu.classList.contains('active') ? currentlySelectedMesh : null;
+}
+
+// Open the popup for a mesh without a click (restored view links), near the middle of the screen
+function openArtPopup(mesh) {
+    if (!popupMenu || !mesh) return false;
+    currentlySelectedMesh = mesh;
+    showPopupForMesh(mesh, null, { x: window.innerWidth / 2, y: window.innerHeight / 3 });
+    return true;
+}
+
+// Ids/files/placements of the pieces currently in the scene
+function getLoadedArtPieces() {
+    return Array.from(loadedArtPieces.values()).map(loaded => loaded.piece);
+}
+
+// Configure art mesh properties. Adds to interactiveMeshes and returns this import's interactive meshes.
 function configureArtMesh(importResult) {
     // Initialize the scene's ActionManager if it doesn't exist
     if (!scene.actionManager) {
         scene.actionManager = new BABYLON.ActionManager(scene);
     }
 
-    // MEMORY OPTIMIZATION: Dispose previous mesh action managers before creating new ones
-    interactiveMeshes.forEach(mesh => {
-        if (mesh?.actionManager) { 
-            mesh.actionManager.dispose();
-        }
-    });
-    
-    // Reset the array instead of creating a new one
-    interactiveMeshes.length = 0; 
+    const addedMeshes = [];
 
     // MEMORY OPTIMIZATION: Reuse this vector for material caching
     const emissiveCache = new BABYLON.Color3(0, 0, 0);
@@ -169,8 +351,9 @@ function configureArtMesh(importResult) {
         // MEMORY OPTIMIZATION: Use direct property instead of creating objects
         mesh.isArtMesh = true;
 
-        // Add to our list of interactive meshes
+        // Add to our list of interactive meshes (accumulates across files)
         interactiveMeshes.push(mesh);
+        addedMeshes.push(mesh);
 
         // Setup action manager for the mesh
         setupMeshActionManager(mesh, emissiveCache);
@@ -200,6 +383,8 @@ function configureArtMesh(importResult) {
             }
         }
     });
+
+    return addedMeshes;
 }
 
 // Setup action manager for a specific mesh
@@ -218,6 +403,9 @@ function setupMeshActionManager(mesh) {
         new BABYLON.ExecuteCodeAction(
             BABYLON.ActionManager.OnPickTrigger,
             function(evt) {
+                // In VR, xr.js shows an in-world panel instead of the DOM popup
+                if (typeof isXRSessionActive === 'function' && isXRSessionActive()) return;
+
                 // Get the mesh that was clicked
                 const pickedMesh = evt.source;
                 
@@ -286,12 +474,12 @@ function setupMeshActionManager(mesh) {
     );
 }
 
-// Show popup for a specific mesh
-function showPopupForMesh(mesh, evt) {
+// Show popup for a specific mesh (at the pointer, or at screenPoint {x, y} when given)
+function showPopupForMesh(mesh, evt, screenPoint = null) {
     if (!popupMenu) return;
     
     // Get art information for this mesh
-    const artInfo = getArtInfo(mesh.name);
+    const artInfo = getArtInfo(mesh);
     
     // MEMORY OPTIMIZATION: Use cached DOM references for fast updates
     // This avoids expensive querySelector calls on every interaction
@@ -304,13 +492,16 @@ function showPopupForMesh(mesh, evt) {
     // Position popup at the current mouse position
     positionPopupAtPointer({
         event: {
-            clientX: scene.pointerX,
-            clientY: scene.pointerY
+            clientX: screenPoint ? screenPoint.x : scene.pointerX,
+            clientY: screenPoint ? screenPoint.y : scene.pointerY
         }
     });
     
     // Show popup
     popupMenu.classList.add('active');
+
+    // The open artwork is part of the shareable view link
+    if (typeof scheduleViewLinkUpdate === 'function') scheduleViewLinkUpdate();
 }
 
 
@@ -373,7 +564,9 @@ function positionPopupAtPointer(pointerInfo) {
 // Hide popup - exposed globally for access from other modules
 function hidePopup() {
     if (!popupMenu) return;
+    const wasOpen = popupMenu.classList.contains('active');
     popupMenu.classList.remove('active');
+    if (wasOpen && typeof scheduleViewLinkUpdate === 'function') scheduleViewLinkUpdate();
 }
 
 // Export hidePopup to window for access from other modules
@@ -441,11 +634,14 @@ function disposeInteractions() {
         popupMenu._artistElement = null;
         popupMenu._yearElement = null;
         popupMenu._mediumElement = null;
+        popupMenu._viewButton = null;
         
         popupMenu = null;
     }
     
     isArtMeshLoaded = false;
+    loadedArtPieces.clear();
+    artLoadGeneration++; // Imports still in flight are discarded
     
     // Force a garbage collection hint if available
     if (window.gc) {
@@ -456,4 +652,14 @@ function disposeInteractions() {
 }
 
 // Expose cleanup method globally
-window.disposeInteractions = disposeInteractions;
\ No newline at end of file
+window.disposeInteractions = disposeInteractions;
+window.loadArtFiles = loadArtFiles;
+window.unloadArtPiece = unloadArtPiece;
+window.getLoadedArtPieces = getLoadedArtPieces;
+window.getArtPieceMeshes = getArtPieceMeshes;
+window.findArtMeshByRef = findArtMeshByRef;
+window.getArtMeshRef = getArtMeshRef;
+window.getOpenArtMesh = getOpenArtMesh;
+window.openArtPopup = openArtPopup;
+window.loadSceneArt = loadSceneArt; // Used by gallery.js
+window.unloadArtMeshes = unloadArtMeshes;
\ No newline at end of file
@@ -7,6 +7,7 @@ window.joystickBaseRect = null;
 window.baseRadius = 0;
 window.maxHandleDistance = 0;
 window.joystickVisible = false;
+window.lookStickVector = { x: 0, y: 0 }; // Right-hand look stick (LOOK_MODE 'stick'), read by pollJoystickActions()
 
 // Performance optimization variables
 let lastMoveTime = 0;
@@ -19,6 +20,20 @@ let updateScheduled = false;
 let rafId = null;
 let joystickHandle = null;
 
+// Multi-touch tracking: every finger is followed by its touch.identifier
+let joystickTouchId = null; // Finger on the movement stick
+let lookTouch = null; // { id, x, y } - finger dragging in the look area (LOOK_MODE 'area')
+let lookStickTouchId = null; // Finger on the look stick (LOOK_MODE 'stick')
+let lookStickHandle = null;
+let lookStickRect = null;
+
+// Touch control preferences (settings panel, saved in localStorage)
+const JOYSTICK_MODES = ['fixed', 'floating'];
+const JOYSTICK_RESPONSE_CURVES = ['linear', 'quadratic', 'expo'];
+let joystickMode = CONFIG.JOYSTICK.MODE; // 'fixed' = base at CONFIG.JOYSTICK.POSITION, 'floating' = base spawns under the thumb
+let joystickResponseCurve = CONFIG.JOYSTICK.RESPONSE_CURVE;
+let wasAtMaxDeflection = false; // Haptic pulse fires once per push to the rim
+
 // Initialize joystick
 function initJoystick() {
     const joystickContainer = document.getElementById('joystickContainer');
@@ -36,12 +51,9 @@ function initJoystick() {
         return;
     }
     
-    // Set performance parameters based on device capability
-    const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-    const isLowEndMobile = isMobile && (
-        /iPhone\s(5|6|7|8|SE)|Android.*SM-G9|Android.*GT-/i.test(navigator.userAgent) || 
-        (window.screen.width * window.screen.height < 1000000)
-    );
+    // Set performance parameters based on device capability (device-profile.js)
+    const { isMobile, isLowEnd } = getDeviceProfile();
+    const isLowEndMobile = isMobile && isLowEnd;
     
     // Set appropriate throttling for the device
     if (isLowEndMobile) {
@@ -55,22 +67,37 @@ function initJoystick() {
         movementThreshold = 0; // No threshold on desktop
     }
     
+    loadJoystickPreferences();
+
     // Show joystick automatically on mobile devices if configured
     if (CONFIG.JOYSTICK.AUTO_SHOW_ON_MOBILE && isMobile) {
         window.joystickVisible = true;
-        joystickContainer.style.display = 'block';
     }
-    
-    // Set joystick position from config
-    const [left, bottom] = CONFIG.JOYSTICK.POSITION;
-    joystickContainer.style.left = `${left}px`;
-    joystickContainer.style.bottom = `${bottom}px`;
+    applyJoystickLayout();
     
     // Setup joystick dimensions
     updateJoystickDimensions();
     
     // Setup optimized event listeners
     setupJoystickEvents();
+    updateJoystickSettingsSection();
+    if (typeof registerInputSource === 'function') registerInputSource('joystick', pollJoystickActions);
+}
+
+// Fixed mode shows the base at CONFIG.JOYSTICK.POSITION; floating mode keeps it hidden until a thumb lands
+function applyJoystickLayout() {
+    const joystickContainer = document.getElementById('joystickContainer');
+    if (!joystickContainer) return;
+
+    if (joystickMode === 'floating') {
+        if (!window.joystickActive) joystickContainer.style.display = 'none';
+        return;
+    }
+
+    joystickContainer.style.display = window.joystickVisible ? 'block' : 'none';
+    const [left, bottom] = CONFIG.JOYSTICK.POSITION;
+    joystickContainer.style.left = `${left}px`;
+    joystickContainer.style.bottom = `${bottom}px`;
 }
 
 // Toggle joystick visibility
@@ -79,7 +106,7 @@ function toggleJoystick() {
     if (!joystickContainer) return;
     
     window.joystickVisible = !window.joystickVisible;
-    joystickContainer.style.display = window.joystickVisible ? 'block' : 'none';
+    updateTouchLookMode();
     
     // Cancel any active animations if hiding
     if (!window.joystickVisible) {
@@ -88,8 +115,12 @@ function toggleJoystick() {
             rafId = null;
         }
         updateScheduled = false;
+        window.joystickActive = false;
+        joystickTouchId = null;
         resetJoystick();
+        applyJoystickLayout();
     } else {
+        applyJoystickLayout();
         // If showing, update dimensions after display change
         setTimeout(updateJoystickDimensions, 10);
     }
@@ -113,12 +144,48 @@ function setupJoystickEvents() {
     EventManager.addListener('joystick', document, 'touchmove', handleTouchMove, { passive: false });
     EventManager.addListener('joystick', document, 'touchend', handleTouchEnd, { passive: true });
     EventManager.addListener('joystick', document, 'touchcancel', handleTouchEnd, { passive: true });
+
+    // Floating joystick spawn (left third) and look area (right side) on the canvas, or a look stick
+    const canvas = document.getElementById('renderCanvas');
+    if (canvas) {
+        EventManager.addListener('joystick', canvas, 'touchstart', handleFloatingTouchStart, { passive: false });
+        EventManager.addListener('joystick', canvas, 'touchstart', handleLookAreaTouchStart, { passive: true });
+    }
+    const lookStickBase = document.getElementById('lookStickBase');
+    lookStickHandle = document.getElementById('lookStickHandle');
+    if (lookStickBase) {
+        EventManager.addListener('joystick', lookStickBase, 'touchstart', handleLookStickTouchStart, { passive: false });
+    }
+    updateTouchLookMode();
+}
+
+// Dual-stick mode is active while the joystick is visible. Babylon's own touch-look is then
+// switched off so it doesn't fight the sticks (mouse look and tap-to-select still work).
+function updateTouchLookMode() {
+    const lookMode = CONFIG.JOYSTICK.LOOK_MODE;
+    const dualStick = window.joystickVisible && lookMode !== 'none';
+
+    const mouseInput = (typeof camera !== 'undefined' && camera) ? camera.inputs.attached.mouse : null;
+    if (mouseInput) mouseInput.touchEnabled = !dualStick;
+
+    const lookStickContainer = document.getElementById('lookStickContainer');
+    if (lookStickContainer) {
+        lookStickContainer.style.display = dualStick && lookMode === 'stick' ? 'block' : 'none';
+        if (dualStick && lookMode === 'stick') {
+            const [right, bottom] = CONFIG.JOYSTICK.LOOK_STICK_POSITION;
+            lookStickContainer.style.right = `${right}px`;
+            lookStickContainer.style.bottom = `${bottom}px`;
+        }
+    }
+    if (!dualStick) endLookTouches();
 }
 
 // Update joystick dimensions with optimized layout triggers
 function updateJoystickDimensions() {
     const joystickBase = document.getElementById('joystickBase');
     if (!joystickBase || !joystickHandle) return;
+    // A floating base is measured when it spawns (it is hidden, or under the thumb, otherwise)
+    if (joystickMode === 'floating') return;
     
     // Force recalculation of dimensions (unavoidable layout trigger)
     window.joystickBaseRect = joystickBase.getBoundingClientRect();
@@ -191,8 +258,7 @@ function moveJoystick(e) {
     }
     
     // OPTIMIZATION: Update joystick vector immediately for gameplay logic
-    window.joystickVector.x = nx / window.maxHandleDistance; // Right is positive X
-    window.joystickVector.y = -ny / window.maxHandleDistance; // Up is positive Y (inverted for screen coords)
+    setJoystickVector(nx / window.maxHandleDistance, -ny / window.maxHandleDistance); // Right/up are positive (screen Y inverted)
     
     // OPTIMIZATION: Use requestAnimationFrame for visual updates to prevent layout thrashing
     if (!updateScheduled) {
@@ -224,12 +290,46 @@ function endJoystick(e) {
         rafId = null;
     }
     updateScheduled = false;
+
+    // A floating base disappears with the thumb
+    if (joystickMode === 'floating') {
+        const joystickContainer = document.getElementById('joystickContainer');
+        if (joystickContainer) joystickContainer.style.display = 'none';
+    }
     
     if (e && e.preventDefault) {
         e.preventDefault();
     }
 }
 
+// Shape stick deflection: the handle follows the thumb, the curve only changes the output magnitude
+function applyResponseCurve(magnitude, curve) {
+    switch (curve) {
+        case 'quadratic':
+            return magnitude * magnitude;
+        case 'expo': {
+            const k = CONFIG.JOYSTICK.EXPO_STRENGTH;
+            return (Math.exp(k * magnitude) - 1) / (Math.exp(k) - 1);
+        }
+        default:
+            return magnitude;
+    }
+}
+
+// Store the deflection (-1..1 per axis, raw) as the curved window.joystickVector, with a haptic pulse at the rim
+function setJoystickVector(x, y) {
+    const magnitude = Math.min(1, Math.sqrt(x * x + y * y));
+    const scale = magnitude > 0 ? applyResponseCurve(magnitude, joystickResponseCurve) / magnitude : 0;
+    window.joystickVector.x = x * scale;
+    window.joystickVector.y = y * scale;
+
+    const atMax = magnitude >= CONFIG.JOYSTICK.HAPTIC_THRESHOLD;
+    if (atMax && !wasAtMaxDeflection && CONFIG.JOYSTICK.HAPTICS && navigator.vibrate) {
+        navigator.vibrate(CONFIG.JOYSTICK.HAPTIC_PULSE_MS);
+    }
+    wasAtMaxDeflection = atMax;
+}
+
 // Reset joystick to center with optimized visual update
 function resetJoystick() {
     // Reset joystick vector immediately for gameplay logic
@@ -245,26 +345,159 @@ function resetJoystick() {
     lastPositionX = 0;
     lastPositionY = 0;
     transformDirty = false;
+    wasAtMaxDeflection = false;
 }
 
 // Touch event handlers with improved touch response
 function handleTouchStart(e) {
-    if (!window.joystickVisible || e.touches.length === 0) return;
+    if (!window.joystickVisible || e.changedTouches.length === 0 || joystickTouchId !== null) return;
     e.preventDefault();
     
+    // Follow the finger that landed on the stick, not whichever touch comes first in the list
+    const touch = e.changedTouches[0];
+    joystickTouchId = touch.identifier;
     window.joystickActive = true;
-    moveJoystickTouch(e.touches[0]);
+    moveJoystickTouch(touch);
 }
 
 function handleTouchMove(e) {
-    if (!window.joystickActive || !window.joystickVisible || e.touches.length === 0) return;
-    e.preventDefault();
-    
-    moveJoystickTouch(e.touches[0]);
+    if (!window.joystickVisible) return;
+
+    let handled = false;
+    for (const touch of e.changedTouches) {
+        if (touch.identifier === joystickTouchId && window.joystickActive) {
+            moveJoystickTouch(touch);
+            handled = true;
+        } else if (lookTouch && touch.identifier === lookTouch.id) {
+            moveLookAreaTouch(touch);
+            handled = true;
+        } else if (touch.identifier === lookStickTouchId) {
+            moveLookStickTouch(touch);
+            handled = true;
+        }
+    }
+    if (handled) e.preventDefault();
 }
 
 function handleTouchEnd(e) {
-    endJoystick(e);
+    for (const touch of e.changedTouches) {
+        if (touch.identifier === joystickTouchId) {
+            joystickTouchId = null;
+            endJoystick(e);
+        } else if (lookTouch && touch.identifier === lookTouch.id) {
+            lookTouch = null;
+        } else if (touch.identifier === lookStickTouchId) {
+            endLookStick();
+        }
+    }
+}
+
+// Floating mode: a thumb landing in the left part of the screen spawns the base centered under it
+function handleFloatingTouchStart(e) {
+    if (!window.joystickVisible || joystickMode !== 'floating' || joystickTouchId !== null) return;
+
+    const touch = Array.from(e.changedTouches)
+        .find(t => t.clientX < window.innerWidth * CONFIG.JOYSTICK.FLOATING_AREA_END);
+    const joystickContainer = document.getElementById('joystickContainer');
+    if (!touch || !joystickContainer) return;
+    e.preventDefault();
+
+    joystickContainer.style.display = 'block';
+    const radius = joystickContainer.offsetWidth / 2;
+    joystickContainer.style.left = `${touch.clientX - radius}px`;
+    joystickContainer.style.bottom = `${window.innerHeight - touch.clientY - radius}px`;
+
+    // Known from the touch point - no layout read needed
+    window.joystickBaseRect = { left: touch.clientX - radius, top: touch.clientY - radius, width: radius * 2, height: radius * 2 };
+    window.baseRadius = radius;
+    window.maxHandleDistance = radius * CONFIG.JOYSTICK.MAX_HANDLE_DISTANCE_FACTOR;
+
+    joystickTouchId = touch.identifier;
+    window.joystickActive = true;
+    resetJoystick();
+}
+
+// Look area: a finger landing on the right part of the canvas drags the view
+function handleLookAreaTouchStart(e) {
+    if (!window.joystickVisible || CONFIG.JOYSTICK.LOOK_MODE !== 'area' || lookTouch) return;
+
+    for (const touch of e.changedTouches) {
+        if (touch.identifier === joystickTouchId) continue; // Just spawned the floating joystick
+        if (touch.clientX >= window.innerWidth * CONFIG.JOYSTICK.LOOK_AREA_START) {
+            lookTouch = { id: touch.identifier, x: touch.clientX, y: touch.clientY };
+            return;
+        }
+    }
+}
+
+function moveLookAreaTouch(touch) {
+    const deltaX = touch.clientX - lookTouch.x;
+    const deltaY = touch.clientY - lookTouch.y;
+    lookTouch.x = touch.clientX;
+    lookTouch.y = touch.clientY;
+
+    // Dragging up looks up (rotation.x decreases); INVERT_LOOK_Y flips that
+    const invert = CONFIG.JOYSTICK.INVERT_LOOK_Y ? -1 : 1;
+    applyLookDelta(deltaX * CONFIG.JOYSTICK.LOOK_SENSITIVITY, deltaY * CONFIG.JOYSTICK.LOOK_SENSITIVITY * invert);
+}
+
+// Look stick: deflection sets a turn rate, applied every frame
+function handleLookStickTouchStart(e) {
+    if (!window.joystickVisible || lookStickTouchId !== null || e.changedTouches.length === 0) return;
+    e.preventDefault();
+
+    const lookStickBase = document.getElementById('lookStickBase');
+    if (!lookStickBase) return;
+    lookStickRect = lookStickBase.getBoundingClientRect();
+
+    const touch = e.changedTouches[0];
+    lookStickTouchId = touch.identifier;
+    moveLookStickTouch(touch);
+}
+
+function moveLookStickTouch(touch) {
+    if (!lookStickRect) return;
+    const radius = lookStickRect.width / 2;
+    const maxDistance = radius * CONFIG.JOYSTICK.MAX_HANDLE_DISTANCE_FACTOR;
+    const offsetX = touch.clientX - (lookStickRect.left + radius);
+    const offsetY = touch.clientY - (lookStickRect.top + radius);
+    const distance = Math.sqrt(offsetX * offsetX + offsetY * offsetY);
+    const clamped = Math.min(distance, maxDistance);
+    const nx = distance > 0 ? offsetX / distance * clamped : 0;
+    const ny = distance > 0 ? offsetY / distance * clamped : 0;
+
+    window.lookStickVector.x = nx / maxDistance;
+    window.lookStickVector.y = -ny / maxDistance;
+    if (lookStickHandle) {
+        lookStickHandle.style.transform = `translate(calc(-50% + ${nx}px), calc(-50% + ${ny}px))`;
+    }
+}
+
+function endLookStick() {
+    lookStickTouchId = null;
+    window.lookStickVector.x = 0;
+    window.lookStickVector.y = 0;
+    if (lookStickHandle) lookStickHandle.style.transform = 'translate(-50%, -50%)';
+}
+
+function endLookTouches() {
+    lookTouch = null;
+    endLookStick();
+}
+
+// Input source for input-actions.js: movement stick -> move, look stick -> look
+function pollJoystickActions(actions) {
+    if (!window.joystickVisible) return;
+
+    if (window.joystickActive) {
+        actions.move.x += window.joystickVector.x;
+        actions.move.y += window.joystickVector.y;
+    }
+    if (lookStickTouchId !== null) {
+        const invert = CONFIG.JOYSTICK.INVERT_LOOK_Y ? -1 : 1;
+        actions.look.x += window.lookStickVector.x;
+        actions.look.y -= window.lookStickVector.y * invert;
+    }
 }
 
 // Process touch movement with performance optimizations
@@ -309,8 +542,7 @@ function moveJoystickTouch(touch) {
     }
     
     // OPTIMIZATION: Update joystick vector immediately for gameplay logic
-    window.joystickVector.x = nx / window.maxHandleDistance;
-    window.joystickVector.y = -ny / window.maxHandleDistance;
+    setJoystickVector(nx / window.maxHandleDistance, -ny / window.maxHandleDistance);
     
     // OPTIMIZATION: Use requestAnimationFrame for visual updates
     if (!updateScheduled) {
@@ -324,6 +556,91 @@ function moveJoystickTouch(touch) {
     }
 }
 
+function loadJoystickPreferences() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CONFIG.JOYSTICK.PREFERENCES_STORAGE_KEY) || '{}');
+        if (JOYSTICK_MODES.includes(saved.mode)) joystickMode = saved.mode;
+        if (JOYSTICK_RESPONSE_CURVES.includes(saved.curve)) joystickResponseCurve = saved.curve;
+    } catch (error) {
+        console.warn("Could not read joystick preferences:", error);
+    }
+}
+
+function saveJoystickPreferences() {
+    try {
+        localStorage.setItem(CONFIG.JOYSTICK.PREFERENCES_STORAGE_KEY,
+            JSON.stringify({ mode: joystickMode, curve: joystickResponseCurve }));
+    } catch (error) {
+        console.warn("Could not save joystick preferences:", error);
+    }
+}
+
+function setJoystickMode(mode) {
+    if (!JOYSTICK_MODES.includes(mode)) return;
+    endJoystick();
+    joystickTouchId = null;
+    joystickMode = mode;
+    saveJoystickPreferences();
+    applyJoystickLayout();
+    updateJoystickDimensions();
+    updateJoystickSettingsSection();
+}
+
+function setJoystickResponseCurve(curve) {
+    if (!JOYSTICK_RESPONSE_CURVES.includes(curve)) return;
+    joystickResponseCurve = curve;
+    saveJoystickPreferences();
+    updateJoystickSettingsSection();
+}
+
+// Create/Update the Touch Controls section in the settings panel
+function updateJoystickSettingsSection() {
+    const settingsPanel = document.getElementById('settingsPanel');
+    if (!settingsPanel) return;
+
+    let joystickSection = settingsPanel.querySelector('.joystick-settings-section');
+    if (!joystickSection) {
+        joystickSection = document.createElement('div');
+        joystickSection.className = 'settings-section joystick-settings-section';
+        joystickSection.innerHTML = `
+            <h3><i class="fas fa-gamepad"></i> Touch Controls</h3>
+            <div class="button-group joystick-mode-group">
+                <button data-joystick-mode="fixed" title="Joystick stays in the bottom-left corner.">Fixed</button>
+                <button data-joystick-mode="floating" title="Joystick appears wherever your thumb lands in the left third of the screen.">Floating</button>
+            </div>
+            <div class="button-group joystick-curve-group">
+                <button data-joystick-curve="linear" title="Speed follows the stick directly.">Linear</button>
+                <button data-joystick-curve="quadratic" title="Finer control near the center, full speed at the rim.">Quadratic</button>
+                <button data-joystick-curve="expo" title="Very slow near the center, ramps up sharply at the rim.">Expo</button>
+            </div>
+            <div class="settings-tooltip">
+                <i class="fas fa-info-circle"></i> Response curve shapes how stick deflection maps to walking speed.
+            </div>
+        `;
+        settingsPanel.appendChild(joystickSection);
+
+        joystickSection.querySelectorAll('[data-joystick-mode]').forEach(button => {
+            EventManager.addListener('ui', button, 'click', (e) => {
+                e.preventDefault(); e.stopPropagation();
+                setJoystickMode(button.dataset.joystickMode);
+            });
+        });
+        joystickSection.querySelectorAll('[data-joystick-curve]').forEach(button => {
+            EventManager.addListener('ui', button, 'click', (e) => {
+                e.preventDefault(); e.stopPropagation();
+                setJoystickResponseCurve(button.dataset.joystickCurve);
+            });
+        });
+    }
+
+    joystickSection.querySelectorAll('[data-joystick-mode]').forEach(button => {
+        button.classList.toggle('active', button.dataset.joystickMode === joystickMode);
+    });
+    joystickSection.querySelectorAll('[data-joystick-curve]').forEach(button => {
+        button.classList.toggle('active', button.dataset.joystickCurve === joystickResponseCurve);
+    });
+}
+
 // Clean up joystick events - can be called when changing scenes or unloading
 function cleanupJoystick() {
     if (rafId) {
@@ -331,8 +648,12 @@ function cleanupJoystick() {
         rafId = null;
     }
     EventManager.removeCategory('joystick');
+    if (typeof unregisterInputSource === 'function') unregisterInputSource('joystick');
     window.joystickActive = false;
     window.joystickVector = { x: 0, y: 0 };
+    joystickTouchId = null;
+    endLookTouches();
+    lookStickHandle = null;
     updateScheduled = false;
     transformDirty = false;
     joystickHandle = null;
@@ -0,0 +1,275 @@
+// keybindings.js - Keybinding registry: modules register keyboard actions, users rebind them in Settings
+// Keys are KeyboardEvent.code values (physical positions), shown with the user's layout labels when the browser knows them
+
+// Keybinding state
+const keyActions = new Map(); // id -> { id, label, defaultKeys, keys, onPress, repeat }
+const pressedKeyCodes = new Set(); // KeyboardEvent.code of keys held down
+let savedKeyBindings = null; // { id: [codes] } from localStorage (read on first registration)
+let keyboardLayoutMap = null; // navigator.keyboard.getLayoutMap() result, when supported
+let rebindingSlot = null; // { actionId, slot } while waiting for a key press
+let keybindingNotice = ''; // Last rebinding message shown in the settings section
+let isKeybindingUIReady = false; // Settings section is built once initKeybindings() ran
+
+// Readable names for keys whose code doesn't say what's printed on them
+const KEY_CODE_LABELS = {
+    ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→',
+    ShiftLeft: 'Left Shift', ShiftRight: 'Right Shift', ControlLeft: 'Left Ctrl', ControlRight: 'Right Ctrl',
+    AltLeft: 'Left Alt', AltRight: 'Right Alt', Space: 'Space', Escape: 'Esc', Enter: 'Enter',
+    Tab: 'Tab', Backspace: 'Backspace', Delete: 'Delete', CapsLock: 'Caps Lock'
+};
+
+// Label for a key code ('KeyW' -> 'W', or 'Z' on an AZERTY layout)
+function getKeyLabel(code) {
+    if (KEY_CODE_LABELS[code]) return KEY_CODE_LABELS[code];
+    const layoutKey = keyboardLayoutMap ? keyboardLayoutMap.get(code) : null;
+    if (layoutKey) return layoutKey.toUpperCase();
+    return code.replace(/^(Key|Digit)/, '').replace(/^Numpad/, 'Num ');
+}
+
+function loadSavedKeyBindings() {
+    if (savedKeyBindings) return savedKeyBindings;
+    try {
+        savedKeyBindings = JSON.parse(localStorage.getItem(CONFIG.KEYBINDINGS.STORAGE_KEY) || '{}') || {};
+    } catch (error) {
+        console.warn("Could not read key bindings:", error);
+        savedKeyBindings = {};
+    }
+    return savedKeyBindings;
+}
+
+// Only actions that differ from their defaults are stored, so new defaults reach existing users
+function saveKeyBindings() {
+    const changed = {};
+    keyActions.forEach(action => {
+        if (action.keys.join() !== action.defaultKeys.join()) changed[action.id] = action.keys;
+    });
+    savedKeyBindings = changed;
+    try {
+        localStorage.setItem(CONFIG.KEYBINDINGS.STORAGE_KEY, JSON.stringify(changed));
+    } catch (error) {
+        console.warn("Could not save key bindings:", error);
+    }
+}
+
+// Register a keyboard action. Held actions (movement) are read with isKeyActionDown(id);
+// actions with onPress run once per key press (or on every repeat with repeat: true).
+function registerKeyAction(id, { label, defaultKeys, onPress = null, repeat = false }) {
+    const saved = loadSavedKeyBindings()[id];
+    const keys = Array.isArray(saved) ? saved.filter(code => typeof code === 'string') : defaultKeys.slice();
+    keyActions.set(id, { id, label, defaultKeys: defaultKeys.slice(), keys, onPress, repeat });
+    refreshKeybindingUI();
+}
+
+function unregisterKeyAction(id) {
+    keyActions.delete(id);
+    refreshKeybindingUI();
+}
+
+function isKeyActionDown(id) {
+    const action = keyActions.get(id);
+    return !!action && action.keys.some(code => pressedKeyCodes.has(code));
+}
+
+function findKeyActionByCode(code) {
+    for (const action of keyActions.values()) {
+        if (action.keys.includes(code)) return action;
+    }
+    return null;
+}
+
+// Bind code to one slot of an action; the key is taken away from any other action using it
+function bindKeyAction(actionId, slot, code) {
+    const action = keyActions.get(actionId);
+    if (!action) return false;
+
+    keybindingNotice = '';
+    if (code) {
+        keyActions.forEach(other => {
+            const index = other.keys.indexOf(code);
+            if (index === -1 || other === action) return;
+            other.keys.splice(index, 1);
+            keybindingNotice = `${getKeyLabel(code)} was removed from "${other.label}".`;
+        });
+    }
+
+    const keys = action.keys.filter(existing => existing !== code);
+    keys[slot] = code;
+    action.keys = keys.filter(Boolean);
+    saveKeyBindings();
+    refreshKeybindingUI();
+    return true;
+}
+
+function resetKeyBindings() {
+    keyActions.forEach(action => { action.keys = action.defaultKeys.slice(); });
+    keybindingNotice = '';
+    saveKeyBindings();
+    refreshKeybindingUI();
+}
+
+function isTextEntryFocused() {
+    const element = document.activeElement;
+    return !!element && (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA' || element.isContentEditable);
+}
+
+function onKeybindingKeyDown(e) {
+    if (rebindingSlot) {
+        captureRebindingKey(e);
+        return;
+    }
+    // Leave typing, browser shortcuts and screen reader combinations alone
+    if (isTextEntryFocused() || e.ctrlKey || e.metaKey || e.altKey) return;
+
+    pressedKeyCodes.add(e.code);
+    const action = findKeyActionByCode(e.code);
+    if (!action || !action.onPress) return;
+
+    e.preventDefault();
+    if (!e.repeat || action.repeat) action.onPress(e);
+}
+
+function onKeybindingKeyUp(e) {
+    pressedKeyCodes.delete(e.code);
+}
+
+// Keys released while the window had no focus never send keyup
+function clearPressedKeyCodes() {
+    pressedKeyCodes.clear();
+}
+
+// Settings: next key press goes to the chosen slot (Esc cancels, Backspace/Delete clears it)
+function startRebinding(actionId, slot) {
+    rebindingSlot = { actionId, slot };
+    clearPressedKeyCodes();
+    refreshKeybindingUI();
+}
+
+function captureRebindingKey(e) {
+    e.preventDefault();
+    e.stopPropagation();
+    const { actionId, slot } = rebindingSlot;
+    rebindingSlot = null;
+
+    if (e.code === 'Escape') {
+        refreshKeybindingUI();
+    } else if (e.code === 'Backspace' || e.code === 'Delete') {
+        bindKeyAction(actionId, slot, null);
+    } else {
+        bindKeyAction(actionId, slot, e.code);
+    }
+}
+
+function refreshKeybindingUI() {
+    updateKeybindingSettingsSection();
+    updateKeybindingSummary();
+}
+
+// Create/Update the Keyboard section in the settings panel
+function updateKeybindingSettingsSection() {
+    const settingsPanel = document.getElementById('settingsPanel');
+    if (!settingsPanel || !isKeybindingUIReady) return;
+
+    let keybindingSection = settingsPanel.querySelector('.keybinding-settings-section');
+    if (!keybindingSection) {
+        keybindingSection = document.createElement('div');
+        keybindingSection.className = 'settings-section keybinding-settings-section';
+        keybindingSection.innerHTML = `
+            <h3><i class="fas fa-keyboard"></i> Keyboard</h3>
+            <div class="keybinding-list"></div>
+            <div class="button-group keybinding-reset-group">
+                <button class="keybinding-reset" title="Restore the default keys for every action.">Reset to defaults</button>
+            </div>
+            <div class="settings-tooltip">
+                <i class="fas fa-info-circle"></i> <span class="keybinding-notice"></span>
+            </div>
+        `;
+        settingsPanel.appendChild(keybindingSection);
+
+        EventManager.addListener('ui', keybindingSection.querySelector('.keybinding-reset'), 'click', (e) => {
+            e.preventDefault(); e.stopPropagation();
+            resetKeyBindings();
+        });
+    }
+
+    // Rows are rebuilt on every change
+    EventManager.removeCategory('keybinding-rows');
+    const list = keybindingSection.querySelector('.keybinding-list');
+    list.innerHTML = '';
+    keyActions.forEach(action => {
+        const row = document.createElement('div');
+        row.className = 'keybinding-row';
+
+        const label = document.createElement('span');
+        label.className = 'keybinding-label';
+        label.textContent = action.label;
+        row.appendChild(label);
+
+        for (let slot = 0; slot < CONFIG.KEYBINDINGS.SLOTS_PER_ACTION; slot++) {
+            const button = document.createElement('button');
+            const code = action.keys[slot];
+            const isWaiting = rebindingSlot && rebindingSlot.actionId === action.id && rebindingSlot.slot === slot;
+            button.className = 'keybinding-key';
+            button.classList.toggle('active', !!isWaiting);
+            button.textContent = isWaiting ? 'Press a key...' : (code ? getKeyLabel(code) : '-');
+            button.setAttribute('aria-label', `${action.label}: ${code ? getKeyLabel(code) : 'unbound'}. Activate to change.`);
+            EventManager.addListener('keybinding-rows', button, 'click', (e) => {
+                e.preventDefault(); e.stopPropagation();
+                startRebinding(action.id, Math.min(slot, action.keys.length));
+            });
+            row.appendChild(button);
+        }
+        list.appendChild(row);
+    });
+
+    keybindingSection.querySelector('.keybinding-notice').textContent = rebindingSlot
+        ? 'Press the new key. Esc cancels, Backspace clears the slot.'
+        : (keybindingNotice || 'Click a key to change it. Keys follow their position on the keyboard.');
+}
+
+// Info panel: current shortcut list
+function updateKeybindingSummary() {
+    const summary = document.querySelector('#infoPanel .keybinding-summary');
+    if (!summary) return;
+
+    summary.innerHTML = '';
+    keyActions.forEach(action => {
+        if (action.keys.length === 0) return;
+        const line = document.createElement('div');
+        line.textContent = `${action.keys.map(getKeyLabel).join(' / ')} - ${action.label}`;
+        summary.appendChild(line);
+    });
+}
+
+// Called by main.js once the settings panel exists
+function initKeybindings() {
+    EventManager.removeCategory('keybindings');
+    // Capture phase, so a key being rebound never reaches the other keyboard handlers
+    EventManager.addListener('keybindings', window, 'keydown', onKeybindingKeyDown, { capture: true });
+    EventManager.addListener('keybindings', window, 'keyup', onKeybindingKeyUp);
+    EventManager.addListener('keybindings', window, 'blur', clearPressedKeyCodes);
+
+    isKeybindingUIReady = true;
+    refreshKeybindingUI();
+
+    // Real key labels for non-QWERTY layouts (Chromium only)
+    if (navigator.keyboard && navigator.keyboard.getLayoutMap) {
+        navigator.keyboard.getLayoutMap().then(layoutMap => {
+            keyboardLayoutMap = layoutMap;
+            refreshKeybindingUI();
+        }).catch(error => console.warn("Keyboard layout map unavailable:", error));
+    }
+}
+
+function cleanupKeybindings() {
+    EventManager.removeCategory('keybindings');
+    EventManager.removeCategory('keybinding-rows');
+    clearPressedKeyCodes();
+    rebindingSlot = null;
+}
+
+// Expose necessary functions globally
+window.registerKeyAction = registerKeyAction; // Used by ui.js, input-actions.js, main.js
+window.unregisterKeyAction = unregisterKeyAction;
+window.isKeyActionDown = isKeyActionDown;
+window.initKeybindings = initKeybindings; // Called by main.js
+window.cleanupKeybindings = cleanupKeybindings;
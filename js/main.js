@@ -43,7 +43,16 @@ async function init() {
         // Expose engine globally
         window.engine = engine;
 
+        // --- Start Optimized Render Loop ---
+        // Started before loading so the streamed splat preview is visible; it bails until a camera exists
+        engine.runRenderLoop(optimizedRenderLoop);
+
         // --- Initialization Order ---
+        // Detect device capability first (static profile): the splat budget and SH degree apply while the splat loads
+        detectDeviceCapability();
+        // Sampled while the render loop still idles (no camera yet); not awaited
+        measureDisplayRefreshRate();
+
         showLoadingIndicator("Initializing Scene..."); // Use custom indicator
         scene = await initScene(); // Create scene, load default assets, optimize, setup observer
         if (!scene) {
@@ -52,14 +61,34 @@ async function init() {
         }
 
         showLoadingIndicator("Initializing Camera...");
-        initCamera(); // Depends on scene
+        if (!camera) initCamera(); // Depends on scene (normally already created by initScene for the preview)
         if (!camera) throw new Error("Camera initialization failed!");
 
+        // Time a few renders of the loaded splat; the profile (and splat quality) may move one tier
+        showLoadingIndicator("Measuring Performance...");
+        await measureSplatRenderBenchmark(scene);
+        detectDeviceCapability();
+
         showLoadingIndicator("Initializing UI...");
         // ui.js must define setPixelRatio globally *before* manual-lod needs it
         if (typeof initUI !== 'function') throw new Error("initUI function not found!");
         initUI(); // Sets up buttons, panels etc.
 
+        // Scene picker for multi-scene galleries (manifest was loaded by initScene)
+        if (typeof initGalleryUI === 'function') {
+            initGalleryUI();
+        }
+
+        // Guided tour controls (button only shown for scenes with a tour)
+        if (typeof initTourUI === 'function') {
+            initTourUI();
+        }
+
+        // Saved views panel (IndexedDB)
+        if (typeof initBookmarks === 'function') {
+            initBookmarks();
+        }
+
         // manual-lod.js depends on ui.js (for setPixelRatio) and scene/camera
         if (typeof initManualLOD === 'function') {
             showLoadingIndicator("Initializing Resolution Controls...");
@@ -68,11 +97,22 @@ async function init() {
              console.warn("initManualLOD function not found. Resolution controls unavailable.");
          }
 
+         // Service worker + "Download gallery for offline use" (adds a section to the settings panel)
+         if (typeof initOfflineSupport === 'function') {
+             initOfflineSupport();
+         }
+
          // Initialize systems that depend on UI/Scene
+         if (typeof initInputActions === 'function') {
+             initInputActions(); // Before the joystick/gamepad register their sources
+         }
          if (typeof initJoystick === 'function') {
              showLoadingIndicator("Initializing Joystick...");
              initJoystick();
          }
+         if (typeof initGamepad === 'function') {
+             initGamepad();
+         }
          if (typeof initInteractions === 'function') {
               showLoadingIndicator("Initializing Interactions...");
               // Note: initInteractions itself might load art meshes asynchronously
@@ -95,18 +135,37 @@ async function init() {
         // Setup global listeners (resize, keyboard)
         setupEventListeners();
 
-        // Detect device capability before starting render loop
-        detectDeviceCapability();
+        // Keyboard shortcuts: start listening and add the rebinding section to Settings
+        if (typeof initKeybindings === 'function') {
+            initKeybindings();
+        }
+
+        // From here on, frames are only rendered when something changes (CONFIG.RENDER_ON_DEMAND)
+        if (typeof initRenderOnDemand === 'function') {
+            initRenderOnDemand();
+        }
+
+        // Keep the URL hash in sync with the view ("Copy link to this view")
+        if (typeof initViewLinks === 'function') {
+            initViewLinks();
+        }
+
+        // "Enter VR" button appears once immersive-vr support is confirmed (not awaited)
+        if (typeof initXR === 'function') {
+            initXR(scene);
+        }
 
         // Hide loading indicators (both custom and engine's default)
         hideLoadingIndicator();
         engine.hideLoadingUI();
 
-        console.log("Initialization Complete. Starting Render Loop.");
-        sceneReadyWarned = false; // Reset warning flag before loop starts
+        console.log("Initialization Complete.");
+        sceneReadyWarned = false; // Reset warning flag now that the scene is fully set up
 
-        // --- Start Optimized Render Loop ---
-        engine.runRenderLoop(optimizedRenderLoop);
+        // ?benchmark=... in the URL: fly the benchmark path and report frame times (not awaited)
+        if (typeof initBenchmarkMode === 'function') {
+            initBenchmarkMode();
+        }
 
     } catch (error) {
         console.error("Initialization failed:", error);
@@ -119,28 +178,19 @@ async function init() {
     }
 }
 
-// Detect device capability for adaptive performance
+// Detect device capability for adaptive performance (profile from device-profile.js)
 function detectDeviceCapability() {
-    const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-    
-    // Check for low-end devices based on UA string or simple benchmark
-    const isLowEndDevice = isMobile && (
-        /iPhone\s(5|6|7|8|SE)|Android.*SM-G9|Android.*GT-/i.test(navigator.userAgent) || 
-        (window.screen.width * window.screen.height < 1000000)
-    );
-    
-    // Simple benchmark to check device performance (optional)
-    let benchmarkStart = performance.now();
-    let counter = 0;
-    for (let i = 0; i < 100000; i++) {
-        counter += Math.sqrt(i);
+    const profile = getDeviceProfile();
+    isDeviceHighEnd = profile.isHighEnd;
+
+    const gpu = profile.webgl.renderer || 'unknown GPU';
+    const benchmark = profile.gpuFrameTimeMs !== null ? `, ${profile.gpuFrameTimeMs.toFixed(1)} ms/frame` : '';
+    console.log(`Device capability detected: ${profile.tier} (${gpu}${benchmark})`);
+
+    // Starting splat budget / SH degree (CONFIG.SPLAT_QUALITY.DEVICE_DEFAULTS) unless the user picked one
+    if (typeof applyDeviceSplatQuality === 'function') {
+        applyDeviceSplatQuality(profile.tier);
     }
-    let benchmarkDuration = performance.now() - benchmarkStart;
-    
-    // Determine if this is a high-end device based on benchmark
-    isDeviceHighEnd = !isLowEndDevice && benchmarkDuration < 50;
-    
-    console.log(`Device capability detected: ${isDeviceHighEnd ? 'High-end' : 'Low-end'}`);
     return isDeviceHighEnd;
 }
 
@@ -151,8 +201,8 @@ function optimizedRenderLoop() {
         return;
     }
     
-    // OPTIMIZATION #2: Skip rendering when tab is not visible
-    if (document.hidden) {
+    // OPTIMIZATION #2: Skip rendering when tab is not visible (some headsets hide the page during a VR session)
+    if (document.hidden && !(typeof isXRSessionActive === 'function' && isXRSessionActive())) {
         return;
     }
     
@@ -182,23 +232,27 @@ function optimizedRenderLoop() {
     // Skip non-essential processing on low-end devices when frame rate drops
     const isPerformanceIssue = !isDeviceHighEnd && fps < 30;
     
-    // OPTIMIZATION #5: Apply joystick movement if active and visible
+    // OPTIMIZATION #5: Input actions (keyboard, joystick, gamepad -> move/look/sprint/interact)
     // This is essential gameplay input so we always process it
-    if (window.joystickActive && window.joystickVisible && typeof applyJoystickMovement === 'function') {
-        applyJoystickMovement();
+    if (typeof updateInputActions === 'function') {
+        updateInputActions(deltaTime);
     }
     
-    // OPTIMIZATION #6: Maintain camera height only when needed
-    // Throttle on low-end devices or when performance is suffering
-    if (camera && (!isPerformanceIssue || frameCounter % 2 === 0)) {
-        // Inline the function for better performance
-        const targetHeight = CONFIG.CAMERA.HEIGHT;
-        if (Math.abs(camera.position.y - targetHeight) > 0.01) {
-            camera.position.y = targetHeight;
-        }
+    // OPTIMIZATION #6: Ground following (floor raycast, gravity, stairs)
+    // Low-end devices under load cast a single floor ray instead of sampling the whole footprint
+    // Paused while camera-flight.js or a guided tour animates the camera
+    const isFlying = typeof isCameraFlightActive === 'function' && isCameraFlightActive();
+    const isTouring = typeof isTourPlaying === 'function' && isTourPlaying();
+    if (!isFlying && !isTouring && typeof updateGroundFollow === 'function') {
+        updateGroundFollow(deltaTime, isPerformanceIssue);
     }
     
-    // OPTIMIZATION #7: Attempt to render even with missing meshes
+    // OPTIMIZATION #7: Render on demand - skip the frame when nothing on screen changed
+    const renderThisFrame = typeof shouldRenderFrame !== 'function' || shouldRenderFrame();
+    if (typeof noteFrameRendered === 'function') noteFrameRendered(renderThisFrame);
+    if (!renderThisFrame) return;
+
+    // OPTIMIZATION #8: Attempt to render even with missing meshes
     // This ensures something is always displayed even during loading
     try {
         // Render the scene
@@ -229,55 +283,18 @@ function setupEventListeners() {
         }
     });
 
-    // Keyboard shortcuts
-    EventManager.addListener('document', window, 'keydown', (e) => {
-        // Ignore keydowns if an input field is focused
-         if (document.activeElement && (document.activeElement.tagName === 'INPUT' || document.activeElement.tagName === 'TEXTAREA' || document.activeElement.isContentEditable)) {
-            return;
-        }
-
-        const key = e.key.toLowerCase();
-
-        // Toggle joystick visibility with 'J' key
-        if (key === 'j') {
-            e.preventDefault(); // Prevent potential default browser actions for 'j'
-            if (typeof toggleJoystick === 'function') {
-                toggleJoystick();
-                 // Update button state accordingly
-                 const joyToggleBtn = document.getElementById('toggleJoystick');
-                 if(joyToggleBtn) joyToggleBtn.classList.toggle('active', window.joystickVisible);
-            }
-        }
-
-        // Toggle fullscreen with 'F' key
-        if (key === 'f') {
-             e.preventDefault(); // Prevent potential default browser actions for 'f'
-            if (typeof toggleFullscreen === 'function') toggleFullscreen();
-        }
-
-        // Close any open panels or popups with Escape key
-        if (e.key === 'Escape') { // Use e.key for modern browsers
-             e.preventDefault();
+    // Escape closes any open panels or popups (and flies back after "View"); rebindable in Settings
+    registerKeyAction('CLOSE_PANELS', {
+        label: 'Close panels/popups',
+        defaultKeys: CONFIG.KEYBINDINGS.DEFAULTS.CLOSE_PANELS,
+        onPress: () => {
+            if (typeof returnFromArtworkView === 'function') returnFromArtworkView();
             if (typeof closeAllPanels === 'function') closeAllPanels();
             // hidePopup is called within closeAllPanels now
         }
     });
 }
 
-// Maintain camera at correct height
-function maintainCameraHeight() {
-    // Avoid function calls, math operations, and property access by using constants
-    if (!camera) return;
-    
-    // PERFORMANCE BOOST: Only set when it actually changed
-    // Use a small epsilon to avoid floating point issues and unnecessary assignments
-    const targetHeight = CONFIG.CAMERA.HEIGHT;
-    const currentHeight = camera.position.y;
-    if (Math.abs(currentHeight - targetHeight) > 0.005) {
-        camera.position.y = targetHeight;
-    }
-}
-
 // Debug logging function
 function debugLog(...args) {
     // Check CONFIG exists and has the DEBUG structure
@@ -312,6 +329,46 @@ function cleanup() {
         console.log("Joystick cleaned up.");
     } else { console.warn("cleanupJoystick not found during cleanup."); }
 
+    if (typeof cleanupGamepad === 'function') {
+        cleanupGamepad();
+    }
+
+    if (typeof cleanupInputActions === 'function') {
+        cleanupInputActions();
+    }
+
+    if (typeof cleanupKeybindings === 'function') {
+        cleanupKeybindings();
+    }
+
+    if (typeof cleanupRenderOnDemand === 'function') {
+        cleanupRenderOnDemand();
+    }
+
+    if (typeof cleanupBenchmark === 'function') {
+        cleanupBenchmark();
+    }
+
+    if (typeof terminateSplatWorker === 'function') {
+        terminateSplatWorker();
+    }
+
+    if (typeof cleanupTour === 'function') {
+        cleanupTour();
+    }
+
+    if (typeof cleanupViewLinks === 'function') {
+        cleanupViewLinks();
+    }
+
+    if (typeof cleanupBookmarks === 'function') {
+        cleanupBookmarks();
+    }
+
+    if (typeof cleanupXR === 'function') {
+        cleanupXR();
+    }
+
     // 3. Dispose Babylon Resources (Scene first, then Engine)
 
     // --- Remove Frustum Culling Observer ---
@@ -8,6 +8,17 @@ const PIXEL_RATIO_PRESETS = {
     LOW: { pixelRatio: 0.35, label: "Low (35%)" }
 };
 
+// Splat budget presets: splats kept at load time, most important first (0 = all)
+const SPLAT_BUDGET_PRESETS = {
+    ALL: { maxSplats: 0, label: "All splats" },
+    HIGH: { maxSplats: 2000000, label: "2M" },
+    MEDIUM: { maxSplats: 1000000, label: "1M" },
+    LOW: { maxSplats: 400000, label: "400K" }
+};
+
+// Spherical-harmonics degrees offered (view-dependent color; 0 = flat color, cheapest)
+const SH_DEGREE_OPTIONS = [3, 2, 1, 0];
+
 // --- Dynamic Resolution State Variables ---
 let isDynamicResolutionActive = false;
 let currentPixelRatioPreset = null; // Track which MANUAL preset is active ('FULL', 'HIGH', etc.) or null if dynamic
@@ -25,12 +36,26 @@ const joystickMovementThreshold = 0.1; // How much joystick deflection counts as
 
 // --- Internal State ---
 let movementTimeoutId = null; // Timer for increasing resolution after stopping
-let lastCameraPosition = null; // Stores BABYLON.Vector3
-let lastCameraRotationQ = null; // Stores BABYLON.Quaternion
+const drsCameraBaseline = { position: null, rotation: null }; // Camera pose at the last DRS check (Vector3 / Quaternion)
 let isConsideredMoving = false; // Tracks if the system currently thinks the camera is moving (used for timer logic)
 let sceneBeforeRenderObserver = null; // Reference to the Babylon observer
 let performanceIndicatorIntervalId = null; // Reference to the FPS update interval
 
+// --- Target FPS Controller State ---
+let targetFps = null; // 30/60/90 while the frame-time controller drives the resolution, null otherwise
+const targetFpsState = {
+    frameTimeMs: 0, // Smoothed frame time (exponential moving average)
+    lastAdjustTime: 0, // performance.now() of the last ratio change
+    lastUpscaleTime: 0,
+    upscaleBlockedUntil: 0, // No upscaling before this time (set after every downscale)
+    upscaleBackoffMs: 0 // Grows when an upscale is immediately followed by a downscale (oscillation)
+};
+
+// --- Splat Quality State (takes effect when the splat is (re)loaded) ---
+let splatBudgetPreset = 'ALL';
+let splatShDegree = 3;
+let hasSplatQualityPreference = false; // Chosen in Settings and stored - device defaults no longer apply
+
 // Initialize the combined manual/dynamic system
 function initManualLOD() {
     // Make sure required functions are available
@@ -70,12 +95,35 @@ function updateSettingsPanelUI() {
             <button id="pixelRatioMedium" title="Render at 50% resolution (Better performance, noticeable quality reduction).">${PIXEL_RATIO_PRESETS.MEDIUM.label}</button>
             <button id="pixelRatioLow" title="Render at 35% resolution (Highest performance, lowest visual quality).">${PIXEL_RATIO_PRESETS.LOW.label}</button>
         </div>
+        <div class="button-group resolution-group target-fps-group">
+            ${CONFIG.TARGET_FPS.OPTIONS.map(option => `<button data-target-fps="${option}" title="Continuously adjust resolution to hold ${option} FPS.">Target ${option} FPS</button>`).join('')}
+        </div>
         <div class="settings-tooltip">
-            <i class="fas fa-info-circle"></i> Adjust clarity vs performance. Dynamic mode adapts automatically.
+            <i class="fas fa-info-circle"></i> Adjust clarity vs performance. Dynamic mode lowers resolution while moving; a target FPS adapts it to the measured frame time.
         </div>
     `;
     settingsPanel.appendChild(resolutionSection);
 
+    // --- Create Splat Quality Section (splat budget + SH degree rows) ---
+    const existingQualitySection = settingsPanel.querySelector('.splat-quality-settings-section');
+    if (existingQualitySection) existingQualitySection.remove();
+
+    const qualitySection = document.createElement('div');
+    qualitySection.className = 'settings-section splat-quality-settings-section';
+    qualitySection.innerHTML = `
+        <h3><i class="fas fa-braille"></i> Splat Quality</h3>
+        <div class="button-group splat-budget-group">
+            ${Object.entries(SPLAT_BUDGET_PRESETS).map(([name, preset]) => `<button data-splat-budget="${name}" title="${preset.maxSplats ? `Keep the ${preset.label} most visible splats (faster sorting on slow devices).` : 'Render every splat in the file.'}">${preset.label}</button>`).join('')}
+        </div>
+        <div class="button-group sh-degree-group">
+            ${SH_DEGREE_OPTIONS.map(degree => `<button data-sh-degree="${degree}" title="${degree ? `View-dependent color up to degree ${degree}.` : 'Flat color per splat (cheapest).'}">SH ${degree}</button>`).join('')}
+        </div>
+        <div class="settings-tooltip">
+            <i class="fas fa-info-circle"></i> Fewer splats and a lower SH degree help phones where sorting, not resolution, is the bottleneck. Changes reload the scene; SH only applies to PLY files.
+        </div>
+    `;
+    settingsPanel.appendChild(qualitySection);
+
     // --- Add Close Button if not already present ---
     if (!settingsPanel.querySelector('.panel-close')) {
         const closeButton = document.createElement('button');
@@ -98,8 +146,99 @@ function updateSettingsPanelUI() {
     EventManager.addListener('ui', document.getElementById('pixelRatioHigh'), 'click', () => applyPixelRatioPreset('HIGH'));
     EventManager.addListener('ui', document.getElementById('pixelRatioMedium'), 'click', () => applyPixelRatioPreset('MEDIUM'));
     EventManager.addListener('ui', document.getElementById('pixelRatioLow'), 'click', () => applyPixelRatioPreset('LOW'));
+    resolutionSection.querySelectorAll('[data-target-fps]').forEach(button => {
+        EventManager.addListener('ui', button, 'click', () => activateTargetFpsResolution(Number(button.dataset.targetFps)));
+    });
+    qualitySection.querySelectorAll('[data-splat-budget]').forEach(button => {
+        EventManager.addListener('ui', button, 'click', () => setSplatBudgetPreset(button.dataset.splatBudget));
+    });
+    qualitySection.querySelectorAll('[data-sh-degree]').forEach(button => {
+        EventManager.addListener('ui', button, 'click', () => setSplatShDegree(Number(button.dataset.shDegree)));
+    });
 
     updateButtonActiveStates(); // Reflect the current state immediately
+    updateSplatQualityButtons();
+}
+
+// --- Splat Quality (budget + SH degree) ---
+
+// Read by scene.js loadSplat() for every splat load
+function getSplatQuality() {
+    return { maxSplats: SPLAT_BUDGET_PRESETS[splatBudgetPreset].maxSplats, shDegree: splatShDegree };
+}
+
+function loadSplatQualityPreference() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(CONFIG.SPLAT_QUALITY.STORAGE_KEY) || 'null');
+        if (!stored) return false;
+        if (SPLAT_BUDGET_PRESETS[stored.budget]) splatBudgetPreset = stored.budget;
+        if (SH_DEGREE_OPTIONS.includes(stored.shDegree)) splatShDegree = stored.shDegree;
+        return true;
+    } catch (error) {
+        console.warn("Could not read splat quality preference:", error);
+        return false;
+    }
+}
+
+function saveSplatQualityPreference() {
+    hasSplatQualityPreference = true;
+    try {
+        localStorage.setItem(CONFIG.SPLAT_QUALITY.STORAGE_KEY, JSON.stringify({ budget: splatBudgetPreset, shDegree: splatShDegree }));
+    } catch (error) {
+        console.warn("Could not save splat quality preference:", error);
+    }
+}
+
+// Called by detectDeviceCapability() (main.js) before the first splat load with the device-profile.js tier.
+// Called again after the splat render benchmark; a loaded splat is reloaded if the defaults changed.
+function applyDeviceSplatQuality(deviceTier) {
+    const previous = `${splatBudgetPreset}/${splatShDegree}`;
+    hasSplatQualityPreference = loadSplatQualityPreference();
+    if (!hasSplatQualityPreference) {
+        const defaults = CONFIG.SPLAT_QUALITY.DEVICE_DEFAULTS[deviceTier] || CONFIG.SPLAT_QUALITY.DEVICE_DEFAULTS.HIGH_END;
+        splatBudgetPreset = SPLAT_BUDGET_PRESETS[defaults.BUDGET] ? defaults.BUDGET : 'ALL';
+        splatShDegree = defaults.SH_DEGREE;
+    }
+    console.log(`Splat quality: ${SPLAT_BUDGET_PRESETS[splatBudgetPreset].label}, SH ${splatShDegree} (${hasSplatQualityPreference ? 'saved preference' : deviceTier})`);
+    updateSplatQualityButtons();
+
+    if (previous !== `${splatBudgetPreset}/${splatShDegree}` && currentSplatMesh && typeof reloadCurrentSplat === 'function') {
+        reloadCurrentSplat();
+    }
+}
+
+function setSplatBudgetPreset(presetName) {
+    if (!SPLAT_BUDGET_PRESETS[presetName] || presetName === splatBudgetPreset) return;
+    splatBudgetPreset = presetName;
+    onSplatQualityChanged();
+}
+
+function setSplatShDegree(degree) {
+    if (!SH_DEGREE_OPTIONS.includes(degree) || degree === splatShDegree) return;
+    splatShDegree = degree;
+    onSplatQualityChanged();
+}
+
+// Decimation and SH trimming happen at load time, so the current splat is loaded again
+function onSplatQualityChanged() {
+    saveSplatQualityPreference();
+    updateSplatQualityButtons();
+    console.log(`Splat quality set to ${SPLAT_BUDGET_PRESETS[splatBudgetPreset].label}, SH ${splatShDegree}`);
+    if (typeof reloadCurrentSplat === 'function') {
+        reloadCurrentSplat();
+    }
+}
+
+function updateSplatQualityButtons() {
+    const settingsPanel = document.getElementById('settingsPanel');
+    if (!settingsPanel) return;
+
+    settingsPanel.querySelectorAll('[data-splat-budget]').forEach(button => {
+        button.classList.toggle('active', button.dataset.splatBudget === splatBudgetPreset);
+    });
+    settingsPanel.querySelectorAll('[data-sh-degree]').forEach(button => {
+        button.classList.toggle('active', Number(button.dataset.shDegree) === splatShDegree);
+    });
 }
 
 // Apply a MANUAL pixel ratio preset
@@ -111,6 +250,7 @@ function applyPixelRatioPreset(presetName) {
 
     // Deactivate dynamic mode FIRST (this also logs state change if needed)
     deactivateDynamicResolution();
+    deactivateTargetFpsResolution();
 
     const preset = PIXEL_RATIO_PRESETS[presetName];
     currentPixelRatioPreset = presetName; // Track the *manual* preset name
@@ -126,6 +266,8 @@ function applyPixelRatioPreset(presetName) {
 function activateDynamicResolution() {
     if (isDynamicResolutionActive) return; // Already active
 
+    deactivateTargetFpsResolution();
+
     // --- State Change ---
     isDynamicResolutionActive = true;
     currentPixelRatioPreset = null; // No manual preset is active
@@ -159,11 +301,8 @@ function activateDynamicResolution() {
 
 // Deactivate Dynamic Resolution Mode (usually called by applyPixelRatioPreset)
 function deactivateDynamicResolution() {
-    if (!isDynamicResolutionActive || !engine || engine.isDisposed || document.hidden) return;
+    if (!isDynamicResolutionActive) return;
 
-
-     // OPTIMIZATION: Only run DRS logic every N frames
-     if (++drsFrameCounter % DRS_CHECK_INTERVAL !== 0) return
     // --- State Change ---
     isDynamicResolutionActive = false;
     clearTimeout(movementTimeoutId); // Stop any pending resolution increase
@@ -187,18 +326,32 @@ function applyDynamicResolution(targetRatio) {
     // Logging is handled within setPixelRatio
 }
 
+// Current resolution mode, for the performance HUD (performance-hud.js)
+function getResolutionState() {
+    return {
+        mode: isDynamicResolutionActive ? 'dynamic' : (targetFps !== null ? 'target-fps' : 'manual'),
+        preset: currentPixelRatioPreset,
+        targetFps,
+        isMoving: isConsideredMoving
+    };
+}
+
 // Update the active state highlight on ALL resolution buttons
 function updateButtonActiveStates() {
     const settingsPanel = document.getElementById('settingsPanel');
     if (!settingsPanel) return; // Panel might not exist yet
 
     const dynamicButton = settingsPanel.querySelector('#pixelRatioDynamic');
-    const resolutionButtons = settingsPanel.querySelectorAll('.resolution-group button:not(#pixelRatioDynamic)');
+    const resolutionButtons = settingsPanel.querySelectorAll('.resolution-group button:not(#pixelRatioDynamic):not([data-target-fps])');
 
     if (dynamicButton) {
         dynamicButton.classList.toggle('active', isDynamicResolutionActive);
     }
 
+    settingsPanel.querySelectorAll('[data-target-fps]').forEach(button => {
+        button.classList.toggle('active', Number(button.dataset.targetFps) === targetFps);
+    });
+
     resolutionButtons.forEach(button => {
         if (!isDynamicResolutionActive) {
             // Manual mode: highlight the selected preset
@@ -214,20 +367,21 @@ function updateButtonActiveStates() {
 window.updateButtonActiveStates = updateButtonActiveStates;
 
 
-// Check if the camera has moved significantly since the last check
-function hasCameraMoved(forceCheck = false) {
+// Check if the camera has moved significantly since the last check.
+// Other systems (render-on-demand.js) pass their own { position, rotation } baseline, updated whenever movement is reported.
+function hasCameraMoved(forceCheck = false, baseline = drsCameraBaseline) {
     if (!camera || !engine || engine.isDisposed) return false; // Guard clauses
 
     // Initialize last state on first run or if camera was reset
-    if (lastCameraPosition === null || lastCameraRotationQ === null) {
+    if (baseline.position === null || baseline.rotation === null) {
         if (!camera.rotationQuaternion) {
             camera.rotationQuaternion = BABYLON.Quaternion.FromEulerVector(camera.rotation);
         }
-        if (!lastCameraPosition) lastCameraPosition = new BABYLON.Vector3();
-        if (!lastCameraRotationQ) lastCameraRotationQ = new BABYLON.Quaternion();
+        if (!baseline.position) baseline.position = new BABYLON.Vector3();
+        if (!baseline.rotation) baseline.rotation = new BABYLON.Quaternion();
 
-        lastCameraPosition.copyFrom(camera.position);
-        lastCameraRotationQ.copyFrom(camera.rotationQuaternion);
+        baseline.position.copyFrom(camera.position);
+        baseline.rotation.copyFrom(camera.rotationQuaternion);
 
          if (!forceCheck) {
              return false; // Assume not moved on the very first frame after init
@@ -235,14 +389,14 @@ function hasCameraMoved(forceCheck = false) {
     }
 
     // --- Check for position change ---
-    const posChangeSq = BABYLON.Vector3.DistanceSquared(camera.position, lastCameraPosition);
+    const posChangeSq = BABYLON.Vector3.DistanceSquared(camera.position, baseline.position);
     const posChanged = posChangeSq > movementDetectionThresholdPosSq;
 
     // --- Check for rotation change ---
     if (!camera.rotationQuaternion) { // Ensure quaternion exists
         camera.rotationQuaternion = BABYLON.Quaternion.FromEulerVector(camera.rotation);
     }
-    const rotDot = Math.abs(BABYLON.Quaternion.Dot(camera.rotationQuaternion, lastCameraRotationQ));
+    const rotDot = Math.abs(BABYLON.Quaternion.Dot(camera.rotationQuaternion, baseline.rotation));
     const rotChanged = rotDot < movementDetectionThresholdRotDot;
 
     // --- Check for joystick input ---
@@ -257,9 +411,10 @@ function hasCameraMoved(forceCheck = false) {
     // --- Update last known state *only if not forcing a check* ---
      if (!forceCheck) {
         // Update state regardless of movement *if DRS is active*, so stationary check works
-        if (isDynamicResolutionActive || moved) { // Update if DRS is on OR if moved in manual mode (less critical but keeps state fresh)
-             lastCameraPosition.copyFrom(camera.position);
-             lastCameraRotationQ.copyFrom(camera.rotationQuaternion);
+        const updateAlways = baseline === drsCameraBaseline && isDynamicResolutionActive;
+        if (updateAlways || moved) { // Update if DRS is on OR if moved in manual mode (less critical but keeps state fresh)
+             baseline.position.copyFrom(camera.position);
+             baseline.rotation.copyFrom(camera.rotationQuaternion);
         }
      }
 
@@ -277,6 +432,9 @@ function updateDynamicResolutionLogic() {
         return;
     }
 
+    // OPTIMIZATION: Only run DRS logic every N frames
+    if (++drsFrameCounter % DRS_CHECK_INTERVAL !== 0) return;
+
     const movedThisFrame = hasCameraMoved(); // This updates last position/rotation if needed
 
     if (movedThisFrame) {
@@ -317,6 +475,104 @@ function updateDynamicResolutionLogic() {
         }    }
 }
 
+// --- Target FPS Controller ---
+
+// Activate the frame-time controller for a target FPS (30/60/90)
+function activateTargetFpsResolution(fps) {
+    if (!CONFIG.TARGET_FPS.OPTIONS.includes(fps)) {
+        console.error(`Invalid target FPS: ${fps}`);
+        return;
+    }
+
+    deactivateDynamicResolution();
+    currentPixelRatioPreset = null;
+    targetFps = fps;
+    resetTargetFpsState();
+
+    if (getEffectiveTargetFps() < fps) {
+        console.log(`Target ${fps} FPS is above the display refresh rate; aiming for ${getEffectiveTargetFps()} FPS.`);
+    }
+    console.log(`%cTarget FPS Activated%c (${fps} FPS, ratio ${CONFIG.TARGET_FPS.MIN_PIXEL_RATIO}-${CONFIG.TARGET_FPS.MAX_PIXEL_RATIO})`, "color: #e89f17; font-weight: bold;", "color: default;");
+    updateButtonActiveStates();
+}
+
+function deactivateTargetFpsResolution() {
+    if (targetFps === null) return;
+    targetFps = null;
+    console.log("%cTarget FPS Deactivated", "color: grey;");
+}
+
+function resetTargetFpsState() {
+    targetFpsState.frameTimeMs = 0;
+    targetFpsState.lastAdjustTime = performance.now();
+    targetFpsState.lastUpscaleTime = 0;
+    targetFpsState.upscaleBlockedUntil = 0;
+    targetFpsState.upscaleBackoffMs = CONFIG.TARGET_FPS.UPSCALE_DELAY_MS;
+}
+
+// Next pixel ratio for the measured FPS, or null to keep the current one.
+// Hysteresis: downscale below DOWNSCALE_THRESHOLD * target, upscale only at UPSCALE_THRESHOLD * target
+// after a delay - the band in between holds the ratio. An upscale that is undone right away doubles the delay.
+function computeTargetFpsRatio(state, currentRatio, measuredFps, target, now, settings) {
+    const sinceAdjust = now - state.lastAdjustTime;
+
+    if (measuredFps < target * settings.DOWNSCALE_THRESHOLD && sinceAdjust >= settings.DOWNSCALE_INTERVAL_MS) {
+        if (currentRatio <= settings.MIN_PIXEL_RATIO) return null;
+        // Pixel cost grows with ratio squared, so scale by the square root of the shortfall
+        const wanted = currentRatio * Math.sqrt(measuredFps / target);
+        const next = Math.max(settings.MIN_PIXEL_RATIO, wanted, currentRatio - settings.MAX_DOWNSCALE_STEP);
+
+        if (now - state.lastUpscaleTime < settings.UPSCALE_INTERVAL_MS * 2) {
+            state.upscaleBackoffMs = Math.min(state.upscaleBackoffMs * 2, settings.MAX_UPSCALE_DELAY_MS);
+        }
+        state.lastAdjustTime = now;
+        state.upscaleBlockedUntil = now + state.upscaleBackoffMs;
+        return next;
+    }
+
+    if (measuredFps >= target * settings.UPSCALE_THRESHOLD && now >= state.upscaleBlockedUntil &&
+        sinceAdjust >= settings.UPSCALE_INTERVAL_MS) {
+        if (currentRatio >= settings.MAX_PIXEL_RATIO) {
+            state.upscaleBackoffMs = settings.UPSCALE_DELAY_MS; // Settled at full quality
+            return null;
+        }
+        state.lastAdjustTime = now;
+        state.lastUpscaleTime = now;
+        return Math.min(settings.MAX_PIXEL_RATIO, currentRatio + settings.UPSCALE_STEP);
+    }
+
+    return null;
+}
+
+// Vsync caps the frame rate at the display refresh rate: a 90 FPS target on a 60 Hz screen could never
+// be reached and would push the resolution down to MIN_PIXEL_RATIO, so aim for the refresh rate instead
+function getEffectiveTargetFps() {
+    const refreshRateHz = typeof getDeviceProfile === 'function' ? getDeviceProfile().refreshRateHz : null;
+    return refreshRateHz ? Math.min(targetFps, refreshRateHz) : targetFps;
+}
+
+// Per-frame controller step (runs in the same observer as the movement DRS)
+function updateTargetFpsResolution() {
+    if (targetFps === null || !engine || engine.isDisposed || document.hidden) return;
+    // With render-on-demand, the first frame after an idle stretch measures idle time, not render cost
+    if (typeof getConsecutiveRenderedFrames === 'function' && getConsecutiveRenderedFrames() < 2) return;
+
+    // Long gaps (tab switch, paused rendering, loading) aren't frame cost
+    const deltaMs = engine.getDeltaTime();
+    if (!(deltaMs > 0) || deltaMs > CONFIG.TARGET_FPS.MAX_FRAME_TIME_MS) return;
+
+    const smoothing = CONFIG.TARGET_FPS.FRAME_TIME_SMOOTHING;
+    targetFpsState.frameTimeMs = targetFpsState.frameTimeMs === 0
+        ? deltaMs
+        : targetFpsState.frameTimeMs + (deltaMs - targetFpsState.frameTimeMs) * smoothing;
+
+    const nextRatio = computeTargetFpsRatio(targetFpsState, window.currentPixelRatio,
+        1000 / targetFpsState.frameTimeMs, getEffectiveTargetFps(), performance.now(), CONFIG.TARGET_FPS);
+    if (nextRatio !== null) {
+        window.setPixelRatio(nextRatio);
+    }
+}
+
 // Setup the Babylon.js observer for the dynamic resolution logic
 function initDynamicResolutionSystem() {
     if (!scene) {
@@ -325,46 +581,56 @@ function initDynamicResolutionSystem() {
     }
 
     // Cleanup previous observer if re-initializing
-    if (sceneBeforeRenderObserver) {
-        scene.onBeforeRenderObservable.remove(sceneBeforeRenderObserver);
-        sceneBeforeRenderObserver = null;
-         console.log("Removed previous dynamic resolution observer.");
-    }
+    teardownDynamicResolutionSystem();
 
     // Add the observer
-    sceneBeforeRenderObserver = scene.onBeforeRenderObservable.add(updateDynamicResolutionLogic);
+    sceneBeforeRenderObserver = scene.onBeforeRenderObservable.add(() => {
+        updateDynamicResolutionLogic();
+        updateTargetFpsResolution();
+    });
     console.log("Dynamic resolution observer added.");
 
     // Initialize last camera state here, assuming camera is ready
     if (camera) {
-        lastCameraPosition = camera.position.clone();
+        drsCameraBaseline.position = camera.position.clone();
         if (!camera.rotationQuaternion) {
             camera.rotationQuaternion = BABYLON.Quaternion.FromEulerVector(camera.rotation);
         }
-        lastCameraRotationQ = camera.rotationQuaternion.clone();
+        drsCameraBaseline.rotation = camera.rotationQuaternion.clone();
     } else {
         console.warn("Camera not ready during dynamic resolution system init. Movement check might be delayed.");
     }
 }
 
+// Remove the DRS observer and pending timer (used on re-init and gallery scene swaps)
+function teardownDynamicResolutionSystem() {
+    if (scene && sceneBeforeRenderObserver) {
+        scene.onBeforeRenderObservable.remove(sceneBeforeRenderObserver);
+        console.log("Removed previous dynamic resolution observer.");
+    }
+    sceneBeforeRenderObserver = null;
+
+    if (movementTimeoutId) {
+        clearTimeout(movementTimeoutId);
+        movementTimeoutId = null;
+    }
+
+    // Force a fresh camera baseline when the observer is added again
+    drsCameraBaseline.position = null;
+    drsCameraBaseline.rotation = null;
+}
+
 // Set initial resolution state based on device type or config
 function initWithDefaults() {
-    const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-
     let initialModeIsDynamic = true; // START IN MANUAL MODE
     let initialManualPreset = 'MEDIUM'; // Default manual preset
 
-    if (isMobile) {
-        // Set lower targets for DRS if user enables it on mobile
-        dynamicHighPixelRatio = PIXEL_RATIO_PRESETS.MEDIUM.pixelRatio;
-        dynamicLowPixelRatio = PIXEL_RATIO_PRESETS.LOW.pixelRatio;
-        console.log("Mobile detected: DRS targets set to Medium/Low.");
-    } else {
-        // Set default targets for DRS if user enables it on desktop
-        dynamicHighPixelRatio = PIXEL_RATIO_PRESETS.FULL.pixelRatio; // Using Full for High target on desktop
-        dynamicLowPixelRatio = PIXEL_RATIO_PRESETS.MEDIUM.pixelRatio; // Using Medium for Low target on desktop
-        console.log("Desktop detected: DRS targets set to Full/Medium.");
-    }
+    // DRS targets for the device tier (CONFIG.DEVICE_PROFILE.DRS_TARGETS)
+    const { tier } = getDeviceProfile();
+    const drsTargets = CONFIG.DEVICE_PROFILE.DRS_TARGETS[tier] || CONFIG.DEVICE_PROFILE.DRS_TARGETS.HIGH_END;
+    dynamicHighPixelRatio = PIXEL_RATIO_PRESETS[drsTargets.HIGH].pixelRatio;
+    dynamicLowPixelRatio = PIXEL_RATIO_PRESETS[drsTargets.LOW].pixelRatio;
+    console.log(`${tier} device: DRS targets set to ${PIXEL_RATIO_PRESETS[drsTargets.HIGH].label}/${PIXEL_RATIO_PRESETS[drsTargets.LOW].label}.`);
 
     // --- Apply Initial Setting ---
     if (initialModeIsDynamic) {
@@ -395,8 +661,16 @@ function addPerformanceIndicator() {
     const indicator = document.createElement('div');
     indicator.id = 'performanceIndicator';
     // Styles moved to css file (manual-lod-style.css) for better separation
+    const summary = document.createElement('span');
+    summary.className = 'perf-summary';
+    indicator.appendChild(summary);
     document.body.appendChild(indicator);
 
+    // Click to expand into the performance HUD (performance-hud.js)
+    if (typeof attachPerformanceHud === 'function') {
+        attachPerformanceHud(indicator);
+    }
+
     // Clear previous interval if exists
     if (performanceIndicatorIntervalId) {
         clearInterval(performanceIndicatorIntervalId);
@@ -407,9 +681,9 @@ function addPerformanceIndicator() {
          if (!engine || engine.isDisposed || !indicator) return; // Add check for indicator element
          const fps = engine.getFps().toFixed(0);
          const resPercent = (window.currentPixelRatio * 100).toFixed(0);
-         // Add (Dyn) suffix only if DRS is active
-         const modeSuffix = isDynamicResolutionActive ? ' (Dyn)' : '';
-         indicator.innerHTML = `FPS: ${fps} | Res: ${resPercent}%${modeSuffix}`;
+         // Add (Dyn) / (Target N) suffix for the automatic modes
+         const modeSuffix = isDynamicResolutionActive ? ' (Dyn)' : (targetFps !== null ? ` (Target ${targetFps})` : '');
+         summary.textContent = `FPS: ${fps} | Res: ${resPercent}%${modeSuffix}`;
     };
 
     // Update the indicator periodically
@@ -439,6 +713,9 @@ function cleanupManualLOD() {
         console.log("Performance indicator interval cleared.");
     }
     // Remove performance indicator from DOM
+    if (typeof detachPerformanceHud === 'function') {
+        detachPerformanceHud();
+    }
     const indicator = document.getElementById('performanceIndicator');
     if (indicator) {
         indicator.remove();
@@ -447,9 +724,10 @@ function cleanupManualLOD() {
 
     // Reset state variables
     isDynamicResolutionActive = false;
+    targetFps = null;
     currentPixelRatioPreset = null; // Ensure this is reset
-    lastCameraPosition = null;
-    lastCameraRotationQ = null;
+    drsCameraBaseline.position = null;
+    drsCameraBaseline.rotation = null;
     isConsideredMoving = false;
 
     console.log("Manual LOD cleanup complete.");
@@ -460,7 +738,14 @@ function cleanupManualLOD() {
 window.initManualLOD = initManualLOD;
 window.applyPixelRatioPreset = applyPixelRatioPreset; // Called by buttons
 window.activateDynamicResolution = activateDynamicResolution; // Called by button
+window.activateTargetFpsResolution = activateTargetFpsResolution; // Called by the Target FPS buttons
 window.initWithDefaults = initWithDefaults; // Called by main.js
+window.initDynamicResolutionSystem = initDynamicResolutionSystem; // Called by gallery.js after a scene swap
+window.teardownDynamicResolutionSystem = teardownDynamicResolutionSystem; // Called by gallery.js before a scene swap
 window.cleanupManualLOD = cleanupManualLOD; // Called by main.js cleanup
+window.hasCameraMoved = hasCameraMoved; // Used by render-on-demand.js with its own baseline
+window.getSplatQuality = getSplatQuality; // Read by scene.js when loading a splat
+window.getResolutionState = getResolutionState; // Used by performance-hud.js
+window.applyDeviceSplatQuality = applyDeviceSplatQuality; // Called by main.js detectDeviceCapability
 // window.updateButtonActiveStates is already exposed
 // window.setPixelRatio is exposed by ui.js
\ No newline at end of file
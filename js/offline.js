@@ -0,0 +1,216 @@
+// offline.js - Service worker registration and "download gallery for offline use"
+
+// Offline state
+let serviceWorkerRegistration = null;
+let isOfflineDownloadInProgress = false;
+
+// Register the service worker and build the Offline section of the settings panel
+async function initOfflineSupport() {
+    if (!CONFIG.OFFLINE.ENABLED) return;
+
+    if (!('serviceWorker' in navigator) || !window.caches || location.protocol === 'file:') {
+        console.warn("Offline mode unavailable: service workers need HTTPS (or localhost) and browser support.");
+        return;
+    }
+
+    updateOfflineSettingsSection();
+
+    try {
+        serviceWorkerRegistration = await navigator.serviceWorker.register(CONFIG.OFFLINE.SERVICE_WORKER_FILE);
+        console.log(`Service worker registered (scope: ${serviceWorkerRegistration.scope}).`);
+    } catch (error) {
+        console.warn("Service worker registration failed:", error);
+    }
+
+    refreshOfflineCacheReport();
+}
+
+// All files a gallery scene needs, as absolute URLs (the cache keys the service worker uses)
+function getSceneAssetUrls(entry) {
+    const tourUrl = typeof entry.tour === 'string' ? entry.tour : null;
+    const paths = [entry.splat, entry.collider, entry.catalog, tourUrl, ...entry.art.map(piece => entry.artPath + piece.file)];
+    return paths.filter(Boolean).map(path => new URL(path, location.href).href);
+}
+
+// Size of a cached response (Content-Length when present, otherwise the body size)
+async function getCachedSize(cache, url) {
+    const response = await cache.match(url);
+    if (!response) return 0;
+    const contentLength = parseInt(response.headers.get('Content-Length'), 10);
+    if (contentLength > 0) return contentLength;
+    return (await response.blob()).size;
+}
+
+// Download every file of one scene into the asset cache, streaming straight to disk
+async function downloadSceneForOffline(entry, onProgress) {
+    const cache = await caches.open(CONFIG.OFFLINE.ASSET_CACHE_NAME);
+    const urls = getSceneAssetUrls(entry);
+
+    for (let i = 0; i < urls.length; i++) {
+        const url = urls[i];
+        if (await cache.match(url)) continue; // Already offline
+
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} while downloading ${url}`);
+        }
+
+        // Count bytes as they pass through so the panel can show progress
+        let receivedBytes = 0;
+        const totalBytes = parseInt(response.headers.get('Content-Length'), 10) || 0;
+        const countedBody = response.body
+            ? response.body.pipeThrough(new TransformStream({
+                transform(chunk, controller) {
+                    receivedBytes += chunk.byteLength;
+                    onProgress(i, urls.length, receivedBytes, totalBytes);
+                    controller.enqueue(chunk);
+                }
+            }))
+            : await response.blob();
+
+        await cache.put(url, new Response(countedBody, {
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers
+        }));
+    }
+}
+
+// Download all scenes listed in the gallery manifest
+async function downloadGalleryForOffline() {
+    if (isOfflineDownloadInProgress) return;
+    const scenes = (typeof getGalleryScenes === 'function') ? getGalleryScenes() : [];
+    if (scenes.length === 0) return;
+
+    isOfflineDownloadInProgress = true;
+    updateOfflineSettingsSection();
+
+    // Ask the browser not to evict our data under storage pressure (best effort)
+    if (navigator.storage && navigator.storage.persist) {
+        navigator.storage.persist().catch(() => { /* Not granted - caching still works */ });
+    }
+
+    try {
+        for (const entry of scenes) {
+            await downloadSceneForOffline(entry, (fileIndex, fileCount, receivedBytes, totalBytes) => {
+                const percent = totalBytes > 0 ? ` ${Math.min(100, receivedBytes / totalBytes * 100).toFixed(0)}%` : '';
+                setOfflineStatusText(`Downloading "${entry.title}" (file ${fileIndex + 1}/${fileCount})${percent} - ${formatMegabytes(receivedBytes)}`);
+            });
+        }
+        console.log("Gallery downloaded for offline use.");
+    } catch (error) {
+        console.error("Offline download error:", error);
+        showError(`Offline download failed: ${error.message || error}`);
+    } finally {
+        isOfflineDownloadInProgress = false;
+        updateOfflineSettingsSection();
+        refreshOfflineCacheReport();
+    }
+}
+
+// Remove one scene's files from the asset cache
+async function evictSceneFromOffline(entry) {
+    const cache = await caches.open(CONFIG.OFFLINE.ASSET_CACHE_NAME);
+    await Promise.all(getSceneAssetUrls(entry).map(url => cache.delete(url)));
+    console.log(`Removed offline copy of scene '${entry.id}'.`);
+    refreshOfflineCacheReport();
+}
+
+// Recompute per-scene and total cache usage and render it in the settings panel
+async function refreshOfflineCacheReport() {
+    const sceneList = document.querySelector('#settingsPanel .offline-scene-list');
+    if (!sceneList || !window.caches) return;
+
+    const cache = await caches.open(CONFIG.OFFLINE.ASSET_CACHE_NAME);
+    const scenes = (typeof getGalleryScenes === 'function') ? getGalleryScenes() : [];
+
+    EventManager.removeCategory('offline-scenes');
+    sceneList.innerHTML = '';
+
+    let cachedTotal = 0;
+    for (const entry of scenes) {
+        const urls = getSceneAssetUrls(entry);
+        const sizes = await Promise.all(urls.map(url => getCachedSize(cache, url)));
+        const cachedFiles = sizes.filter(size => size > 0).length;
+        const sceneBytes = sizes.reduce((sum, size) => sum + size, 0);
+        cachedTotal += sceneBytes;
+
+        const row = document.createElement('div');
+        row.className = 'offline-scene-row';
+        const label = document.createElement('span');
+        label.className = 'offline-scene-label';
+        label.textContent = cachedFiles === 0
+            ? `${entry.title} - not cached`
+            : `${entry.title} - ${formatMegabytes(sceneBytes)}${cachedFiles < urls.length ? ' (partial)' : ''}`;
+        row.appendChild(label);
+
+        if (cachedFiles > 0) {
+            const removeButton = document.createElement('button');
+            removeButton.className = 'offline-remove-button';
+            removeButton.title = `Remove "${entry.title}" from this device`;
+            removeButton.innerHTML = '<i class="fas fa-trash"></i>';
+            removeButton.disabled = isOfflineDownloadInProgress;
+            EventManager.addListener('offline-scenes', removeButton, 'click', (e) => {
+                e.preventDefault(); e.stopPropagation();
+                evictSceneFromOffline(entry);
+            });
+            row.appendChild(removeButton);
+        }
+        sceneList.appendChild(row);
+    }
+
+    if (isOfflineDownloadInProgress) return; // Keep the progress text visible
+
+    let statusText = `Cached scenes: ${formatMegabytes(cachedTotal)}`;
+    if (navigator.storage && navigator.storage.estimate) {
+        const { usage, quota } = await navigator.storage.estimate();
+        statusText += ` | Storage: ${formatMegabytes(usage)} of ${formatMegabytes(quota)}`;
+    }
+    setOfflineStatusText(statusText);
+}
+
+// Create/Update the Offline section in the settings panel
+function updateOfflineSettingsSection() {
+    const settingsPanel = document.getElementById('settingsPanel');
+    if (!settingsPanel) return;
+
+    let offlineSection = settingsPanel.querySelector('.offline-settings-section');
+    if (!offlineSection) {
+        offlineSection = document.createElement('div');
+        offlineSection.className = 'settings-section offline-settings-section';
+        offlineSection.innerHTML = `
+            <h3><i class="fas fa-cloud-arrow-down"></i> Offline</h3>
+            <div class="button-group offline-group">
+                <button id="offlineDownloadGallery" title="Store every scene on this device so the gallery works without Wi-Fi.">Download gallery for offline use</button>
+            </div>
+            <div class="offline-status">Checking cache...</div>
+            <div class="offline-scene-list"></div>
+        `;
+        settingsPanel.appendChild(offlineSection);
+
+        EventManager.addListener('ui', document.getElementById('offlineDownloadGallery'), 'click', (e) => {
+            e.preventDefault(); e.stopPropagation();
+            downloadGalleryForOffline();
+        });
+    }
+
+    const downloadButton = offlineSection.querySelector('#offlineDownloadGallery');
+    if (downloadButton) {
+        downloadButton.disabled = isOfflineDownloadInProgress;
+        downloadButton.classList.toggle('active', isOfflineDownloadInProgress);
+    }
+}
+
+function setOfflineStatusText(text) {
+    const status = document.querySelector('#settingsPanel .offline-status');
+    if (status) status.textContent = text;
+}
+
+function formatMegabytes(bytes) {
+    return `${((bytes || 0) / 1048576).toFixed(1)} MB`;
+}
+
+// Expose necessary functions globally
+window.initOfflineSupport = initOfflineSupport; // Called by main.js
+window.downloadGalleryForOffline = downloadGalleryForOffline;
+window.evictSceneFromOffline = evictSceneFromOffline;
@@ -0,0 +1,347 @@
+// performance-hud.js - Expandable performance HUD on #performanceIndicator (created by manual-lod.js)
+// Click the FPS readout for a frame-time sparkline, draw calls, active splats, pixel ratio history,
+// JS heap and resolution/DRS transitions. "Record" captures a session for bug reports (JSON or CSV).
+
+// HUD state
+let hudIndicator = null;
+let hudElements = null; // { details, canvas, stats, events, recordButton, jsonButton, csvButton }
+let hudInstrumentation = null; // BABYLON.SceneInstrumentation, only while the HUD is open or recording
+let hudAfterRenderObserver = null;
+let hudSessionStart = 0; // performance.now() that sample times are relative to
+const hudHistory = []; // Last CONFIG.PERFORMANCE_HUD.HISTORY_FRAMES samples, for the sparkline
+const hudEvents = []; // Recent resolution/DRS transitions, for display
+let lastResolutionLabel = null;
+let lastHudDrawTime = 0;
+let isHudExpanded = false;
+let hudRecording = null; // { startedAt, startTime, samples, events } while recording
+let lastHudRecording = null; // Finished recording, until the next one starts
+
+// "Dynamic (moving)", "Target 60 FPS", "Manual HIGH" - from manual-lod.js
+function describeResolutionState() {
+    if (typeof getResolutionState !== 'function') return 'unknown';
+    const state = getResolutionState();
+    if (state.mode === 'dynamic') return `Dynamic (${state.isMoving ? 'moving' : 'still'})`;
+    if (state.mode === 'target-fps') return `Target ${state.targetFps} FPS`;
+    return `Manual ${state.preset || '-'}`;
+}
+
+// Splats drawn in the last rendered frame: the splat meshes Babylon kept after frustum culling, each with
+// the splats left after the splat budget (and any range filter). null when Babylon doesn't report counts.
+function getActiveSplatCount() {
+    if (!scene || scene.isDisposed) return 0;
+    const activeMeshes = scene.getActiveMeshes();
+    let drawnSplats = 0;
+    for (let i = 0; i < activeMeshes.length; i++) {
+        const mesh = activeMeshes.data[i];
+        if (!(mesh instanceof BABYLON.GaussianSplattingMesh)) continue;
+        const count = typeof mesh.renderedSplatCount === 'number' ? mesh.renderedSplatCount : mesh.splatCount;
+        if (typeof count !== 'number') return null;
+        drawnSplats += count;
+    }
+    return drawnSplats;
+}
+
+// Used JS heap in MB (Chromium only, null elsewhere)
+function getJsHeapMB() {
+    return performance.memory ? performance.memory.usedJSHeapSize / 1048576 : null;
+}
+
+// One sample per rendered frame (render-on-demand skips idle frames, so there are gaps when nothing moves)
+function collectHudSample() {
+    const now = performance.now();
+    const sample = {
+        t: Math.round(now - hudSessionStart),
+        frameMs: engine.getDeltaTime(),
+        renderMs: hudInstrumentation ? hudInstrumentation.frameTimeCounter.current : null,
+        drawCalls: hudInstrumentation ? hudInstrumentation.drawCallsCounter.current : null,
+        activeSplats: getActiveSplatCount(),
+        pixelRatio: window.currentPixelRatio,
+        heapMB: getJsHeapMB(),
+        resolution: describeResolutionState()
+    };
+
+    if (sample.resolution !== lastResolutionLabel) {
+        if (lastResolutionLabel !== null) {
+            const event = { t: sample.t, from: lastResolutionLabel, to: sample.resolution, pixelRatio: sample.pixelRatio };
+            hudEvents.push(event);
+            if (hudEvents.length > CONFIG.PERFORMANCE_HUD.MAX_EVENTS_SHOWN) hudEvents.shift();
+            if (hudRecording) hudRecording.events.push(event);
+        }
+        lastResolutionLabel = sample.resolution;
+    }
+
+    hudHistory.push(sample);
+    if (hudHistory.length > CONFIG.PERFORMANCE_HUD.HISTORY_FRAMES) hudHistory.shift();
+
+    if (hudRecording) {
+        hudRecording.samples.push(sample);
+        if (hudRecording.samples.length >= CONFIG.PERFORMANCE_HUD.MAX_RECORD_FRAMES) {
+            console.warn(`Performance recording stopped at ${CONFIG.PERFORMANCE_HUD.MAX_RECORD_FRAMES} frames.`);
+            stopHudRecording();
+        }
+    }
+
+    if (isHudExpanded && now - lastHudDrawTime >= CONFIG.PERFORMANCE_HUD.REDRAW_INTERVAL_MS) {
+        lastHudDrawTime = now;
+        drawHudDetails();
+    }
+}
+
+// Sampling (and Babylon's instrumentation) only runs while someone is looking or recording
+function updateHudSampling() {
+    const shouldSample = (isHudExpanded || hudRecording !== null) && scene && !scene.isDisposed;
+    if (shouldSample && !hudAfterRenderObserver) {
+        hudInstrumentation = new BABYLON.SceneInstrumentation(scene);
+        hudInstrumentation.captureFrameTime = true;
+        hudAfterRenderObserver = scene.onAfterRenderObservable.add(collectHudSample);
+    } else if (!shouldSample && hudAfterRenderObserver) {
+        stopHudSampling();
+    }
+}
+
+function stopHudSampling() {
+    if (hudAfterRenderObserver && scene) scene.onAfterRenderObservable.remove(hudAfterRenderObserver);
+    hudAfterRenderObserver = null;
+    if (hudInstrumentation) hudInstrumentation.dispose();
+    hudInstrumentation = null;
+}
+
+// --- Drawing ---
+
+function drawHudDetails() {
+    if (!hudElements) return;
+    drawHudSparkline(hudElements.canvas, hudHistory);
+
+    const last = hudHistory[hudHistory.length - 1];
+    if (last) {
+        const frameTimes = hudHistory.map(sample => sample.frameMs);
+        const ratios = hudHistory.map(sample => sample.pixelRatio);
+        const format = (value, digits = 0) => value === null ? 'n/a' : value.toFixed(digits);
+        hudElements.stats.textContent = [
+            `Frame: ${format(last.frameMs, 1)} ms (worst ${format(Math.max(...frameTimes), 1)})`,
+            `Render: ${format(last.renderMs, 1)} ms | Draw calls: ${format(last.drawCalls)}`,
+            `Splats drawn: ${last.activeSplats === null ? 'n/a' : last.activeSplats.toLocaleString()}`,
+            `Res: ${format(last.pixelRatio * 100)}% (${format(Math.min(...ratios) * 100)}-${format(Math.max(...ratios) * 100)}%)`,
+            `Heap: ${last.heapMB === null ? 'n/a' : `${last.heapMB.toFixed(1)} MB`}`,
+            `Mode: ${last.resolution}`
+        ].join('\n');
+    }
+
+    hudElements.events.textContent = hudEvents.length
+        ? hudEvents.map(event => `${(event.t / 1000).toFixed(1)}s ${event.from} -> ${event.to}`).join('\n')
+        : 'No resolution changes yet';
+}
+
+// Frame time as bars against 60/30 FPS guides, pixel ratio as a line (0-100% of the height)
+function drawHudSparkline(canvas, samples) {
+    const context = canvas.getContext('2d');
+    const { width, height } = canvas;
+    const maxMs = CONFIG.PERFORMANCE_HUD.GRAPH_MAX_MS;
+    context.clearRect(0, 0, width, height);
+
+    context.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+    context.lineWidth = 1;
+    [1000 / 60, 1000 / 30].forEach(ms => {
+        const y = Math.round(height - (ms / maxMs) * height) + 0.5;
+        context.beginPath();
+        context.moveTo(0, y);
+        context.lineTo(width, y);
+        context.stroke();
+    });
+
+    const barWidth = width / CONFIG.PERFORMANCE_HUD.HISTORY_FRAMES;
+    const offset = width - samples.length * barWidth; // Newest sample on the right
+    samples.forEach((sample, i) => {
+        const barHeight = Math.min(1, sample.frameMs / maxMs) * height;
+        context.fillStyle = sample.frameMs > 1000 / 30 ? '#e04f4f' : sample.frameMs > 1000 / 60 ? '#e89f17' : '#4caf50';
+        context.fillRect(offset + i * barWidth, height - barHeight, Math.max(1, barWidth), barHeight);
+    });
+
+    context.strokeStyle = '#4fa3e0';
+    context.beginPath();
+    samples.forEach((sample, i) => {
+        const x = offset + i * barWidth;
+        const y = height - Math.min(1, sample.pixelRatio) * (height - 1);
+        if (i === 0) context.moveTo(x, y); else context.lineTo(x, y);
+    });
+    context.stroke();
+}
+
+// --- Recording ---
+
+function startHudRecording() {
+    hudSessionStart = performance.now();
+    hudHistory.length = 0;
+    hudEvents.length = 0;
+    lastResolutionLabel = null;
+    hudRecording = { startedAt: new Date().toISOString(), samples: [], events: [] };
+    lastHudRecording = null;
+    updateHudSampling();
+    updateHudButtons();
+}
+
+function stopHudRecording() {
+    if (!hudRecording) return;
+    lastHudRecording = { ...hudRecording, durationMs: Math.round(performance.now() - hudSessionStart) };
+    hudRecording = null;
+    updateHudSampling();
+    updateHudButtons();
+    console.log(`Performance recording: ${lastHudRecording.samples.length} frames, ${lastHudRecording.events.length} resolution changes.`);
+}
+
+// Everything a bug report needs besides the samples
+function buildHudRecordingReport(recording) {
+    const profile = typeof getDeviceProfile === 'function' ? getDeviceProfile() : null;
+    return {
+        version: 1,
+        startedAt: recording.startedAt,
+        durationMs: recording.durationMs,
+        userAgent: navigator.userAgent,
+        device: profile && {
+            tier: profile.tier,
+            gpu: profile.webgl.renderer,
+            webglVersion: profile.webgl.version,
+            maxTextureSize: profile.webgl.maxTextureSize,
+            deviceMemoryGB: profile.deviceMemoryGB,
+            cpuCores: profile.cpuCores,
+            screenPixels: profile.screenPixels,
+            gpuFrameTimeMs: profile.gpuFrameTimeMs
+        },
+        canvas: engine ? { width: engine.getRenderWidth(), height: engine.getRenderHeight() } : null,
+        splatFile: typeof currentSplatFile !== 'undefined' ? currentSplatFile : null,
+        splatQuality: typeof getSplatQuality === 'function' ? getSplatQuality() : null,
+        events: recording.events,
+        samples: recording.samples
+    };
+}
+
+const HUD_CSV_COLUMNS = ['t', 'frameMs', 'renderMs', 'drawCalls', 'activeSplats', 'pixelRatio', 'heapMB', 'resolution'];
+
+function buildHudRecordingCsv(recording) {
+    const formatCell = value => {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'number') return String(Math.round(value * 1000) / 1000);
+        return `"${String(value).replace(/"/g, '""')}"`;
+    };
+    const rows = recording.samples.map(sample => HUD_CSV_COLUMNS.map(column => formatCell(sample[column])).join(','));
+    return [HUD_CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+function downloadHudRecording(format) {
+    if (!lastHudRecording) return;
+    const isCsv = format === 'csv';
+    const content = isCsv
+        ? buildHudRecordingCsv(lastHudRecording)
+        : JSON.stringify(buildHudRecordingReport(lastHudRecording), null, 2);
+    downloadFile(content, `performance-${lastHudRecording.startedAt.replace(/[:.]/g, '-')}.${isCsv ? 'csv' : 'json'}`,
+        isCsv ? 'text/csv' : 'application/json');
+}
+
+// --- UI ---
+
+function updateHudButtons() {
+    if (!hudElements) return;
+    hudElements.recordButton.classList.toggle('active', hudRecording !== null);
+    hudElements.recordButton.innerHTML = hudRecording
+        ? '<i class="fas fa-stop"></i> Stop'
+        : '<i class="fas fa-circle"></i> Record';
+    hudElements.jsonButton.disabled = !lastHudRecording;
+    hudElements.csvButton.disabled = !lastHudRecording;
+    if (hudIndicator) hudIndicator.classList.toggle('recording', hudRecording !== null);
+}
+
+function setHudExpanded(expanded) {
+    isHudExpanded = expanded;
+    if (hudIndicator) hudIndicator.classList.toggle('expanded', expanded);
+    if (expanded && !hudRecording && !hudAfterRenderObserver) {
+        // Fresh graph when opening (not while a recording keeps its own timeline)
+        hudSessionStart = performance.now();
+        hudHistory.length = 0;
+    }
+    updateHudSampling();
+    if (expanded) {
+        drawHudDetails();
+        if (typeof requestRender === 'function') requestRender(); // Something to show right away
+    }
+}
+
+// Called by manual-lod.js addPerformanceIndicator() with the indicator element
+function attachPerformanceHud(indicator) {
+    detachPerformanceHud();
+    hudIndicator = indicator;
+    indicator.setAttribute('role', 'button');
+    indicator.setAttribute('tabindex', '0');
+    indicator.setAttribute('title', 'Show performance details');
+
+    const details = document.createElement('div');
+    details.className = 'perf-hud-details';
+    details.innerHTML = `
+        <canvas class="perf-hud-graph" width="${CONFIG.PERFORMANCE_HUD.GRAPH_WIDTH}" height="${CONFIG.PERFORMANCE_HUD.GRAPH_HEIGHT}"></canvas>
+        <pre class="perf-hud-stats"></pre>
+        <pre class="perf-hud-events"></pre>
+        <div class="perf-hud-buttons">
+            <button class="perf-hud-record" title="Capture every rendered frame until you press Stop."></button>
+            <button class="perf-hud-json" title="Download the last recording with device details (JSON).">JSON</button>
+            <button class="perf-hud-csv" title="Download the last recording's frames as a spreadsheet (CSV).">CSV</button>
+        </div>
+    `;
+    indicator.appendChild(details);
+
+    hudElements = {
+        details,
+        canvas: details.querySelector('.perf-hud-graph'),
+        stats: details.querySelector('.perf-hud-stats'),
+        events: details.querySelector('.perf-hud-events'),
+        recordButton: details.querySelector('.perf-hud-record'),
+        jsonButton: details.querySelector('.perf-hud-json'),
+        csvButton: details.querySelector('.perf-hud-csv')
+    };
+
+    EventManager.addListener('performance-hud', indicator, 'click', (e) => {
+        if (details.contains(e.target)) return; // Clicks inside the details don't collapse the HUD
+        setHudExpanded(!isHudExpanded);
+    });
+    EventManager.addListener('performance-hud', indicator, 'keydown', (e) => {
+        if (e.target === indicator && (e.key === 'Enter' || e.key === ' ')) {
+            e.preventDefault();
+            setHudExpanded(!isHudExpanded);
+        }
+    });
+    EventManager.addListener('performance-hud', hudElements.recordButton, 'click', (e) => {
+        e.preventDefault(); e.stopPropagation();
+        if (hudRecording) stopHudRecording(); else startHudRecording();
+    });
+    EventManager.addListener('performance-hud', hudElements.jsonButton, 'click', (e) => {
+        e.preventDefault(); e.stopPropagation();
+        downloadHudRecording('json');
+    });
+    EventManager.addListener('performance-hud', hudElements.csvButton, 'click', (e) => {
+        e.preventDefault(); e.stopPropagation();
+        downloadHudRecording('csv');
+    });
+
+    updateHudButtons();
+    setHudExpanded(isHudExpanded);
+}
+
+function detachPerformanceHud() {
+    EventManager.removeCategory('performance-hud');
+    if (hudRecording) stopHudRecording();
+    stopHudSampling();
+    if (hudElements && hudElements.details.parentNode) {
+        hudElements.details.parentNode.removeChild(hudElements.details);
+    }
+    hudElements = null;
+    hudIndicator = null;
+}
+
+// Expose necessary functions globally
+if (typeof window !== 'undefined') {
+    window.attachPerformanceHud = attachPerformanceHud; // Called by manual-lod.js
+    window.detachPerformanceHud = detachPerformanceHud; // Called by manual-lod.js cleanup
+}
+
+// Export for non-browser use (CSV export tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { buildHudRecordingCsv, HUD_CSV_COLUMNS };
+}
@@ -0,0 +1,108 @@
+// render-on-demand.js - Skip scene.render() while nothing on screen can change (idle kiosks, battery)
+// A frame is rendered when it is marked dirty: camera motion (hasCameraMoved), input, resize,
+// resolution changes, asset loads, animations - plus a short settle period after the last change.
+
+// Render-on-demand state
+let renderDirtyUntil = 0; // performance.now() until which every frame renders
+const renderCameraBaseline = { position: null, rotation: null }; // Pose at the last rendered frame, for hasCameraMoved()
+let consecutiveRenderedFrames = 0;
+let renderOnDemandObservers = []; // [observable, observer] pairs on the current scene
+let isRenderOnDemandActive = false; // Every frame renders until initRenderOnDemand() (initial load, streamed preview)
+
+// Mark the view dirty: render from now until the settle period (or holdMs) has passed.
+// The settle frames let camera inertia, splat re-sorting and the DRS refinement finish on screen.
+function requestRender(holdMs = CONFIG.RENDER_ON_DEMAND.SETTLE_MS) {
+    renderDirtyUntil = Math.max(renderDirtyUntil, performance.now() + holdMs);
+}
+
+// Anything still changing the picture this frame?
+function isViewChanging() {
+    // Pending Babylon camera motion (mouse inertia, input-actions.js displacement)
+    const direction = camera.cameraDirection;
+    const rotation = camera.cameraRotation;
+    if (direction.x !== 0 || direction.y !== 0 || direction.z !== 0 || rotation.x !== 0 || rotation.y !== 0) return true;
+
+    if (typeof hasCameraMoved === 'function' && hasCameraMoved(false, renderCameraBaseline)) return true;
+
+    // Babylon animations and textures/meshes still loading
+    if (scene.animatables.length > 0 || scene.getWaitingItemsCount() > 0) return true;
+
+    if (typeof isCameraFlightActive === 'function' && isCameraFlightActive()) return true;
+    if (typeof isTourPlaying === 'function' && isTourPlaying()) return true;
+    return false;
+}
+
+// Called by optimizedRenderLoop (main.js) before scene.render()
+function shouldRenderFrame() {
+    if (!isRenderOnDemandActive) return true;
+    // The headset needs a frame every display refresh
+    if (typeof isXRSessionActive === 'function' && isXRSessionActive()) return true;
+
+    if (isViewChanging()) requestRender();
+    return performance.now() < renderDirtyUntil;
+}
+
+// Called by optimizedRenderLoop after deciding - lets the frame-time controller ignore the first frame after idle
+function noteFrameRendered(rendered) {
+    consecutiveRenderedFrames = rendered ? consecutiveRenderedFrames + 1 : 0;
+}
+
+function getConsecutiveRenderedFrames() {
+    return consecutiveRenderedFrames;
+}
+
+function markRenderDirty() {
+    requestRender();
+}
+
+// Scene-level change signals (meshes added/removed by asset loads and gallery scene switches)
+function observeSceneForRenderOnDemand(targetScene) {
+    removeRenderOnDemandObservers();
+    if (!targetScene) return;
+
+    [targetScene.onNewMeshAddedObservable, targetScene.onMeshRemovedObservable, targetScene.onNewTextureAddedObservable]
+        .forEach(observable => {
+            renderOnDemandObservers.push([observable, observable.add(markRenderDirty)]);
+        });
+    renderCameraBaseline.position = null;
+    renderCameraBaseline.rotation = null;
+    requestRender();
+}
+
+function removeRenderOnDemandObservers() {
+    renderOnDemandObservers.forEach(([observable, observer]) => observable.remove(observer));
+    renderOnDemandObservers = [];
+}
+
+// Called by main.js once the scene and camera exist
+function initRenderOnDemand() {
+    EventManager.removeCategory('render-on-demand');
+    if (!CONFIG.RENDER_ON_DEMAND.ENABLED) return;
+
+    // Any user input may change the view (hover highlights, look, popups over the canvas)
+    ['pointerdown', 'pointermove', 'pointerup', 'wheel', 'keydown', 'keyup', 'touchstart', 'touchmove', 'touchend']
+        .forEach(type => {
+            EventManager.addListener('render-on-demand', window, type, markRenderDirty, { passive: true });
+        });
+    EventManager.addListener('render-on-demand', window, 'resize', markRenderDirty);
+    EventManager.addListener('render-on-demand', document, 'visibilitychange', markRenderDirty);
+
+    observeSceneForRenderOnDemand(scene);
+    isRenderOnDemandActive = true;
+}
+
+function cleanupRenderOnDemand() {
+    isRenderOnDemandActive = false;
+    EventManager.removeCategory('render-on-demand');
+    removeRenderOnDemandObservers();
+    renderCameraBaseline.position = null;
+    renderCameraBaseline.rotation = null;
+}
+
+// Expose necessary functions globally
+window.requestRender = requestRender; // Used by ui.js (pixel ratio, loading) and input-actions.js
+window.shouldRenderFrame = shouldRenderFrame; // Called by main.js render loop
+window.noteFrameRendered = noteFrameRendered;
+window.getConsecutiveRenderedFrames = getConsecutiveRenderedFrames; // Used by manual-lod.js (target FPS)
+window.initRenderOnDemand = initRenderOnDemand; // Called by main.js
+window.cleanupRenderOnDemand = cleanupRenderOnDemand;
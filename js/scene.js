@@ -2,6 +2,19 @@
 
 // --- Global Observer Reference ---
 let frustumCullObserver = null; // Store observer globally or attach to scene metadata
+let colliderImportedMeshes = []; // All meshes from the last collider import (incl. __root__) for disposal
+let isColliderGenerated = false; // True when the current collider was built from the splat (no collider file)
+let lastSplatSource = null; // { format, buffer } of the splat just loaded, kept only until the collider step
+let currentSplatFile = null; // URL of the loaded splat, for reloads after a splat quality change
+let isSplatReloadInProgress = false;
+let isSplatReloadQueued = false; // Quality changed again while reloading
+let splatLoadId = 0; // Incremented by every loadSplat(); a newer load cancels the older one's decode
+let splatLoadAbortController = null; // Aborts the running loadSplat()'s download and decode
+let isSplatLoadCancelled = false; // The user pressed Cancel during the latest loadSplat()
+let splatWorker = null; // Started splat decoding worker (js/splat-worker.js)
+let splatWorkerPromise = null; // Resolves to splatWorker, or null when decoding stays on the main thread
+const splatWorkerJobs = new Map(); // Job id -> { resolve, reject, onProgress }
+let nextSplatWorkerJobId = 1;
 
 // Initialize the scene
 async function initScene() {
@@ -24,8 +37,18 @@ async function initScene() {
     try {
         showLoadingIndicator(CONFIG.LOADING.DEFAULT_MESSAGE);
 
+        // Resolve the first gallery scene from the manifest (falls back to CONFIG.ASSETS)
+        const initialSceneEntry = (typeof prepareInitialGalleryScene === 'function')
+            ? await prepareInitialGalleryScene()
+            : null;
+
+        // Create the camera before the splat streams in so the progressive preview can be rendered
+        if (!camera && typeof initCamera === 'function') {
+            initCamera();
+        }
+
         // Load default scene assets
-        await loadDefaultAssets(); // Needs scene, loads splat/collider
+        await loadDefaultAssets(initialSceneEntry); // Needs scene, loads splat/collider
 
         // Apply optimizations after assets are loaded
         optimizeScene(); // Optimizes scene settings and potentially loaded meshes
@@ -112,25 +135,11 @@ function setupFrustumCullingObserver(sceneInstance) {
     // Cache for bounding info and spheres
     const boundingCache = new Map();
     
-    // Device capability detection
-    const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-    const isLowEndDevice = isMobile && (
-        /iPhone\s(5|6|7|8|SE)|Android.*SM-G9|Android.*GT-/i.test(navigator.userAgent) || 
-        (window.screen.width * window.screen.height < 1000000)
-    );
-    
     frustumCullObserver = sceneInstance.onBeforeRenderObservable.add(() => {
-        // Dynamic interval based on device capability and movement state
-        // More aggressive skipping on mobile and low-end devices
-        let checkInterval;
-        
-        if (isLowEndDevice) {
-            checkInterval = window.joystickActive || window.isConsideredMoving ? 12 : 60;
-        } else if (isMobile) {
-            checkInterval = window.joystickActive || window.isConsideredMoving ? 8 : 45;
-        } else {
-            checkInterval = window.joystickActive || window.isConsideredMoving ? 5 : 30;
-        }
+        // Dynamic interval based on device tier (CONFIG.DEVICE_PROFILE.FRUSTUM_CHECK_INTERVALS) and movement state
+        // More aggressive skipping on mobile and low-end devices; the profile may change after the splat benchmark
+        const intervals = CONFIG.DEVICE_PROFILE.FRUSTUM_CHECK_INTERVALS[getDeviceProfile().tier];
+        const checkInterval = window.joystickActive || window.isConsideredMoving ? intervals.MOVING : intervals.IDLE;
         
         // Skip checks based on determined interval
         if (++frustumCheckCount % checkInterval !== 0) return;
@@ -207,15 +216,27 @@ function setupFrustumCullingObserver(sceneInstance) {
 }
 
 // Load default assets (splat and collider)
-async function loadDefaultAssets() {
-    // No changes needed here, but ensure it uses the global `scene` correctly
+// sceneEntry: optional gallery manifest entry ({ splat, collider }); defaults to CONFIG.ASSETS
+async function loadDefaultAssets(sceneEntry = null) {
+    const splatFile = sceneEntry ? sceneEntry.splat : CONFIG.ASSETS.SPLAT_FILE;
+    const colliderFile = sceneEntry ? sceneEntry.collider : CONFIG.ASSETS.COLLIDER_FILE;
+
     // try/catch block remains important
     try {
         showLoadingIndicator(CONFIG.LOADING.DEFAULT_MESSAGE);
-        await loadSplat(); // This assigns currentSplatMesh
-        const colliderLoaded = await loadCollider();
+        await loadSplat(splatFile); // This assigns currentSplatMesh
+        if (isSplatLoadCancelled) return false; // Cancelled by the user: nothing to build a collider for
+        const colliderLoaded = await loadCollider(colliderFile);
 
-        if (!colliderLoaded && currentSplatMesh) {
+        // No collider file: try to build a floor-and-walls proxy from the splat itself
+        const colliderGenerated = !colliderLoaded && CONFIG.AUTO_COLLIDER.ENABLED && currentSplatMesh
+            ? await generateColliderFromSplat(lastSplatSource)
+            : false;
+        lastSplatSource = null; // MEMORY OPTIMIZATION: Release the raw file
+
+        if (colliderGenerated) {
+            updateColliderStatus(true, true);
+        } else if (!colliderLoaded && currentSplatMesh) {
             currentSplatMesh.checkCollisions = true;
             // Don't freeze world matrix if it needs to be pickable for basic collision? Revisit this.
             // If using splat mesh itself for collision, it likely shouldn't be frozen entirely.
@@ -231,6 +252,7 @@ async function loadDefaultAssets() {
 
         return true; // Indicate success
     } catch (error) {
+        lastSplatSource = null;
         console.error("Default assets loading error:", error);
         showError(`Failed to load default assets: ${error.message || error}`);
         return false; // Indicate failure
@@ -239,18 +261,22 @@ async function loadDefaultAssets() {
 }
 
 // Load Splat (Ensure currentSplatMesh is assigned)
-
-// Load Splat (Ensure currentSplatMesh is assigned)
-
-
-// Load Splat (Ensure currentSplatMesh is assigned)
-async function loadSplat() {
+async function loadSplat(splatFile = CONFIG.ASSETS.SPLAT_FILE) {
     if (!scene) {
         console.error("loadSplat: Scene is not defined.");
         return false;
     }
+    const loadId = ++splatLoadId;
+    if (splatLoadAbortController) splatLoadAbortController.abort();
+    cancelSplatDecodes(); // Only the newest load may finish
+    const abortController = new AbortController();
+    splatLoadAbortController = abortController;
+    isSplatLoadCancelled = false;
+    const isAborted = () => abortController.signal.aborted;
     try {
         showLoadingIndicator(CONFIG.LOADING.SPLAT_MESSAGE);
+        setLoadingCancelHandler(cancelSplatLoad);
+        currentSplatFile = splatFile;
 
         // Enhanced cleanup for previous splat mesh
         if (currentSplatMesh) {
@@ -309,8 +335,7 @@ async function loadSplat() {
             }
             
             // For mobile, add an extra memory management step
-            const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-            if (isMobile && engine && !engine.isDisposed) {
+            if (getDeviceProfile().isMobile && engine && !engine.isDisposed) {
                 // Reduce texture memory by temporarily lowering engine resolution
                 const originalHardwareScaling = engine.getHardwareScalingLevel();
                 engine.setHardwareScalingLevel(Math.max(originalHardwareScaling, 2.0)); // Use at least 50% reduction
@@ -332,12 +357,81 @@ async function loadSplat() {
             console.log("Previous splat mesh and associated resources thoroughly disposed.");
         }
 
-        // Append the splat file to the existing scene
-        await BABYLON.SceneLoader.AppendAsync("./", CONFIG.ASSETS.SPLAT_FILE, scene);
+        // Stream the file so the indicator shows real byte progress and a coarse preview can render early
+        const preview = createSplatPreviewController(detectSplatFormat(splatFile, null));
+        let splatMesh = null;
+        try {
+            let fileBuffer = await fetchWithProgress(splatFile, (receivedBytes, totalBytes, bytes) => {
+                updateLoadingProgress(receivedBytes, totalBytes);
+                preview.update(bytes, receivedBytes);
+            }, abortController.signal);
+
+            // Magic bytes win over the extension (e.g. a PLY saved as .bin)
+            const format = detectSplatFormat(splatFile, fileBuffer);
+            if (!format) {
+                throw new Error(`Unrecognized splat file format: ${splatFile}`);
+            }
+            // Splat budget and SH degree from Settings > Splat Quality (read after the download, so late changes count)
+            const quality = typeof getSplatQuality === 'function' ? getSplatQuality() : null;
+            const isFullQuality = !quality || (!(quality.maxSplats > 0) && quality.shDegree >= 3);
+
+            // Parse, convert and decimate in the splat worker; the file buffer is transferred there and back
+            const worker = await getSplatWorker();
+            if (worker) {
+                showLoadingIndicator(CONFIG.LOADING.DECODING_MESSAGE, 0);
+                const result = await decodeSplatInWorker(worker, format, fileBuffer, {
+                    maxSplats: quality ? quality.maxSplats : 0,
+                    shDegree: quality ? quality.shDegree : 3,
+                    returnSource: CONFIG.AUTO_COLLIDER.ENABLED,
+                    onProgress: (stage, fraction) => showLoadingIndicator(stage === 'decimating'
+                        ? CONFIG.LOADING.DECIMATING_MESSAGE
+                        : CONFIG.LOADING.DECODING_MESSAGE, fraction)
+                });
+                fileBuffer = result.source;
+                if (result.type === 'done') {
+                    if (result.splatCount < result.totalSplats) {
+                        console.log(`Splat budget: kept ${result.splatCount} of ${result.totalSplats} splats.`);
+                    }
+                    if (isAborted()) throw createSplatAbortError();
+                    splatMesh = await createGaussianSplattingMesh(result.data, result.sh);
+                    preview.dispose();
+                }
+            }
+
+            // Keep the raw file for generateColliderFromSplat() in case the scene has no collider
+            lastSplatSource = CONFIG.AUTO_COLLIDER.ENABLED && fileBuffer ? { format, buffer: fileBuffer } : null;
 
-        // Find the splat mesh reliably
-        // Option 1: Assume known name (best if possible)
-        currentSplatMesh = scene.getMeshByName("GaussianSplatting"); // Adjust "GaussianSplatting" to the actual mesh name in your PLY/GLB if known
+            // Main-thread fallback: worker off/unavailable, or a PLY layout it can't read (compressed PLY)
+            if (!splatMesh) {
+                if (format === SPLAT_FORMATS.PLY && !isFullQuality) {
+                    // Reduced quality: convert the PLY ourselves so it can be decimated and its SH trimmed
+                    const { data, sh } = await convertPlyToSplatWithSH(fileBuffer, quality.shDegree);
+                    splatMesh = await createSplatMeshFromRows(data, sh, quality);
+                    preview.dispose();
+                } else if (format === SPLAT_FORMATS.PLY) {
+                    // PLY files go through Babylon's loader, fed from the bytes we already downloaded
+                    await BABYLON.SceneLoader.AppendAsync("", new Uint8Array(fileBuffer), scene, null, ".ply");
+                    preview.dispose(); // Before the lookup so the fallback can't pick the preview mesh
+
+                    // Find the splat mesh reliably
+                    // Option 1: Assume known name (best if possible)
+                    splatMesh = scene.getMeshByName("GaussianSplatting"); // Adjust "GaussianSplatting" to the actual mesh name in your PLY/GLB if known
+                } else {
+                    // Everything else is decoded by splat-formats.js
+                    splatMesh = await createSplatMeshFromBuffer(splatFile, format, fileBuffer, quality, isAborted);
+                    preview.dispose();
+                }
+            }
+        } finally {
+            preview.dispose(); // No-op on success; removes a stale preview on failure
+        }
+
+        // Cancelled, or a newer loadSplat() started while this one was decoding (its result wins)
+        if (isAborted()) {
+            if (splatMesh) splatMesh.dispose(false, true);
+            throw createSplatAbortError();
+        }
+        currentSplatMesh = splatMesh;
 
         // Option 2: Fallback - find the last added mesh that's not __root__ or the collider
         if (!currentSplatMesh) {
@@ -393,13 +487,380 @@ async function loadSplat() {
         hideLoadingIndicator(); // Hide indicator after loading
         return true; // Indicate success
     } catch (error) {
+        if (error.name === 'AbortError') {
+            if (loadId === splatLoadId && isSplatLoadCancelled) {
+                console.log(`Splat load cancelled by the user: ${splatFile}`);
+                showLoadingCancelled();
+            } else {
+                // Superseded by a newer load (or the app is shutting down), which owns the loading indicator now
+                console.log(`Splat load cancelled: ${splatFile}`);
+            }
+            return false;
+        }
         console.error("Splat loading error:", error);
         showError(`Failed to load scene: ${error.message || error}`);
         hideLoadingIndicator(); // Ensure indicator is hidden on error
         return false; // Indicate failure
+    } finally {
+        if (splatLoadAbortController === abortController) splatLoadAbortController = null;
+    }
+}
+
+// Cancel button of the loading indicator: stop the running splat download or decode.
+// loadSplat() then shows the cancelled message and resolves to false; the scene stays without a splat.
+function cancelSplatLoad() {
+    if (!splatLoadAbortController) return;
+    isSplatLoadCancelled = true;
+    setLoadingCancelHandler(null);
+    splatLoadAbortController.abort();
+    cancelSplatDecodes();
+}
+
+
+// Fetch a file as a stream, reporting progress after every chunk.
+// onProgress(receivedBytes, totalBytes, bytes): totalBytes is 0 when the server sends no usable Content-Length,
+// bytes holds everything received so far (only the first receivedBytes are valid).
+// signal: optional AbortSignal; aborting rejects with an AbortError, also in the middle of the stream.
+async function fetchWithProgress(url, onProgress, signal = null) {
+    const response = await fetch(url, signal ? { signal } : undefined);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} while fetching ${url}`);
+    }
+
+    // Content-Length is the *encoded* size when the server compresses, so only trust it for identity responses
+    const encoding = response.headers.get('Content-Encoding');
+    const totalBytes = (!encoding || encoding === 'identity')
+        ? (parseInt(response.headers.get('Content-Length'), 10) || 0)
+        : 0;
+
+    // No streams API (old browsers): fall back to a single-shot read
+    if (!response.body || typeof response.body.getReader !== 'function') {
+        const buffer = await response.arrayBuffer();
+        onProgress(buffer.byteLength, buffer.byteLength, new Uint8Array(buffer));
+        return buffer;
+    }
+
+    const reader = response.body.getReader();
+    let bytes = new Uint8Array(totalBytes || 8 * 1024 * 1024);
+    let receivedBytes = 0;
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        // Grow the buffer when the size was unknown (or wrong)
+        if (receivedBytes + value.byteLength > bytes.byteLength) {
+            const grown = new Uint8Array(Math.max(bytes.byteLength * 2, receivedBytes + value.byteLength));
+            grown.set(bytes.subarray(0, receivedBytes));
+            bytes = grown;
+        }
+        bytes.set(value, receivedBytes);
+        receivedBytes += value.byteLength;
+
+        onProgress(receivedBytes, totalBytes, bytes);
+    }
+
+    // MEMORY OPTIMIZATION: Avoid a copy when the Content-Length was exact
+    return receivedBytes === bytes.byteLength ? bytes.buffer : bytes.slice(0, receivedBytes).buffer;
+}
+
+// Keeps a coarse, temporary splat mesh in sync with the bytes downloaded so far
+function createSplatPreviewController(format) {
+    const enabled = CONFIG.LOADING.PROGRESSIVE_PREVIEW &&
+                    (format === SPLAT_FORMATS.PLY || format === SPLAT_FORMATS.SPLAT);
+    let previewMesh = null;
+    let lastUpdateTime = performance.now(); // First preview waits one interval so it isn't a handful of splats
+    let updateInFlight = false;
+    let isDisposed = false;
+
+    const applyPreview = async (preview) => {
+        const splatData = preview.format === SPLAT_FORMATS.PLY
+            ? await convertPreviewPly(preview.data)
+            : preview.data;
+        if (isDisposed) return;
+
+        if (!previewMesh) {
+            previewMesh = new BABYLON.GaussianSplattingMesh("GaussianSplattingPreview", null, scene);
+            previewMesh.isPickable = false;
+            applySplatLoaderTransform(previewMesh); // Same way up as the final mesh
+            // The preview is what visitors look at now, so drop Babylon's full-screen loading overlay
+            if (engine && engine.hideLoadingUI) engine.hideLoadingUI();
+        }
+        await previewMesh.loadDataAsync(splatData);
+    };
+
+    return {
+        update(bytes, receivedBytes) {
+            if (!enabled || isDisposed || updateInFlight) return;
+            const now = performance.now();
+            if (now - lastUpdateTime < CONFIG.LOADING.PREVIEW_UPDATE_INTERVAL) return;
+            lastUpdateTime = now;
+
+            const preview = buildSplatPreview(format, bytes, receivedBytes, CONFIG.LOADING.PREVIEW_MAX_SPLATS);
+            if (!preview) return;
+
+            updateInFlight = true;
+            applyPreview(preview)
+                .catch(error => {
+                    if (error.name !== 'AbortError') console.warn("Splat preview update failed:", error);
+                })
+                .finally(() => {
+                    updateInFlight = false;
+                    // dispose() may have run while the upload was pending
+                    if (isDisposed && previewMesh) {
+                        previewMesh.dispose(false, true);
+                        previewMesh = null;
+                    }
+                });
+        },
+        dispose() {
+            isDisposed = true;
+            if (previewMesh && !updateInFlight) {
+                previewMesh.dispose(false, true);
+                previewMesh = null;
+            }
+        }
+    };
+}
+
+// Convert a preview PLY in the splat worker when it runs, with Babylon otherwise
+async function convertPreviewPly(plyBuffer) {
+    const worker = await getSplatWorker();
+    if (!worker) return convertPlyToSplatBuffer(plyBuffer);
+
+    const result = await decodeSplatInWorker(worker, SPLAT_FORMATS.PLY, plyBuffer);
+    return result.type === 'done' ? result.data : convertPlyToSplatBuffer(result.source);
+}
+
+// Convert a PLY buffer with Babylon (Babylon 7 returns an ArrayBuffer, Babylon 8 wraps it in { buffer })
+async function convertPlyToSplatBuffer(plyBuffer) {
+    const converted = await BABYLON.GaussianSplattingMesh.ConvertPLYToSplatAsync(plyBuffer);
+    return converted instanceof ArrayBuffer ? converted : converted.buffer;
+}
+
+// Convert a PLY buffer keeping up to shDegree spherical-harmonics bands.
+// Babylon returns one SH texture per degree, so trimming the array lowers the degree the material uses.
+async function convertPlyToSplatWithSH(plyBuffer, shDegree) {
+    const canKeepSH = shDegree > 0 && typeof BABYLON.GaussianSplattingMesh.ConvertPLYWithSHToSplatAsync === 'function';
+    if (!canKeepSH) {
+        return { data: await convertPlyToSplatBuffer(plyBuffer), sh: null };
+    }
+    const converted = await BABYLON.GaussianSplattingMesh.ConvertPLYWithSHToSplatAsync(plyBuffer);
+    const sh = converted.sh && converted.sh.length > 0 ? converted.sh.slice(0, shDegree) : null;
+    return { data: converted.buffer, sh };
+}
+
+// Create the splat mesh from .splat rows, keeping at most quality.maxSplats of them (most important first)
+async function createSplatMeshFromRows(splatData, sh, quality) {
+    const totalSplats = splatData.byteLength / SPLAT_ROW_BYTES;
+    const decimated = decimateSplats(splatData, quality ? quality.maxSplats : 0, sh);
+    if (decimated.splatCount < totalSplats) {
+        console.log(`Splat budget: kept ${decimated.splatCount} of ${totalSplats} splats.`);
+    }
+
+    return createGaussianSplattingMesh(decimated.data, decimated.sh);
+}
+
+// Upload .splat rows (and optional SH textures) into a new splat mesh.
+// updateDataAsync() keeps positions as they are; the sync updateData() defaults to flipY: true.
+async function createGaussianSplattingMesh(splatData, sh) {
+    const splatMesh = new BABYLON.GaussianSplattingMesh("GaussianSplatting", null, scene);
+    const shTextures = sh ? padShTextures(sh, splatData.byteLength / SPLAT_ROW_BYTES) : null;
+    if (shTextures && typeof splatMesh.updateDataAsync === 'function') {
+        await splatMesh.updateDataAsync(splatData, shTextures);
+    } else if (shTextures && typeof splatMesh.updateData === 'function') {
+        splatMesh.updateData(splatData, shTextures, { flipY: false });
+    } else {
+        await splatMesh.loadDataAsync(splatData);
+    }
+    applySplatLoaderTransform(splatMesh);
+    return splatMesh;
+}
+
+// Babylon's splat loader (PLY, .splat, .spz) mirrors the mesh it creates on Y. Meshes built from our own
+// decoders get the same transform, so every load path (and the preview) shows the scene the same way up.
+function applySplatLoaderTransform(splatMesh) {
+    splatMesh.scaling.y *= -1;
+}
+
+// Babylon uploads every SH texture as a whole maxTextureSize-wide image, so each array has to cover
+// all of its rows (16 bytes per texel). Same size as GaussianSplattingMesh._getTextureSize().
+function padShTextures(sh, splatCount) {
+    const splatEngine = scene.getEngine();
+    const width = splatEngine.getCaps().maxTextureSize;
+    let height = 1;
+    if (splatEngine.version !== 1 || splatEngine.isWebGPU) {
+        height = Math.ceil(splatCount / width);
+        if (splatCount > 0 && height * width === splatCount) height++;
+    } else {
+        // WebGL1 needs power-of-two textures
+        while (width * height < splatCount) height *= 2;
+        if (splatCount > 0 && width * height === splatCount) height *= 2;
+    }
+    const byteLength = width * Math.min(height, width) * 16;
+
+    return sh.map(texture => {
+        if (texture.byteLength >= byteLength) return texture;
+        const padded = new Uint8Array(byteLength);
+        padded.set(texture);
+        return padded;
+    });
+}
+
+// Build the splat mesh from an already downloaded non-PLY file (isCancelled stops a chunked decode)
+async function createSplatMeshFromBuffer(splatFile, format, fileBuffer, quality = null, isCancelled = null) {
+    showLoadingIndicator(CONFIG.LOADING.DECODING_MESSAGE);
+    if (CONFIG.DEBUG.ENABLE_LOGGING) {
+        console.log(`Decoding ${splatFile} as .${format} (${(fileBuffer.byteLength / 1048576).toFixed(1)} MB)`);
+    }
+
+    const decoded = await decodeSplatBuffer(format, fileBuffer, {
+        isCancelled,
+        onProgress: fraction => showLoadingIndicator(CONFIG.LOADING.DECODING_MESSAGE, fraction)
+    });
+    // Decoders may return a view shorter than its buffer; hand Babylon an exact copy then
+    const splatData = decoded.byteLength === decoded.buffer.byteLength ? decoded.buffer : decoded.slice().buffer;
+
+    return createSplatMeshFromRows(splatData, null, quality);
+}
+
+// --- Splat decoding worker (js/splat-worker.js) ---
+
+// Start the worker once and wait for its 'ready' message.
+// Resolves to null (decode on the main thread) when disabled, unsupported or the script fails to load.
+function getSplatWorker() {
+    if (!CONFIG.SPLAT_WORKER.ENABLED || typeof Worker === 'undefined') return Promise.resolve(null);
+    if (splatWorkerPromise) return splatWorkerPromise;
+
+    splatWorkerPromise = new Promise(resolve => {
+        let worker;
+        try {
+            worker = new Worker(CONFIG.SPLAT_WORKER.SCRIPT);
+        } catch (error) {
+            console.warn("Splat worker unavailable, decoding on the main thread:", error);
+            resolve(null);
+            return;
+        }
+
+        let startupTimer = null;
+        const failStartup = (reason) => {
+            clearTimeout(startupTimer);
+            console.warn("Splat worker failed to start, decoding on the main thread:", reason);
+            worker.terminate();
+            resolve(null);
+        };
+        startupTimer = setTimeout(() => failStartup("startup timed out"), CONFIG.SPLAT_WORKER.STARTUP_TIMEOUT);
+        worker.onerror = (event) => failStartup(event.message || event);
+        worker.onmessage = (event) => {
+            if (event.data.type !== 'ready') return;
+            clearTimeout(startupTimer);
+            worker.onmessage = handleSplatWorkerMessage;
+            worker.onerror = handleSplatWorkerError;
+            splatWorker = worker;
+            resolve(worker);
+        };
+    });
+    return splatWorkerPromise;
+}
+
+// Decode a downloaded splat file in the worker. The buffer is transferred, so it is unusable here
+// afterwards; the result carries it back as `source` with returnSource (or when the worker can't decode it).
+// Resolves to the worker's 'done' or 'unsupported' message; rejects with an AbortError when cancelled.
+function decodeSplatInWorker(worker, format, buffer, options = {}) {
+    const { maxSplats = 0, shDegree = 0, returnSource = false, onProgress = null } = options;
+    const id = nextSplatWorkerJobId++;
+    return new Promise((resolve, reject) => {
+        splatWorkerJobs.set(id, { resolve, reject, onProgress });
+        worker.postMessage({
+            type: 'decode',
+            id,
+            format,
+            buffer,
+            maxSplats,
+            shDegree,
+            chunkSplats: CONFIG.SPLAT_WORKER.CHUNK_SPLATS,
+            returnSource
+        }, [buffer]);
+    });
+}
+
+function handleSplatWorkerMessage(event) {
+    const message = event.data;
+    const job = splatWorkerJobs.get(message.id);
+    if (!job) return;
+
+    switch (message.type) {
+        case 'progress':
+            if (job.onProgress) job.onProgress(message.stage, message.fraction);
+            break;
+        case 'done':
+        case 'unsupported':
+            splatWorkerJobs.delete(message.id);
+            job.resolve(message);
+            break;
+        case 'cancelled':
+            splatWorkerJobs.delete(message.id);
+            job.reject(createSplatAbortError());
+            break;
+        case 'error':
+            splatWorkerJobs.delete(message.id);
+            job.reject(new Error(message.message));
+            break;
     }
 }
 
+// Uncaught error inside the worker: fail its jobs and start a fresh worker next time
+function handleSplatWorkerError(event) {
+    console.error("Splat worker error:", event.message || event);
+    terminateSplatWorker(new Error(`Splat worker crashed: ${event.message || 'unknown error'}`));
+}
+
+// Ask the worker to stop every running decode; their promises reject with an AbortError
+function cancelSplatDecodes() {
+    if (!splatWorker) return;
+    splatWorkerJobs.forEach((job, id) => splatWorker.postMessage({ type: 'cancel', id }));
+}
+
+// Stop the worker (called by cleanup() in main.js); pending decodes reject with reason
+function terminateSplatWorker(reason = createSplatAbortError()) {
+    if (splatWorker) splatWorker.terminate();
+    splatWorker = null;
+    splatWorkerPromise = null;
+    splatWorkerJobs.forEach(job => job.reject(reason));
+    splatWorkerJobs.clear();
+}
+
+// Load the current splat file again with the current quality settings (Settings > Splat Quality).
+// The file comes from the HTTP/offline cache; the collider and everything else stay as they are.
+async function reloadCurrentSplat() {
+    if (!currentSplatFile || !scene || scene.isDisposed) return false;
+    // A gallery scene switch reads the quality settings itself
+    if (typeof isSceneSwitchInProgress !== 'undefined' && isSceneSwitchInProgress) return false;
+    if (isSplatReloadInProgress) {
+        isSplatReloadQueued = true;
+        return false;
+    }
+
+    isSplatReloadInProgress = true;
+    try {
+        // New materials must be able to flag themselves dirty while loading
+        scene.blockMaterialDirtyMechanism = false;
+        const loaded = await loadSplat(currentSplatFile);
+        lastSplatSource = null; // MEMORY OPTIMIZATION: The collider is already built
+        if (loaded && currentSplatMesh) {
+            if (!colliderMesh) currentSplatMesh.checkCollisions = true;
+            optimizeSplatMesh(currentSplatMesh);
+        }
+        return loaded;
+    } finally {
+        if (!scene.isDisposed) scene.blockMaterialDirtyMechanism = true;
+        isSplatReloadInProgress = false;
+        if (isSplatReloadQueued) {
+            isSplatReloadQueued = false;
+            reloadCurrentSplat();
+        }
+    }
+}
 
 // Optimize Splat Mesh (Dedicated function)
 function optimizeSplatMesh(mesh) {
@@ -434,18 +895,25 @@ function optimizeSplatMesh(mesh) {
 }
 
 
-// Load collider file (No changes needed)
-async function loadCollider() {
-    // ... existing code ...
+// Load collider file
+async function loadCollider(colliderFile = CONFIG.ASSETS.COLLIDER_FILE) {
      if (!scene) {
          console.error("loadCollider: Scene not defined.");
          return false;
      }
+     if (!colliderFile) {
+         console.log("loadCollider: No collider file configured for this scene.");
+         return false;
+     }
+
+     // Drop any collider left over from a previous scene
+     disposeCollider();
+
      try {
         showLoadingIndicator(CONFIG.LOADING.COLLIDER_MESSAGE);
 
         // Verify collider exists before loading (optional but good practice)
-        const colliderPath = CONFIG.ASSETS.COLLIDER_FILE; // Assuming relative path
+        const colliderPath = colliderFile; // Assuming relative path
         try {
              const response = await fetch(colliderPath, { method: 'HEAD' });
              if (!response.ok) {
@@ -470,12 +938,15 @@ async function loadCollider() {
              return false;
          }
 
+        // Keep every imported mesh (incl. __root__) so a scene swap can dispose them all
+        colliderImportedMeshes = result.meshes.slice();
+
         configureColliderMesh(result); // Configure the loaded meshes
         return true; // Indicate success
     } catch (error) {
         // Handle specific errors like 404 more gracefully if possible
          if (error.message && error.message.includes('404')) {
-             console.warn(`Collider file '${CONFIG.ASSETS.COLLIDER_FILE}' not found (404).`);
+             console.warn(`Collider file '${colliderFile}' not found (404).`);
          } else {
              console.error("Collider loading error:", error);
              showError(`Failed to load collider: ${error.message || error}`);
@@ -486,9 +957,120 @@ async function loadCollider() {
     // No finally block, handled by caller (initScene)
 }
 
-// Configure collider mesh properties (No changes needed)
+// Dispose the current collider meshes (used when swapping gallery scenes)
+function disposeCollider() {
+    if (colliderImportedMeshes.length === 0 && !colliderMesh) return;
+
+    colliderImportedMeshes.forEach(mesh => {
+        if (mesh && !mesh.isDisposed()) {
+            mesh.dispose(false, true); // Recurse into children, release materials/textures
+        }
+    });
+    if (colliderMesh && !colliderMesh.isDisposed()) {
+        colliderMesh.dispose(false, true);
+    }
+
+    colliderImportedMeshes = [];
+    colliderMesh = null;
+    isColliderGenerated = false;
+
+    if (CONFIG.DEBUG.ENABLE_LOGGING) {
+        console.log("Previous collider meshes disposed.");
+    }
+}
+
+// Build a coarse collider from the splat positions (voxel grid + floor plane, see collider-generator.js)
+async function generateColliderFromSplat(splatSource) {
+    if (!splatSource || !currentSplatMesh || typeof buildVoxelCollider !== 'function') return false;
+
+    try {
+        showLoadingIndicator(CONFIG.LOADING.COLLIDER_GENERATION_MESSAGE);
+        await new Promise(resolve => setTimeout(resolve, 0)); // Let the indicator paint before the voxel pass
+
+        // The generator reads .splat rows; PLY and compressed formats are converted first (in the worker if it runs)
+        let splatBuffer = null;
+        let sourceBuffer = splatSource.buffer;
+        const worker = await getSplatWorker();
+        if (worker) {
+            const result = await decodeSplatInWorker(worker, splatSource.format, sourceBuffer);
+            if (result.type === 'done') {
+                splatBuffer = result.data;
+            } else {
+                sourceBuffer = result.source;
+            }
+        }
+        if (!splatBuffer && splatSource.format === SPLAT_FORMATS.PLY) {
+            splatBuffer = await convertPlyToSplatBuffer(sourceBuffer);
+        } else if (!splatBuffer) {
+            const decoded = await decodeSplatBuffer(splatSource.format, sourceBuffer);
+            splatBuffer = decoded.byteLength === decoded.buffer.byteLength ? decoded.buffer : decoded.slice().buffer;
+        }
+
+        // World space, so the collider lines up even if the splat mesh is transformed
+        const worldMatrix = currentSplatMesh.computeWorldMatrix(true);
+        const splatPositions = extractSplatPositions(splatBuffer, CONFIG.AUTO_COLLIDER.MIN_OPACITY, worldMatrix.m);
+        const geometry = buildVoxelCollider(splatPositions, CONFIG.AUTO_COLLIDER);
+
+        const mesh = new BABYLON.Mesh("AutoCollider", scene);
+        const vertexData = new BABYLON.VertexData();
+        vertexData.positions = geometry.positions;
+        vertexData.indices = geometry.indices;
+        vertexData.normals = [];
+        BABYLON.VertexData.ComputeNormals(geometry.positions, geometry.indices, vertexData.normals);
+        vertexData.applyToMesh(mesh);
+
+        // Wireframe when CONFIG.DEBUG.SHOW_COLLIDERS is on; a material also makes collisions two-sided
+        const material = new BABYLON.StandardMaterial("AutoColliderMaterial", scene);
+        material.wireframe = true;
+        material.backFaceCulling = false;
+        material.emissiveColor = new BABYLON.Color3(0, 1, 0.4);
+        mesh.material = material;
+
+        colliderImportedMeshes = [mesh];
+        configureColliderMesh({ meshes: [mesh] });
+        isColliderGenerated = true;
+
+        const { stats } = geometry;
+        console.log(`%cCollider generated from splat: ${stats.triangles} triangles, ${stats.floorCells} floor / ${stats.wallCells} wall cells (voxel ${stats.voxelSize.toFixed(2)} m, floor fit ${(stats.floorInlierRatio * 100).toFixed(0)}%).`, "color: #17a2b8;");
+        return true;
+    } catch (error) {
+        console.warn("Collider generation from splat failed:", error);
+        disposeCollider();
+        return false;
+    } finally {
+        hideLoadingIndicator();
+    }
+}
+
+// Download the current collider (generated or loaded) as GLB, e.g. to refine it in Blender
+async function exportColliderAsGLB() {
+    if (!scene || !colliderMesh) {
+        showError("No collider to export.");
+        return false;
+    }
+    if (!BABYLON.GLTF2Export) {
+        showError("GLB export unavailable: babylonjs.serializers is not loaded.");
+        return false;
+    }
+
+    try {
+        const activeScene = (typeof getActiveGalleryScene === 'function') ? getActiveGalleryScene() : null;
+        const fileName = `${activeScene ? activeScene.id : 'scene'}-collider`;
+        const glb = await BABYLON.GLTF2Export.GLBAsync(scene, fileName, {
+            shouldExportNode: (node) => colliderImportedMeshes.includes(node)
+        });
+        glb.downloadFiles();
+        console.log(`Collider exported as ${fileName}.glb`);
+        return true;
+    } catch (error) {
+        console.error("Collider export error:", error);
+        showError(`Failed to export collider: ${error.message || error}`);
+        return false;
+    }
+}
+
+// Configure collider mesh properties
 function configureColliderMesh(importResult) {
-    // ... existing code ...
     colliderMesh = null; // Reset before assigning
     importResult.meshes.forEach((mesh, index) => {
         if (mesh.name === "__root__") return; // Skip root nodes often present in GLB
@@ -0,0 +1,701 @@
+// splat-formats.js - Splat file format detection and decoders (.ply, .splat, .ksplat, .spz)
+// Every decoder converts its input into the antimatter15 ".splat" layout, which is what
+// BABYLON.GaussianSplattingMesh consumes. No Babylon dependency here on purpose.
+
+// .splat record layout: position (3 x f32), scale (3 x f32), color RGBA (4 x u8), rotation WXYZ (4 x u8)
+const SPLAT_ROW_BYTES = 32;
+
+// Supported formats, keyed by file extension
+const SPLAT_FORMATS = {
+    PLY: 'ply',
+    SPLAT: 'splat',
+    KSPLAT: 'ksplat',
+    SPZ: 'spz'
+};
+
+// Spherical harmonics DC term constant (used to turn SH color into RGB)
+const SH_C0 = 0.28209479177387814;
+
+// --- Format detection ---
+
+// Detect the format from a file name's extension (returns null when unknown)
+function detectSplatFormatFromName(fileName) {
+    if (typeof fileName !== 'string') return null;
+    const cleanName = fileName.split(/[?#]/)[0].toLowerCase();
+    const extension = cleanName.substring(cleanName.lastIndexOf('.') + 1);
+    return Object.values(SPLAT_FORMATS).includes(extension) ? extension : null;
+}
+
+// Detect the format from the first bytes of the file (returns null when unknown)
+function detectSplatFormatFromBytes(buffer) {
+    if (!buffer || buffer.byteLength < 4) return null;
+    const bytes = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 64));
+
+    // "ply\n"
+    if (bytes[0] === 0x70 && bytes[1] === 0x6c && bytes[2] === 0x79 && bytes[3] === 0x0a) {
+        return SPLAT_FORMATS.PLY;
+    }
+
+    // SPZ files are gzip streams (the "NGSP" magic sits inside the compressed payload)
+    if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+        return SPLAT_FORMATS.SPZ;
+    }
+
+    // KSPLAT: version 0.x header followed by sane section/splat counts
+    if (buffer.byteLength >= KSPLAT_HEADER_BYTES && bytes[0] === 0 && bytes[1] >= 1) {
+        const header = new DataView(buffer, 0, 24);
+        const maxSectionCount = header.getUint32(4, true);
+        const sectionCount = header.getUint32(8, true);
+        const maxSplatCount = header.getUint32(12, true);
+        const splatCount = header.getUint32(16, true);
+        const compressionLevel = header.getUint16(20, true);
+        if (sectionCount <= maxSectionCount && splatCount <= maxSplatCount && compressionLevel <= 2 && maxSectionCount > 0) {
+            return SPLAT_FORMATS.KSPLAT;
+        }
+    }
+
+    // Raw .splat has no magic; a whole number of 32 byte rows is the best we can check
+    if (buffer.byteLength % SPLAT_ROW_BYTES === 0) {
+        return SPLAT_FORMATS.SPLAT;
+    }
+
+    return null;
+}
+
+// Prefer the magic bytes; fall back to the extension when the bytes are inconclusive
+function detectSplatFormat(fileName, buffer) {
+    const fromName = detectSplatFormatFromName(fileName);
+    const fromBytes = detectSplatFormatFromBytes(buffer);
+
+    // Raw .splat detection is only a size check, so let any known extension win over it
+    if (fromBytes === SPLAT_FORMATS.SPLAT && fromName) return fromName;
+    return fromBytes || fromName;
+}
+
+// --- Shared helpers ---
+
+// Write one splat into a .splat buffer (rotation is normalized and quantized here)
+function writeSplatRow(floatView, byteView, index, position, scale, rgba, rotationWXYZ) {
+    const floatBase = index * (SPLAT_ROW_BYTES / 4);
+    const byteBase = index * SPLAT_ROW_BYTES;
+
+    floatView[floatBase + 0] = position[0];
+    floatView[floatBase + 1] = position[1];
+    floatView[floatBase + 2] = position[2];
+    floatView[floatBase + 3] = scale[0];
+    floatView[floatBase + 4] = scale[1];
+    floatView[floatBase + 5] = scale[2];
+
+    byteView[byteBase + 24] = clampByte(rgba[0]);
+    byteView[byteBase + 25] = clampByte(rgba[1]);
+    byteView[byteBase + 26] = clampByte(rgba[2]);
+    byteView[byteBase + 27] = clampByte(rgba[3]);
+
+    const [w, x, y, z] = rotationWXYZ;
+    const length = Math.sqrt(w * w + x * x + y * y + z * z) || 1;
+    byteView[byteBase + 28] = clampByte((w / length) * 128 + 128);
+    byteView[byteBase + 29] = clampByte((x / length) * 128 + 128);
+    byteView[byteBase + 30] = clampByte((y / length) * 128 + 128);
+    byteView[byteBase + 31] = clampByte((z / length) * 128 + 128);
+}
+
+function clampByte(value) {
+    return Math.max(0, Math.min(255, Math.round(value)));
+}
+
+// IEEE 754 half float -> float
+function halfToFloat(half) {
+    const exponent = (half & 0x7c00) >> 10;
+    const fraction = half & 0x03ff;
+    const sign = (half & 0x8000) ? -1 : 1;
+    if (exponent === 0) return sign * Math.pow(2, -14) * (fraction / 1024);
+    if (exponent === 0x1f) return fraction ? NaN : sign * Infinity;
+    return sign * Math.pow(2, exponent - 15) * (1 + fraction / 1024);
+}
+
+// --- .splat ---
+
+function decodeSplat(buffer) {
+    if (buffer.byteLength % SPLAT_ROW_BYTES !== 0) {
+        throw new Error(`Invalid .splat file: size ${buffer.byteLength} is not a multiple of ${SPLAT_ROW_BYTES}`);
+    }
+    return new Uint8Array(buffer);
+}
+
+// --- .ply (standard 3DGS layout) ---
+
+// DataView getter per PLY scalar type
+const PLY_TYPE_GETTERS = {
+    char: 'getInt8', uchar: 'getUint8', int8: 'getInt8', uint8: 'getUint8',
+    short: 'getInt16', ushort: 'getUint16', int16: 'getInt16', uint16: 'getUint16',
+    int: 'getInt32', uint: 'getUint32', int32: 'getInt32', uint32: 'getUint32',
+    float: 'getFloat32', float32: 'getFloat32', double: 'getFloat64', float64: 'getFloat64'
+};
+
+// Spherical-harmonics coefficients per color channel for SH degree 0..3 (f_rest_* holds 3x this many)
+const SH_COEFFICIENTS_PER_CHANNEL = [0, 3, 8, 15];
+
+// Bytes per splat in each of Babylon's SH textures
+const SH_TEXTURE_BYTES_PER_SPLAT = 16;
+
+// Splats converted between two progress reports / cancellation checks (PLY, .ksplat, .spz)
+const DEFAULT_CHUNK_SPLATS = 65536;
+
+// Thrown (and reported by the worker) when a decode is cancelled
+function createSplatAbortError() {
+    const error = new Error("Splat decoding was cancelled");
+    error.name = 'AbortError';
+    return error;
+}
+
+// End of a decode chunk: report progress, then yield to the event loop so a worker can receive cancel messages
+async function finishDecodeChunk(fraction, onProgress) {
+    if (onProgress) onProgress(fraction);
+    await new Promise(resolve => setTimeout(resolve, 0));
+}
+
+// Reader for one vertex property: (rowOffset) => value
+function createPlyPropertyReader(view, type, offset) {
+    const getter = view[PLY_TYPE_GETTERS[type]].bind(view);
+    return rowOffset => getter(rowOffset + offset, true);
+}
+
+// Decode a binary little-endian PLY with the standard 3DGS properties (x/y/z, scale_*, f_dc_* or
+// red/green/blue, opacity, rot_*, f_rest_*) into .splat rows.
+// Spherical harmonics up to shDegree come back in the layout of Babylon's ConvertPLYWithSHToSplatAsync:
+// one Uint8Array per 16 bytes of coefficients (RGB interleaved per coefficient, value * 127.5 + 127.5),
+// 16 bytes per splat - so they can go straight to GaussianSplattingMesh.updateData().
+// options: { shDegree, chunkSplats, onProgress(fraction), isCancelled() }. The decoder yields to the
+// event loop after every chunk, which is when a worker receives cancel messages.
+// Returns { data, sh, splatCount }, or null for layouts it doesn't handle (ASCII, compressed "chunk" PLYs).
+async function decodePly(buffer, options = {}) {
+    const { shDegree = 0, chunkSplats = DEFAULT_CHUNK_SPLATS, onProgress = null, isCancelled = null } = options;
+    const header = parsePlyPreviewHeader(new Uint8Array(buffer), buffer.byteLength);
+    if (!header) return null;
+
+    const splatCount = header.vertexCount;
+    if (header.dataOffset + splatCount * header.rowSize > buffer.byteLength) {
+        throw new Error("Invalid .ply file: vertex data is truncated");
+    }
+
+    const view = new DataView(buffer, header.dataOffset);
+    const readers = {};
+    let propertyOffset = 0;
+    header.vertexLines.forEach(line => {
+        const [, type, name] = line.split(/\s+/);
+        readers[name] = createPlyPropertyReader(view, type, propertyOffset);
+        propertyOffset += PLY_TYPE_SIZES[type];
+    });
+    if (!readers.x || !readers.y || !readers.z) return null;
+
+    const positionReaders = [readers.x, readers.y, readers.z];
+    const scaleReaders = readers.scale_0 ? [readers.scale_0, readers.scale_1, readers.scale_2] : null;
+    const dcReaders = readers.f_dc_0 ? [readers.f_dc_0, readers.f_dc_1, readers.f_dc_2] : null;
+    const byteColorReaders = !dcReaders && readers.red ? [readers.red, readers.green, readers.blue] : null;
+    const rotationReaders = readers.rot_0 ? [readers.rot_0, readers.rot_1, readers.rot_2, readers.rot_3] : null;
+
+    // PLY stores f_rest_* channel by channel (all R, then G, then B); Babylon wants RGB per coefficient
+    const restCount = header.vertexLines.filter(line => / f_rest_\d+$/.test(line)).length;
+    let fileShDegree = 0;
+    while (fileShDegree < 3 && SH_COEFFICIENTS_PER_CHANNEL[fileShDegree + 1] * 3 <= restCount) fileShDegree++;
+    const keptShDegree = Math.max(0, Math.min(shDegree, fileShDegree));
+    const fileCoefficientsPerChannel = SH_COEFFICIENTS_PER_CHANNEL[fileShDegree];
+    const shReaders = [];
+    for (let coefficient = 0; coefficient < SH_COEFFICIENTS_PER_CHANNEL[keptShDegree]; coefficient++) {
+        for (let channel = 0; channel < 3; channel++) {
+            shReaders.push(readers[`f_rest_${channel * fileCoefficientsPerChannel + coefficient}`]);
+        }
+    }
+    const textureCount = Math.ceil(shReaders.length / SH_TEXTURE_BYTES_PER_SPLAT);
+    const sh = textureCount > 0
+        ? Array.from({ length: textureCount }, () => new Uint8Array(splatCount * SH_TEXTURE_BYTES_PER_SPLAT))
+        : null;
+
+    const output = new ArrayBuffer(splatCount * SPLAT_ROW_BYTES);
+    const outFloats = new Float32Array(output);
+    const outBytes = new Uint8Array(output);
+
+    const position = [0, 0, 0];
+    const scale = [0.01, 0.01, 0.01]; // Plain point clouds (no scale_*) become small round splats
+    const rgba = [255, 255, 255, 255];
+    const rotation = [1, 0, 0, 0];
+
+    for (let start = 0; start < splatCount; start += chunkSplats) {
+        if (isCancelled && isCancelled()) throw createSplatAbortError();
+
+        const end = Math.min(splatCount, start + chunkSplats);
+        for (let i = start; i < end; i++) {
+            const rowOffset = i * header.rowSize;
+            for (let c = 0; c < 3; c++) {
+                position[c] = positionReaders[c](rowOffset);
+                if (scaleReaders) scale[c] = Math.exp(scaleReaders[c](rowOffset));
+                if (dcReaders) {
+                    rgba[c] = (0.5 + SH_C0 * dcReaders[c](rowOffset)) * 255;
+                } else if (byteColorReaders) {
+                    rgba[c] = byteColorReaders[c](rowOffset);
+                }
+            }
+            if (readers.opacity) rgba[3] = 255 / (1 + Math.exp(-readers.opacity(rowOffset)));
+            if (rotationReaders) {
+                for (let r = 0; r < 4; r++) rotation[r] = rotationReaders[r](rowOffset);
+            }
+            writeSplatRow(outFloats, outBytes, i, position, scale, rgba, rotation);
+
+            for (let j = 0; j < shReaders.length; j++) {
+                sh[Math.floor(j / SH_TEXTURE_BYTES_PER_SPLAT)][i * SH_TEXTURE_BYTES_PER_SPLAT + (j % SH_TEXTURE_BYTES_PER_SPLAT)] =
+                    clampByte(shReaders[j](rowOffset) * 127.5 + 127.5);
+            }
+        }
+
+        await finishDecodeChunk(end / splatCount, onProgress);
+    }
+
+    return { data: output, sh, splatCount };
+}
+
+// --- .ksplat (GaussianSplats3D) ---
+
+const KSPLAT_HEADER_BYTES = 4096;
+const KSPLAT_SECTION_HEADER_BYTES = 1024;
+
+// Byte layout per compression level (offsets are within one splat)
+const KSPLAT_COMPRESSION_LEVELS = [
+    { bytesPerCenter: 12, bytesPerScale: 12, bytesPerRotation: 16, bytesPerShComponent: 4, scaleOffset: 12, rotationOffset: 24, colorOffset: 40, shOffset: 44, scaleRange: 1 },
+    { bytesPerCenter: 6, bytesPerScale: 6, bytesPerRotation: 8, bytesPerShComponent: 2, scaleOffset: 6, rotationOffset: 12, colorOffset: 20, shOffset: 24, scaleRange: 32767 },
+    { bytesPerCenter: 6, bytesPerScale: 6, bytesPerRotation: 8, bytesPerShComponent: 1, scaleOffset: 6, rotationOffset: 12, colorOffset: 20, shOffset: 24, scaleRange: 32767 }
+];
+
+// Number of stored SH components per degree (3 color channels each)
+const KSPLAT_SH_COMPONENTS = [0, 9, 24, 45];
+
+// options: { chunkSplats, onProgress(fraction), isCancelled() }, as for decodePly()
+async function decodeKSplat(buffer, options = {}) {
+    const { chunkSplats = DEFAULT_CHUNK_SPLATS, onProgress = null, isCancelled = null } = options;
+    if (buffer.byteLength < KSPLAT_HEADER_BYTES) {
+        throw new Error("Invalid .ksplat file: header is truncated");
+    }
+
+    const header = new DataView(buffer, 0, KSPLAT_HEADER_BYTES);
+    const maxSectionCount = header.getUint32(4, true);
+    const sectionCount = header.getUint32(8, true);
+    const splatCount = header.getUint32(16, true);
+    const compressionLevel = header.getUint16(20, true);
+    const level = KSPLAT_COMPRESSION_LEVELS[compressionLevel];
+    if (!level) {
+        throw new Error(`Unsupported .ksplat compression level: ${compressionLevel}`);
+    }
+
+    const output = new ArrayBuffer(splatCount * SPLAT_ROW_BYTES);
+    const outFloats = new Float32Array(output);
+    const outBytes = new Uint8Array(output);
+    const view = new DataView(buffer);
+
+    const position = [0, 0, 0];
+    const scale = [0, 0, 0];
+    const rgba = [0, 0, 0, 0];
+    const rotation = [1, 0, 0, 0];
+
+    let sectionBase = KSPLAT_HEADER_BYTES + maxSectionCount * KSPLAT_SECTION_HEADER_BYTES;
+    let outIndex = 0;
+
+    for (let s = 0; s < sectionCount; s++) {
+        const sectionHeaderOffset = KSPLAT_HEADER_BYTES + s * KSPLAT_SECTION_HEADER_BYTES;
+        const sectionSplatCount = view.getUint32(sectionHeaderOffset + 0, true);
+        const sectionMaxSplatCount = view.getUint32(sectionHeaderOffset + 4, true);
+        const bucketSize = view.getUint32(sectionHeaderOffset + 8, true);
+        const bucketCount = view.getUint32(sectionHeaderOffset + 12, true);
+        const bucketBlockSize = view.getFloat32(sectionHeaderOffset + 16, true);
+        const bucketStorageSizeBytes = view.getUint16(sectionHeaderOffset + 20, true);
+        const compressionScaleRange = view.getUint32(sectionHeaderOffset + 24, true) || level.scaleRange;
+        const fullBucketCount = view.getUint32(sectionHeaderOffset + 32, true);
+        const partiallyFilledBucketCount = view.getUint32(sectionHeaderOffset + 36, true);
+        const shDegree = view.getUint16(sectionHeaderOffset + 40, true);
+
+        const bytesPerSplat = level.shOffset + (KSPLAT_SH_COMPONENTS[shDegree] || 0) * level.bytesPerShComponent;
+        const bucketsMetaDataBytes = partiallyFilledBucketCount * 4;
+        const bucketsStorageBytes = bucketStorageSizeBytes * bucketCount + bucketsMetaDataBytes;
+        const bucketsBase = sectionBase + bucketsMetaDataBytes;
+        const dataBase = sectionBase + bucketsStorageBytes;
+        const compressionScaleFactor = (bucketBlockSize / 2) / compressionScaleRange;
+
+        // Splat -> bucket lookup: full buckets first, then the partially filled ones
+        const partialBucketLengths = [];
+        for (let p = 0; p < partiallyFilledBucketCount; p++) {
+            partialBucketLengths.push(view.getUint32(sectionBase + p * 4, true));
+        }
+        let bucketIndex = 0;
+        let bucketEnd = fullBucketCount > 0 ? bucketSize : (partialBucketLengths[0] || 0);
+
+        if (sectionSplatCount > 0 && dataBase + sectionSplatCount * bytesPerSplat > buffer.byteLength) {
+            throw new Error(`Invalid .ksplat file: section ${s} is truncated`);
+        }
+
+        for (let start = 0; start < sectionSplatCount; start += chunkSplats) {
+            if (isCancelled && isCancelled()) throw createSplatAbortError();
+
+            const end = Math.min(sectionSplatCount, start + chunkSplats);
+            for (let i = start; i < end; i++) {
+                const splatBase = dataBase + i * bytesPerSplat;
+
+                if (compressionLevel === 0) {
+                    position[0] = view.getFloat32(splatBase + 0, true);
+                    position[1] = view.getFloat32(splatBase + 4, true);
+                    position[2] = view.getFloat32(splatBase + 8, true);
+                    scale[0] = view.getFloat32(splatBase + level.scaleOffset + 0, true);
+                    scale[1] = view.getFloat32(splatBase + level.scaleOffset + 4, true);
+                    scale[2] = view.getFloat32(splatBase + level.scaleOffset + 8, true);
+                    for (let r = 0; r < 4; r++) {
+                        rotation[r] = view.getFloat32(splatBase + level.rotationOffset + r * 4, true);
+                    }
+                } else {
+                    while (i >= bucketEnd && bucketIndex < bucketCount - 1) {
+                        bucketIndex++;
+                        bucketEnd += bucketIndex < fullBucketCount
+                            ? bucketSize
+                            : (partialBucketLengths[bucketIndex - fullBucketCount] || 0);
+                    }
+                    const bucketCenterBase = bucketsBase + bucketIndex * bucketStorageSizeBytes;
+                    for (let c = 0; c < 3; c++) {
+                        const quantized = view.getUint16(splatBase + c * 2, true);
+                        position[c] = (quantized - compressionScaleRange) * compressionScaleFactor +
+                                      view.getFloat32(bucketCenterBase + c * 4, true);
+                        scale[c] = halfToFloat(view.getUint16(splatBase + level.scaleOffset + c * 2, true));
+                    }
+                    for (let r = 0; r < 4; r++) {
+                        rotation[r] = halfToFloat(view.getUint16(splatBase + level.rotationOffset + r * 2, true));
+                    }
+                }
+
+                for (let c = 0; c < 4; c++) {
+                    rgba[c] = view.getUint8(splatBase + level.colorOffset + c);
+                }
+
+                writeSplatRow(outFloats, outBytes, outIndex++, position, scale, rgba, rotation);
+            }
+
+            await finishDecodeChunk(splatCount > 0 ? outIndex / splatCount : 1, onProgress);
+        }
+
+        sectionBase += bucketsStorageBytes + bytesPerSplat * sectionMaxSplatCount;
+    }
+
+    return outIndex * SPLAT_ROW_BYTES === output.byteLength
+        ? outBytes
+        : new Uint8Array(output, 0, outIndex * SPLAT_ROW_BYTES);
+}
+
+// --- .spz (Niantic) ---
+
+const SPZ_MAGIC = 0x5053474e; // "NGSP"
+const SPZ_HEADER_BYTES = 16;
+
+// Inflate the gzip wrapper with the browser's native DecompressionStream
+async function gunzipBuffer(buffer) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error("This browser cannot decompress .spz files (DecompressionStream unavailable)");
+    }
+    const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Response(stream).arrayBuffer();
+}
+
+// options: { chunkSplats, onProgress(fraction), isCancelled() }, as for decodePly()
+async function decodeSpz(buffer, options = {}) {
+    const { chunkSplats = DEFAULT_CHUNK_SPLATS, onProgress = null, isCancelled = null } = options;
+    const raw = await gunzipBuffer(buffer);
+    if (isCancelled && isCancelled()) throw createSplatAbortError();
+    if (raw.byteLength < SPZ_HEADER_BYTES) {
+        throw new Error("Invalid .spz file: header is truncated");
+    }
+
+    const header = new DataView(raw, 0, SPZ_HEADER_BYTES);
+    if (header.getUint32(0, true) !== SPZ_MAGIC) {
+        throw new Error("Invalid .spz file: missing NGSP magic");
+    }
+    const version = header.getUint32(4, true);
+    if (version < 2 || version > 3) {
+        throw new Error(`Unsupported .spz version: ${version}`);
+    }
+    const numPoints = header.getUint32(8, true);
+    const fractionalBits = header.getUint8(13);
+
+    const rotationBytes = version >= 3 ? 4 : 3;
+    const positionsOffset = SPZ_HEADER_BYTES;
+    const alphasOffset = positionsOffset + numPoints * 9;
+    const colorsOffset = alphasOffset + numPoints;
+    const scalesOffset = colorsOffset + numPoints * 3;
+    const rotationsOffset = scalesOffset + numPoints * 3;
+    if (raw.byteLength < rotationsOffset + numPoints * rotationBytes) {
+        throw new Error("Invalid .spz file: data is truncated");
+    }
+
+    const data = new Uint8Array(raw);
+    const output = new ArrayBuffer(numPoints * SPLAT_ROW_BYTES);
+    const outFloats = new Float32Array(output);
+    const outBytes = new Uint8Array(output);
+
+    const positionScale = 1 / (1 << fractionalBits);
+    const colorScale = SH_C0 / 0.15; // byte -> SH DC -> RGB in one step
+
+    const position = [0, 0, 0];
+    const scale = [0, 0, 0];
+    const rgba = [0, 0, 0, 0];
+    const rotationXYZW = [0, 0, 0, 1];
+
+    for (let start = 0; start < numPoints; start += chunkSplats) {
+        if (isCancelled && isCancelled()) throw createSplatAbortError();
+
+        const end = Math.min(numPoints, start + chunkSplats);
+        for (let i = start; i < end; i++) {
+            for (let c = 0; c < 3; c++) {
+                const p = positionsOffset + i * 9 + c * 3;
+                let fixed = data[p] | (data[p + 1] << 8) | (data[p + 2] << 16);
+                if (fixed & 0x800000) fixed |= ~0xffffff; // Sign-extend 24 bit
+                position[c] = fixed * positionScale;
+
+                scale[c] = Math.exp(data[scalesOffset + i * 3 + c] / 16 - 10);
+                rgba[c] = (0.5 + (data[colorsOffset + i * 3 + c] / 255 - 0.5) * colorScale) * 255;
+            }
+            rgba[3] = data[alphasOffset + i];
+
+            if (version >= 3) {
+                decodeSpzSmallestThree(data, rotationsOffset + i * 4, rotationXYZW);
+            } else {
+                const r = rotationsOffset + i * 3;
+                const x = data[r] / 127.5 - 1;
+                const y = data[r + 1] / 127.5 - 1;
+                const z = data[r + 2] / 127.5 - 1;
+                rotationXYZW[0] = x;
+                rotationXYZW[1] = y;
+                rotationXYZW[2] = z;
+                rotationXYZW[3] = Math.sqrt(Math.max(0, 1 - (x * x + y * y + z * z)));
+            }
+
+            // SPZ stores RUB coordinates, PLY/.splat use RDF: flip Y and Z
+            position[1] = -position[1];
+            position[2] = -position[2];
+            writeSplatRow(outFloats, outBytes, i, position, scale, rgba,
+                [rotationXYZW[3], rotationXYZW[0], -rotationXYZW[1], -rotationXYZW[2]]);
+        }
+
+        await finishDecodeChunk(end / numPoints, onProgress);
+    }
+
+    return outBytes;
+}
+
+// SPZ v3 "smallest three" quaternion: 2 bit index of the largest component + 3 x (9 bit magnitude, 1 bit sign)
+function decodeSpzSmallestThree(data, offset, outXYZW) {
+    let packed = (data[offset] | (data[offset + 1] << 8) | (data[offset + 2] << 16) | (data[offset + 3] << 24)) >>> 0;
+    const largestIndex = packed >>> 30;
+    const magnitudeMask = (1 << 9) - 1;
+    let sumSquares = 0;
+
+    for (let i = 3; i >= 0; i--) {
+        if (i === largestIndex) continue;
+        const magnitude = packed & magnitudeMask;
+        const negative = (packed >>> 9) & 1;
+        packed = packed >>> 10;
+        const value = Math.SQRT1_2 * magnitude / magnitudeMask;
+        outXYZW[i] = negative ? -value : value;
+        sumSquares += value * value;
+    }
+    outXYZW[largestIndex] = Math.sqrt(Math.max(0, 1 - sumSquares));
+}
+
+// --- Progressive previews (partially downloaded files) ---
+
+// Byte size of each PLY scalar type
+const PLY_TYPE_SIZES = {
+    char: 1, uchar: 1, int8: 1, uint8: 1,
+    short: 2, ushort: 2, int16: 2, uint16: 2,
+    int: 4, uint: 4, int32: 4, uint32: 4, float: 4, float32: 4,
+    double: 8, float64: 8
+};
+
+// Parse a binary PLY header whose first element is "vertex" (returns null if unsuitable for previews)
+function parsePlyPreviewHeader(bytes, receivedLength) {
+    const searchLength = Math.min(receivedLength, 65536);
+    const headText = new TextDecoder().decode(bytes.subarray(0, searchLength));
+    const endIndex = headText.indexOf('end_header\n');
+    if (endIndex === -1) return null;
+
+    const lines = headText.substring(0, endIndex).split('\n').map(line => line.trim());
+    if (!lines.includes('format binary_little_endian 1.0')) return null;
+
+    const firstElement = lines.findIndex(line => line.startsWith('element '));
+    if (firstElement === -1 || !lines[firstElement].startsWith('element vertex ')) return null;
+
+    // Keep only the vertex element: later elements won't be present in a partial download
+    const vertexLines = [];
+    let rowSize = 0;
+    for (let i = firstElement + 1; i < lines.length && !lines[i].startsWith('element '); i++) {
+        const parts = lines[i].split(/\s+/);
+        if (parts[0] !== 'property') continue;
+        if (parts[1] === 'list' || !PLY_TYPE_SIZES[parts[1]]) return null;
+        rowSize += PLY_TYPE_SIZES[parts[1]];
+        vertexLines.push(lines[i]);
+    }
+
+    return {
+        dataOffset: endIndex + 'end_header\n'.length,
+        vertexCount: parseInt(lines[firstElement].split(/\s+/)[2], 10),
+        rowSize,
+        headerPrefix: lines.slice(0, firstElement).filter(line => !line.startsWith('element ')),
+        vertexLines
+    };
+}
+
+// Copy every `stride`-th row of a fixed-size row buffer
+function copyStridedRows(source, sourceOffset, rowSize, rowCount, stride, target, targetOffset) {
+    let written = 0;
+    for (let row = 0; row < rowCount; row += stride) {
+        const start = sourceOffset + row * rowSize;
+        target.set(source.subarray(start, start + rowSize), targetOffset + written * rowSize);
+        written++;
+    }
+    return written;
+}
+
+// Build a coarse preview from the bytes received so far.
+// Returns { format, data } where data is a complete PLY or .splat buffer, or null when no preview is possible.
+function buildSplatPreview(format, bytes, receivedLength, maxSplats) {
+    if (format === SPLAT_FORMATS.SPLAT) {
+        const rowsAvailable = Math.floor(receivedLength / SPLAT_ROW_BYTES);
+        if (rowsAvailable === 0) return null;
+        const stride = Math.max(1, Math.ceil(rowsAvailable / maxSplats));
+        const previewRows = Math.ceil(rowsAvailable / stride);
+        const data = new Uint8Array(previewRows * SPLAT_ROW_BYTES);
+        copyStridedRows(bytes, 0, SPLAT_ROW_BYTES, rowsAvailable, stride, data, 0);
+        return { format, data: data.buffer };
+    }
+
+    if (format === SPLAT_FORMATS.PLY) {
+        const header = parsePlyPreviewHeader(bytes, receivedLength);
+        if (!header || header.rowSize === 0) return null;
+
+        const rowsAvailable = Math.min(header.vertexCount, Math.floor((receivedLength - header.dataOffset) / header.rowSize));
+        if (rowsAvailable <= 0) return null;
+        const stride = Math.max(1, Math.ceil(rowsAvailable / maxSplats));
+        const previewRows = Math.ceil(rowsAvailable / stride);
+
+        const headerText = [
+            ...header.headerPrefix,
+            `element vertex ${previewRows}`,
+            ...header.vertexLines,
+            'end_header'
+        ].join('\n') + '\n';
+        const headerBytes = new TextEncoder().encode(headerText);
+
+        const data = new Uint8Array(headerBytes.byteLength + previewRows * header.rowSize);
+        data.set(headerBytes, 0);
+        copyStridedRows(bytes, header.dataOffset, header.rowSize, rowsAvailable, stride, data, headerBytes.byteLength);
+        return { format, data: data.buffer };
+    }
+
+    // .ksplat sections and gzip'd .spz can't be previewed from a prefix
+    return null;
+}
+
+// --- Splat budget (importance-based decimation) ---
+
+// Rough on-screen contribution of each splat: opacity x footprint ((sx*sy*sz)^(2/3) ~ average projected area)
+function computeSplatImportance(data) {
+    const rowCount = data.byteLength / SPLAT_ROW_BYTES;
+    const floatView = new Float32Array(data);
+    const byteView = new Uint8Array(data);
+    const importance = new Float32Array(rowCount);
+
+    for (let i = 0; i < rowCount; i++) {
+        const floatBase = i * (SPLAT_ROW_BYTES / 4);
+        const volume = Math.abs(floatView[floatBase + 3] * floatView[floatBase + 4] * floatView[floatBase + 5]);
+        const opacity = byteView[i * SPLAT_ROW_BYTES + 27] / 255;
+        importance[i] = opacity * Math.pow(volume, 2 / 3);
+    }
+    return importance;
+}
+
+// Keep the maxSplats most important splats of a .splat buffer (ArrayBuffer), in their original order.
+// sh: optional spherical-harmonics textures from Babylon (one Uint8Array per degree, 16 bytes per splat);
+// they are decimated with the same selection. maxSplats <= 0 means no limit.
+// Returns { data, sh, splatCount }.
+function decimateSplats(data, maxSplats, sh = null) {
+    const rowCount = data.byteLength / SPLAT_ROW_BYTES;
+    if (!(maxSplats > 0) || rowCount <= maxSplats) {
+        return { data, sh, splatCount: rowCount };
+    }
+
+    // Importance of the maxSplats-th best splat; everything above it is kept, ties fill the rest
+    const importance = computeSplatImportance(data);
+    const threshold = importance.slice().sort()[rowCount - maxSplats];
+    let tiesAllowed = maxSplats;
+    for (let i = 0; i < rowCount; i++) {
+        if (importance[i] > threshold) tiesAllowed--;
+    }
+
+    const source = new Uint8Array(data);
+    const kept = new Uint8Array(maxSplats * SPLAT_ROW_BYTES);
+    // SH textures may be padded past rowCount (Babylon's converter fills whole texture rows), so
+    // index them with the fixed per-splat stride rather than byteLength / rowCount
+    const shBytesPerSplat = SH_TEXTURE_BYTES_PER_SPLAT;
+    const keptSh = sh ? sh.map(() => new Uint8Array(maxSplats * shBytesPerSplat)) : null;
+
+    let written = 0;
+    for (let i = 0; i < rowCount && written < maxSplats; i++) {
+        if (importance[i] < threshold) continue;
+        if (importance[i] === threshold) {
+            if (tiesAllowed === 0) continue;
+            tiesAllowed--;
+        }
+        kept.set(source.subarray(i * SPLAT_ROW_BYTES, (i + 1) * SPLAT_ROW_BYTES), written * SPLAT_ROW_BYTES);
+        if (keptSh) {
+            sh.forEach((texture, degree) => {
+                keptSh[degree].set(texture.subarray(i * shBytesPerSplat, (i + 1) * shBytesPerSplat), written * shBytesPerSplat);
+            });
+        }
+        written++;
+    }
+
+    return { data: kept.buffer, sh: keptSh, splatCount: written };
+}
+
+// --- Entry point ---
+
+// Decode any supported non-PLY buffer into .splat rows (PLY goes through decodePly() or Babylon's loader).
+// options: { chunkSplats, onProgress(fraction), isCancelled() } for the chunked .ksplat/.spz decoders
+async function decodeSplatBuffer(format, buffer, options = {}) {
+    switch (format) {
+        case SPLAT_FORMATS.SPLAT:
+            return decodeSplat(buffer);
+        case SPLAT_FORMATS.KSPLAT:
+            return decodeKSplat(buffer, options);
+        case SPLAT_FORMATS.SPZ:
+            return decodeSpz(buffer, options);
+        default:
+            throw new Error(`No decoder for splat format: ${format}`);
+    }
+}
+
+// Expose for scene.js
+if (typeof window !== 'undefined') {
+    window.SPLAT_FORMATS = SPLAT_FORMATS;
+    window.detectSplatFormat = detectSplatFormat;
+    window.decodeSplatBuffer = decodeSplatBuffer;
+    window.buildSplatPreview = buildSplatPreview;
+    window.decimateSplats = decimateSplats;
+    window.createSplatAbortError = createSplatAbortError;
+}
+
+// Export for non-browser use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SPLAT_FORMATS,
+        SPLAT_ROW_BYTES,
+        detectSplatFormat,
+        detectSplatFormatFromName,
+        detectSplatFormatFromBytes,
+        decodeSplatBuffer,
+        decodePly,
+        buildSplatPreview,
+        decimateSplats
+    };
+}
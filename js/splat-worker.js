@@ -0,0 +1,95 @@
+// splat-worker.js - Web Worker: splat file parsing, format conversion and splat budget decimation
+// Started by scene.js (getSplatWorker). Buffers are transferred both ways, never copied, so the main
+// thread stays free for input and the loading indicator. Depth sorting for rendering already runs in
+// BABYLON.GaussianSplattingMesh's own sort worker.
+//
+// Messages in:  { type: 'decode', id, format, buffer, maxSplats, shDegree, chunkSplats, returnSource }
+//               { type: 'cancel', id }
+// Messages out: { type: 'ready' }
+//               { type: 'progress', id, stage: 'parsing' | 'decimating', fraction }
+//               { type: 'done', id, data, sh, splatCount, totalSplats, source }
+//               { type: 'unsupported', id, source } - PLY layout decodePly() can't read; the main thread uses Babylon
+//               { type: 'cancelled', id } | { type: 'error', id, message }
+
+importScripts('splat-formats.js');
+
+const runningJobs = new Set(); // Job ids between their 'decode' message and their result
+const cancelledJobs = new Set(); // Running job ids that were cancelled
+
+self.onmessage = (event) => {
+    const message = event.data;
+    if (message.type === 'cancel') {
+        // A cancel for a job that already finished would otherwise stay in the set forever
+        if (runningJobs.has(message.id)) cancelledJobs.add(message.id);
+    } else if (message.type === 'decode') {
+        runningJobs.add(message.id);
+        decodeJob(message).finally(() => {
+            runningJobs.delete(message.id);
+            cancelledJobs.delete(message.id);
+        });
+    }
+};
+
+async function decodeJob({ id, format, buffer, maxSplats = 0, shDegree = 0, chunkSplats, returnSource = false }) {
+    const isCancelled = () => cancelledJobs.has(id);
+    const reportProgress = (stage, fraction) => self.postMessage({ type: 'progress', id, stage, fraction });
+
+    try {
+        reportProgress('parsing', 0);
+        let data;
+        let sh = null;
+        if (format === SPLAT_FORMATS.PLY) {
+            const decoded = await decodePly(buffer, {
+                shDegree,
+                chunkSplats,
+                isCancelled,
+                onProgress: fraction => reportProgress('parsing', fraction)
+            });
+            if (!decoded) {
+                self.postMessage({ type: 'unsupported', id, source: buffer }, [buffer]);
+                return;
+            }
+            ({ data, sh } = decoded);
+        } else {
+            const decoded = await decodeSplatBuffer(format, buffer, {
+                chunkSplats,
+                isCancelled,
+                onProgress: fraction => reportProgress('parsing', fraction)
+            });
+            // Decoders may return a view shorter than its buffer; hand Babylon an exact copy then
+            data = decoded.byteLength === decoded.buffer.byteLength ? decoded.buffer : decoded.slice().buffer;
+        }
+        if (isCancelled()) throw createSplatAbortError();
+
+        const totalSplats = data.byteLength / SPLAT_ROW_BYTES;
+        if (maxSplats > 0 && totalSplats > maxSplats) reportProgress('decimating', 0);
+        const decimated = decimateSplats(data, maxSplats, sh);
+        if (isCancelled()) throw createSplatAbortError();
+
+        // Raw .splat rows are the file itself; a buffer can only be transferred once
+        let source = null;
+        if (returnSource) {
+            source = decimated.data === buffer ? buffer.slice(0) : buffer;
+        }
+
+        const transfer = [decimated.data, ...(decimated.sh || []).map(texture => texture.buffer)];
+        if (source) transfer.push(source);
+        self.postMessage({
+            type: 'done',
+            id,
+            data: decimated.data,
+            sh: decimated.sh,
+            splatCount: decimated.splatCount,
+            totalSplats,
+            source
+        }, transfer);
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            self.postMessage({ type: 'cancelled', id });
+        } else {
+            self.postMessage({ type: 'error', id, message: error.message || String(error) });
+        }
+    }
+}
+
+self.postMessage({ type: 'ready' });
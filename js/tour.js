@@ -0,0 +1,388 @@
+// tour.js - Guided tours: authored camera paths with narration stops (play/pause/next/previous/exit)
+
+// Tour state
+let activeTour = null; // { title, stops, index, phase, playing, segment, dwellEndTime, dwellRemainingMs }
+let tourObserver = null;
+const tourCache = new Map(); // url -> normalized tour
+let tourBarElements = null; // Cached DOM references of #tourBar
+
+// Validate a tour (inline in gallery.json or a separate JSON file). Invalid stops are skipped with a warning.
+// Stop: { position: [x,y,z], target?: [x,y,z], dwell?: seconds, art?: catalog id or mesh name, caption?: text }
+function normalizeTour(rawTour, label = 'tour') {
+    const raw = Array.isArray(rawTour) ? { stops: rawTour } : rawTour;
+    if (!raw || !Array.isArray(raw.stops)) {
+        throw new Error(`${label}: must be an array of stops or an object with a 'stops' array`);
+    }
+
+    const stops = [];
+    raw.stops.forEach((rawStop, index) => {
+        if (!rawStop || !isVector3Array(rawStop.position)) {
+            console.warn(`${label}: stop #${index} has no valid 'position', skipping.`);
+            return;
+        }
+        const art = typeof rawStop.art === 'string' && rawStop.art ? rawStop.art : null;
+        if (!isVector3Array(rawStop.target) && !art) {
+            console.warn(`${label}: stop #${index} needs a 'target' or a linked 'art', skipping.`);
+            return;
+        }
+        stops.push({
+            position: rawStop.position,
+            target: isVector3Array(rawStop.target) ? rawStop.target : null, // null = look at the linked art
+            dwellMs: (typeof rawStop.dwell === 'number' && rawStop.dwell >= 0 ? rawStop.dwell : CONFIG.TOUR.DEFAULT_DWELL_S) * 1000,
+            art,
+            caption: typeof rawStop.caption === 'string' ? rawStop.caption : ''
+        });
+    });
+
+    if (stops.length === 0) {
+        throw new Error(`${label}: contains no valid stops`);
+    }
+    return { title: typeof raw.title === 'string' && raw.title ? raw.title : 'Guided Tour', stops };
+}
+
+// Tour of a gallery scene entry (fetched once if it is a URL)
+async function loadTourForScene(entry) {
+    if (!entry || !entry.tour) return null;
+    if (typeof entry.tour !== 'string') {
+        return normalizeTour(entry.tour, `Tour of scene '${entry.id}'`);
+    }
+    if (tourCache.has(entry.tour)) return tourCache.get(entry.tour);
+
+    const response = await fetch(entry.tour, { cache: 'no-cache' });
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+    const tour = normalizeTour(await response.json(), `Tour '${entry.tour}'`);
+    tourCache.set(entry.tour, tour);
+    return tour;
+}
+
+// Camera pose of a stop. Without an explicit target the camera looks at the centre of the linked piece.
+function getTourStopPose(stop) {
+    const position = BABYLON.Vector3.FromArray(stop.position);
+    if (stop.target) {
+        return { position, target: BABYLON.Vector3.FromArray(stop.target) };
+    }
+
+    const mesh = typeof findArtMeshByRef === 'function' ? findArtMeshByRef(stop.art) : null;
+    const meshes = mesh && typeof getArtPieceMeshes === 'function' ? getArtPieceMeshes(mesh) : (mesh ? [mesh] : []);
+    const bounds = typeof getMeshesBounds === 'function' ? getMeshesBounds(meshes) : null;
+    if (!bounds) {
+        console.warn(`Tour: art '${stop.art}' is not loaded, looking straight ahead.`);
+        return { position, target: position.add(camera.getDirection(BABYLON.Axis.Z)) };
+    }
+    return { position, target: BABYLON.Vector3.Center(bounds.min, bounds.max) };
+}
+
+function isTourActive() {
+    return activeTour !== null;
+}
+
+// True while the tour drives the camera (ground following and user movement are suspended)
+function isTourPlaying() {
+    return activeTour !== null && activeTour.playing;
+}
+
+// Start the active scene's tour from the first stop
+async function startTour() {
+    if (!CONFIG.TOUR.ENABLED || !camera || !scene) return false;
+    const entry = (typeof getActiveGalleryScene === 'function') ? getActiveGalleryScene() : null;
+
+    let tour = null;
+    try {
+        tour = await loadTourForScene(entry);
+    } catch (error) {
+        console.error("Tour could not be loaded:", error);
+        showError(`Failed to load the tour: ${error.message || error}`);
+        return false;
+    }
+    if (!tour) return false;
+
+    exitTour();
+    if (typeof resetCameraFlight === 'function') resetCameraFlight();
+    if (typeof hidePopup === 'function') hidePopup();
+
+    activeTour = {
+        title: tour.title,
+        stops: tour.stops,
+        index: 0,
+        phase: 'idle', // 'flying' (to a stop), 'moving' (spline segment), 'dwelling', 'idle', 'finished'
+        playing: true,
+        segment: null,
+        dwellEndTime: 0,
+        dwellRemainingMs: 0
+    };
+    tourObserver = scene.onBeforeRenderObservable.add(updateTour);
+    const canvas = engine.getRenderingCanvas();
+    EventManager.addListener('tour', canvas, 'pointerdown', pauseTourForUserInput);
+    EventManager.addListener('tour', canvas, 'wheel', pauseTourForUserInput);
+    EventManager.addListener('tour', window, 'keydown', (e) => {
+        // Keys pressed on the tour controls themselves are not "taking over"
+        if (tourBarElements && tourBarElements.bar.contains(e.target)) return;
+        pauseTourForUserInput();
+    });
+
+    console.log(`Tour started: ${tour.title} (${tour.stops.length} stop(s))`);
+    showTourBar(true);
+    travelToTourStop(0);
+    return true;
+}
+
+// Get to a stop from wherever the camera is (collider-aware flight), then dwell there
+function travelToTourStop(index) {
+    if (!activeTour) return;
+    activeTour.index = index;
+    activeTour.phase = 'flying';
+    activeTour.segment = null;
+    activeTour.dwellRemainingMs = activeTour.stops[index].dwellMs;
+    updateTourBar();
+
+    const pose = getTourStopPose(activeTour.stops[index]);
+    const tour = activeTour;
+    flyCameraTo(pose.position, pose.target, () => {
+        // Ignore flights that finish after the tour was exited or redirected
+        if (activeTour !== tour || tour.index !== index || tour.phase !== 'flying') return;
+        arriveAtTourStop();
+    });
+}
+
+// Spline from the current stop to the next one (Catmull-Rom through the neighbouring stops)
+function startTourSegment(fromIndex) {
+    const stops = activeTour.stops;
+    const toIndex = fromIndex + 1;
+    const poses = [
+        stops[Math.max(0, fromIndex - 1)],
+        stops[fromIndex],
+        stops[toIndex],
+        stops[Math.min(stops.length - 1, toIndex + 1)]
+    ].map(getTourStopPose);
+
+    // Approximate the arc length for a constant walking speed
+    let length = 0;
+    let previous = poses[1].position;
+    for (let i = 1; i <= CONFIG.TOUR.ARC_LENGTH_SAMPLES; i++) {
+        const point = getTourSplinePoint(poses, 'position', i / CONFIG.TOUR.ARC_LENGTH_SAMPLES);
+        length += BABYLON.Vector3.Distance(previous, point);
+        previous = point;
+    }
+
+    activeTour.index = toIndex;
+    activeTour.phase = 'moving';
+    activeTour.dwellRemainingMs = stops[toIndex].dwellMs;
+    activeTour.segment = {
+        poses,
+        startTime: performance.now(),
+        duration: Math.max(CONFIG.TOUR.MIN_SEGMENT_MS, length / CONFIG.TOUR.SPEED * 1000)
+    };
+    updateTourBar();
+}
+
+function getTourSplinePoint(poses, key, t) {
+    return BABYLON.Vector3.CatmullRom(poses[0][key], poses[1][key], poses[2][key], poses[3][key], t);
+}
+
+function arriveAtTourStop() {
+    if (!activeTour) return;
+    activeTour.segment = null;
+    if (typeof resetGroundFollow === 'function') resetGroundFollow();
+
+    if (activeTour.playing) {
+        activeTour.phase = 'dwelling';
+        activeTour.dwellEndTime = performance.now() + activeTour.dwellRemainingMs;
+    } else {
+        activeTour.phase = 'idle';
+    }
+    updateTourBar();
+}
+
+// Per-frame update (scene.onBeforeRenderObservable, runs after the camera applied its inputs)
+function updateTour() {
+    if (!activeTour || !activeTour.playing || !camera) return;
+
+    // Keyboard, mouse look and joystick all end up in cameraDirection/cameraRotation: the visitor takes over
+    if (activeTour.phase !== 'flying' &&
+        (camera.cameraDirection.lengthSquared() > CONFIG.TOUR.INPUT_EPSILON ||
+         camera.cameraRotation.lengthSquared() > CONFIG.TOUR.INPUT_EPSILON)) {
+        pauseTour();
+        return;
+    }
+
+    const now = performance.now();
+    if (activeTour.phase === 'moving') {
+        const segment = activeTour.segment;
+        const progress = Math.min(1, (now - segment.startTime) / segment.duration);
+        const eased = progress * progress * (3 - 2 * progress); // Smoothstep: stops are rest points
+
+        camera.position.copyFrom(getTourSplinePoint(segment.poses, 'position', eased));
+        camera.setTarget(getTourSplinePoint(segment.poses, 'target', eased));
+
+        if (progress >= 1) arriveAtTourStop();
+    } else if (activeTour.phase === 'dwelling' && now >= activeTour.dwellEndTime) {
+        if (activeTour.index < activeTour.stops.length - 1) {
+            startTourSegment(activeTour.index);
+        } else {
+            activeTour.phase = 'finished';
+            activeTour.playing = false;
+            updateTourBar();
+        }
+    }
+}
+
+function pauseTourForUserInput() {
+    if (isTourPlaying()) pauseTour();
+}
+
+// Hand the camera back to the visitor; play() later returns to the current stop
+function pauseTour() {
+    if (!activeTour || !activeTour.playing) return;
+
+    if (activeTour.phase === 'flying' && typeof cancelCameraFlight === 'function') {
+        cancelCameraFlight();
+    }
+    if (activeTour.phase === 'dwelling') {
+        activeTour.dwellRemainingMs = Math.max(0, activeTour.dwellEndTime - performance.now());
+    }
+    activeTour.playing = false;
+    activeTour.phase = activeTour.phase === 'finished' ? 'finished' : 'idle';
+    activeTour.segment = null;
+    if (typeof resetGroundFollow === 'function') resetGroundFollow();
+    updateTourBar();
+}
+
+function playTour() {
+    if (!activeTour) return startTour();
+    if (activeTour.playing) return true;
+
+    activeTour.playing = true;
+    if (activeTour.phase === 'finished') {
+        travelToTourStop(0);
+    } else {
+        // Back to the stop the visitor left (remaining dwell time is kept)
+        const remaining = activeTour.dwellRemainingMs;
+        travelToTourStop(activeTour.index);
+        activeTour.dwellRemainingMs = remaining;
+    }
+    return true;
+}
+
+function toggleTourPlayback() {
+    if (isTourPlaying()) pauseTour(); else playTour();
+}
+
+// Next/previous keep the play/pause state; from a dwell, "next" follows the authored spline
+function nextTourStop() {
+    if (!activeTour || activeTour.index >= activeTour.stops.length - 1) return;
+    if (activeTour.playing && activeTour.phase === 'dwelling') {
+        startTourSegment(activeTour.index);
+    } else {
+        travelToTourStop(activeTour.index + 1);
+    }
+}
+
+function previousTourStop() {
+    if (!activeTour || activeTour.index <= 0) return;
+    travelToTourStop(activeTour.index - 1);
+}
+
+// Stop the tour and leave the camera where it is
+function exitTour() {
+    if (tourObserver && scene) {
+        scene.onBeforeRenderObservable.remove(tourObserver);
+    }
+    tourObserver = null;
+    EventManager.removeCategory('tour');
+
+    if (activeTour && activeTour.phase === 'flying' && typeof cancelCameraFlight === 'function') {
+        cancelCameraFlight();
+    }
+    if (activeTour && typeof resetGroundFollow === 'function') resetGroundFollow();
+    activeTour = null;
+    showTourBar(false);
+}
+
+// Build the tour controls (called by main.js after initUI)
+function initTourUI() {
+    const bar = document.getElementById('tourBar');
+    const tourToggle = document.getElementById('toggleTour');
+    if (!bar || !tourToggle) {
+        console.warn("Tour controls not found, guided tours disabled.");
+        return;
+    }
+
+    EventManager.removeCategory('tour-ui');
+    tourBarElements = {
+        bar,
+        toggle: tourToggle,
+        title: bar.querySelector('.tour-title'),
+        counter: bar.querySelector('.tour-counter'),
+        artTitle: bar.querySelector('.tour-art-title'),
+        caption: bar.querySelector('.tour-caption'),
+        playButton: bar.querySelector('.tour-play')
+    };
+
+    const actions = [
+        [tourToggle, () => (isTourActive() ? exitTour() : startTour())],
+        [bar.querySelector('.tour-prev'), previousTourStop],
+        [tourBarElements.playButton, toggleTourPlayback],
+        [bar.querySelector('.tour-next'), nextTourStop],
+        [bar.querySelector('.tour-exit'), exitTour]
+    ];
+    actions.forEach(([button, action]) => {
+        if (!button) return;
+        EventManager.addListener('tour-ui', button, 'click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            action();
+        });
+    });
+
+    updateTourAvailability();
+}
+
+// Show the tour button only for scenes that have a tour (called again after scene switches)
+function updateTourAvailability() {
+    if (!tourBarElements) return;
+    const entry = (typeof getActiveGalleryScene === 'function') ? getActiveGalleryScene() : null;
+    tourBarElements.toggle.style.display = CONFIG.TOUR.ENABLED && entry && entry.tour ? '' : 'none';
+}
+
+function showTourBar(visible) {
+    if (!tourBarElements) return;
+    tourBarElements.bar.classList.toggle('active', visible);
+    tourBarElements.toggle.classList.toggle('active', visible);
+    if (visible) updateTourBar();
+}
+
+// Caption, stop counter and play/pause icon
+function updateTourBar() {
+    if (!tourBarElements || !activeTour) return;
+
+    const stop = activeTour.stops[activeTour.index];
+    const artMesh = typeof findArtMeshByRef === 'function' ? findArtMeshByRef(stop.art) : null;
+    const artInfo = artMesh && typeof getArtInfo === 'function' ? getArtInfo(artMesh) : null;
+
+    tourBarElements.title.textContent = activeTour.title;
+    tourBarElements.counter.textContent = activeTour.phase === 'finished'
+        ? 'Tour finished'
+        : `Stop ${activeTour.index + 1} / ${activeTour.stops.length}`;
+    tourBarElements.artTitle.textContent = artInfo ? `${artInfo.title} - ${artInfo.artist}` : '';
+    tourBarElements.caption.textContent = stop.caption;
+
+    const icon = tourBarElements.playButton.querySelector('i');
+    if (icon) icon.className = activeTour.playing ? 'fas fa-pause' : 'fas fa-play';
+    tourBarElements.playButton.title = activeTour.playing ? 'Pause tour' : 'Resume tour';
+}
+
+function cleanupTour() {
+    exitTour();
+    EventManager.removeCategory('tour-ui');
+    tourBarElements = null;
+}
+
+// Expose necessary functions globally
+window.isTourPlaying = isTourPlaying; // Used by main.js (suspends ground following)
+window.startTour = startTour;
+window.exitTour = exitTour; // Called by gallery.js on scene switches
+window.initTourUI = initTourUI; // Called by main.js
+window.updateTourAvailability = updateTourAvailability;
+window.cleanupTour = cleanupTour;
@@ -66,6 +66,12 @@ function initUI() {
          // Update button state initially and on resize/load if needed
          // We might need a listener or callback from joystick.js if its state changes externally
          joystickToggle.classList.toggle('active', window.joystickVisible); // Initial state check
+
+        registerKeyAction('TOGGLE_JOYSTICK', {
+            label: 'Toggle joystick',
+            defaultKeys: CONFIG.KEYBINDINGS.DEFAULTS.TOGGLE_JOYSTICK,
+            onPress: () => joystickToggle.click()
+        });
     }
 
     if (fullscreenToggle) {
@@ -75,6 +81,20 @@ function initUI() {
             toggleFullscreen(); // toggleFullscreen handles its own UI update via listener
         });
     }
+    registerKeyAction('TOGGLE_FULLSCREEN', {
+        label: 'Toggle fullscreen',
+        defaultKeys: CONFIG.KEYBINDINGS.DEFAULTS.TOGGLE_FULLSCREEN,
+        onPress: toggleFullscreen
+    });
+
+    const exportColliderButton = document.getElementById('exportCollider');
+    if (exportColliderButton) {
+        EventManager.addListener('ui', exportColliderButton, 'click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            if (typeof exportColliderAsGLB === 'function') exportColliderAsGLB();
+        });
+    }
 
     // Panel close buttons (Ensure settings panel close button is handled in manual-lod.js if added there)
     document.querySelectorAll('.panel .panel-close').forEach(button => {
@@ -233,6 +253,9 @@ function setPixelRatio(ratio) {
         console.warn("Engine not available, pixel ratio set globally but not applied to engine yet.");
     }
 
+    // With render-on-demand, a resolution change (e.g. the DRS refinement after motion stops) needs a fresh frame
+    if (typeof requestRender === 'function') requestRender();
+
     // Ensure the UI buttons (in settings panel) reflect this change
     // Need to ensure updateButtonActiveStates exists and is callable
     if (typeof window.updateButtonActiveStates === 'function') {
@@ -296,21 +319,99 @@ function togglePanel(panelId, buttonId) {
     // If it *was* active, closeAllPanels already handled closing it.
 }
 
+let loadingCancelledTimer = null; // Hides the cancelled message (showLoadingCancelled)
+
 // Show loading indicator (keep this)
-function showLoadingIndicator(message) {
+// progress: optional 0..1 fraction shown as a percentage bar (e.g. decoding in the splat worker)
+function showLoadingIndicator(message, progress = null) {
     const displayMessage = message || (CONFIG?.LOADING?.DEFAULT_MESSAGE) || "Loading...";
     const loadingIndicator = document.getElementById('loadingIndicator');
     if (!loadingIndicator) return;
     const loadingText = loadingIndicator.querySelector('.loading-text');
     if (loadingText) loadingText.textContent = displayMessage;
+    // A new stage starts without byte progress until updateLoadingProgress says otherwise
+    loadingIndicator.classList.remove('has-progress');
+    if (loadingIndicator.classList.contains('cancelled')) {
+        clearTimeout(loadingCancelledTimer); // A new load replaces the cancelled message
+        loadingIndicator.classList.remove('cancelled');
+    }
+    if (typeof progress === 'number') {
+        setLoadingFraction(loadingIndicator, progress);
+    }
     loadingIndicator.style.display = 'flex';
     loadingIndicator.setAttribute('aria-hidden', 'false');
 }
 
+// Update the download progress bar (totalBytes = 0 when the size is unknown)
+function updateLoadingProgress(receivedBytes, totalBytes) {
+    const loadingIndicator = document.getElementById('loadingIndicator');
+    if (!loadingIndicator) return;
+    const progressBar = loadingIndicator.querySelector('.loading-progress-bar');
+    const progressText = loadingIndicator.querySelector('.loading-progress-text');
+    if (!progressBar || !progressText) return;
+
+    loadingIndicator.classList.add('has-progress');
+    if (typeof requestRender === 'function') requestRender(); // Streamed preview may have changed
+    const receivedMB = (receivedBytes / 1048576).toFixed(1);
+
+    if (totalBytes > 0) {
+        const percent = Math.min(100, (receivedBytes / totalBytes) * 100);
+        progressBar.classList.remove('indeterminate');
+        progressBar.style.width = `${percent.toFixed(1)}%`;
+        progressText.textContent = `${percent.toFixed(0)}% - ${receivedMB} / ${(totalBytes / 1048576).toFixed(1)} MB`;
+    } else {
+        progressBar.classList.add('indeterminate');
+        progressBar.style.width = '';
+        progressText.textContent = `${receivedMB} MB`;
+    }
+}
+
+// Percentage bar for stages measured in work done rather than bytes (splat worker decoding)
+function setLoadingFraction(loadingIndicator, fraction) {
+    const progressBar = loadingIndicator.querySelector('.loading-progress-bar');
+    const progressText = loadingIndicator.querySelector('.loading-progress-text');
+    if (!progressBar || !progressText) return;
+
+    const percent = Math.round(Math.min(1, Math.max(0, fraction)) * 100);
+    loadingIndicator.classList.add('has-progress');
+    progressBar.classList.remove('indeterminate');
+    progressBar.style.width = `${percent}%`;
+    progressText.textContent = `${percent}%`;
+}
+
+// Show the Cancel button while onCancel can stop the current load (null removes it).
+// hideLoadingIndicator() removes it as well, so every load sets its own.
+function setLoadingCancelHandler(onCancel) {
+    const loadingIndicator = document.getElementById('loadingIndicator');
+    const cancelButton = loadingIndicator && loadingIndicator.querySelector('.loading-cancel');
+    if (!cancelButton) return;
+    cancelButton.onclick = onCancel
+        ? (e) => { e.preventDefault(); e.stopPropagation(); onCancel(); }
+        : null;
+    loadingIndicator.classList.toggle('cancellable', !!onCancel);
+}
+
+// Cancelled state: the message alone for CONFIG.LOADING.CANCELLED_DISPLAY_TIME, then the indicator hides
+function showLoadingCancelled(message = CONFIG.LOADING.CANCELLED_MESSAGE) {
+    showLoadingIndicator(message);
+    setLoadingCancelHandler(null);
+    const loadingIndicator = document.getElementById('loadingIndicator');
+    if (!loadingIndicator) return;
+    loadingIndicator.classList.add('cancelled');
+    loadingCancelledTimer = setTimeout(() => {
+        loadingIndicator.classList.remove('cancelled');
+        hideLoadingIndicator();
+    }, CONFIG.LOADING.CANCELLED_DISPLAY_TIME);
+}
+
 // Hide loading indicator (keep this)
 function hideLoadingIndicator() {
+    if (typeof requestRender === 'function') requestRender(); // Loaded content becomes visible
     const loadingIndicator = document.getElementById('loadingIndicator');
     if (loadingIndicator) {
+        // Cleanup that runs right after a cancel (e.g. a scene switch's finally) must not cut the message short
+        if (loadingIndicator.classList.contains('cancelled')) return;
+        setLoadingCancelHandler(null);
         loadingIndicator.style.display = 'none';
         loadingIndicator.setAttribute('aria-hidden', 'true');
     }
@@ -324,7 +425,7 @@ function showError(message) {
 }
 
 // Update collider status display (keep this)
-function updateColliderStatus(loaded) {
+function updateColliderStatus(loaded, generated = false) {
     const statusContainer = document.querySelector('#infoPanel .status-container');
     if (!statusContainer) return;
 
@@ -335,11 +436,27 @@ function updateColliderStatus(loaded) {
     indicator.classList.remove('status-good', 'status-warning');
     if (loaded) {
         indicator.classList.add('status-good');
-        statusText.textContent = "Collider Active";
+        statusText.textContent = generated ? "Generated Collider" : "Collider Active";
     } else {
         indicator.classList.add('status-warning');
         statusText.textContent = window.currentSplatMesh ? "Basic Collision" : "No Collider";
     }
+
+    // Generated colliders can be downloaded and refined in Blender
+    const exportButton = document.getElementById('exportCollider');
+    if (exportButton) {
+        exportButton.style.display = loaded && generated ? '' : 'none';
+    }
+}
+
+// Save text content as a file through a temporary object URL (bookmark, HUD and benchmark exports)
+function downloadFile(content, fileName, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
 }
 
 // Expose necessary functions globally
@@ -348,7 +465,11 @@ window.toggleFullscreen = toggleFullscreen;
 window.closeAllPanels = closeAllPanels;
 window.showLoadingIndicator = showLoadingIndicator;
 window.hideLoadingIndicator = hideLoadingIndicator;
+window.setLoadingCancelHandler = setLoadingCancelHandler; // Used by scene.js loadSplat()
+window.showLoadingCancelled = showLoadingCancelled; // Used by scene.js loadSplat()
+window.updateLoadingProgress = updateLoadingProgress;
 window.showError = showError;
+window.downloadFile = downloadFile; // Used by bookmarks.js, performance-hud.js and benchmark.js
 window.updateColliderStatus = updateColliderStatus;
 
 // Expose for manual-lod.js to call
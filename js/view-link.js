@@ -0,0 +1,232 @@
+// view-link.js - Shareable deep links: scene, camera pose, FOV and open artwork in the URL hash
+// Format: #scene=main&pos=1.25,1.70,-4.50&rot=-2.10,91.35&fov=75&art=Statue01 (angles in degrees)
+
+// View-link state
+let initialLinkedView = undefined; // Parsed hash at page load (undefined = not read yet, null = none)
+let pendingLinkedArt = null; // Artwork ref still waiting for its mesh to load
+let viewLinkUpdateTimer = null;
+let viewLinkObserver = null;
+let isViewLinkTrackingActive = false;
+
+function parseLinkNumbers(value, count) {
+    if (typeof value !== 'string') return null;
+    const numbers = value.split(',').map(Number);
+    return numbers.length === count && numbers.every(n => isFinite(n)) ? numbers : null;
+}
+
+// Parse a location hash. Returns null when it holds no usable view.
+function parseViewLink(hash) {
+    const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+    const view = {
+        scene: params.get('scene') || null,
+        position: parseLinkNumbers(params.get('pos'), 3),
+        rotation: parseLinkNumbers(params.get('rot'), 2), // [pitch, yaw]
+        fov: parseLinkNumbers(params.get('fov'), 1)?.[0] ?? null,
+        art: params.get('art') || null
+    };
+    if (view.fov !== null && (view.fov <= 0 || view.fov >= 180)) view.fov = null;
+    return view.scene || view.position || view.art ? view : null;
+}
+
+// Build the hash for a view (commas are kept readable, ids are encoded)
+function formatViewLink(view, decimals = 2) {
+    const parts = [];
+    if (view.scene) parts.push(`scene=${encodeURIComponent(view.scene)}`);
+    if (view.position) parts.push(`pos=${view.position.map(n => n.toFixed(decimals)).join(',')}`);
+    if (view.rotation) parts.push(`rot=${view.rotation.map(n => n.toFixed(decimals)).join(',')}`);
+    if (view.fov !== null && view.fov !== undefined) parts.push(`fov=${Number(view.fov.toFixed(decimals))}`);
+    if (view.art) parts.push(`art=${encodeURIComponent(view.art)}`);
+    return `#${parts.join('&')}`;
+}
+
+// Hash present when the page was opened (read once, later hashes arrive via hashchange)
+function getInitialLinkedView() {
+    if (initialLinkedView === undefined) {
+        initialLinkedView = CONFIG.VIEW_LINK.ENABLED ? parseViewLink(location.hash) : null;
+        pendingLinkedArt = initialLinkedView ? initialLinkedView.art : null;
+    }
+    return initialLinkedView;
+}
+
+// Scene requested by the link (gallery.js prefers it over the manifest's default)
+function getLinkedSceneId() {
+    const view = getInitialLinkedView();
+    return view ? view.scene : null;
+}
+
+// Current camera/scene/popup state as a view
+function captureCurrentView() {
+    const entry = (typeof getActiveGalleryScene === 'function') ? getActiveGalleryScene() : null;
+    const openMesh = (typeof getOpenArtMesh === 'function') ? getOpenArtMesh() : null;
+    return {
+        scene: entry ? entry.id : null,
+        position: camera.position.asArray(),
+        rotation: [BABYLON.Tools.ToDegrees(camera.rotation.x), BABYLON.Tools.ToDegrees(camera.rotation.y)],
+        fov: BABYLON.Tools.ToDegrees(camera.fov),
+        art: openMesh && typeof getArtMeshRef === 'function' ? getArtMeshRef(openMesh) : pendingLinkedArt
+    };
+}
+
+// Put the camera at a linked pose (the scene must already be the linked one)
+function applyLinkedCameraPose(view) {
+    if (!camera || !view) return false;
+
+    if (view.position) {
+        camera.position.copyFromFloats(...view.position);
+    }
+    if (view.rotation) {
+        const pitch = BABYLON.Tools.ToRadians(view.rotation[0]);
+        const yaw = BABYLON.Tools.ToRadians(view.rotation[1]);
+        camera.rotation.set(pitch, yaw, 0);
+        if (camera.rotationQuaternion) {
+            BABYLON.Quaternion.RotationYawPitchRollToRef(yaw, pitch, 0, camera.rotationQuaternion);
+        }
+    }
+    if (view.fov !== null) {
+        camera.fov = BABYLON.Tools.ToRadians(view.fov);
+    }
+    camera.cameraDirection.set(0, 0, 0);
+    camera.cameraRotation.set(0, 0);
+
+    if (typeof resetGroundFollow === 'function') resetGroundFollow();
+    return true;
+}
+
+// Open the linked artwork's popup once its mesh exists (called again by interaction.js after art loads)
+function restoreLinkedArtwork() {
+    if (!pendingLinkedArt || typeof findArtMeshByRef !== 'function') return false;
+
+    const mesh = findArtMeshByRef(pendingLinkedArt);
+    if (!mesh || typeof openArtPopup !== 'function') return false;
+
+    pendingLinkedArt = null;
+    return openArtPopup(mesh);
+}
+
+// A link pasted into the address bar of an open tab: switch scene if needed, then restore the view
+async function applyViewLink(view) {
+    if (!view) return false;
+
+    const entry = (typeof getActiveGalleryScene === 'function') ? getActiveGalleryScene() : null;
+    if (view.scene && entry && view.scene !== entry.id && typeof switchGalleryScene === 'function') {
+        const switched = await switchGalleryScene(view.scene);
+        if (!switched) {
+            console.warn(`View link: scene '${view.scene}' could not be loaded.`);
+            return false;
+        }
+    }
+    if (typeof exitTour === 'function') exitTour();
+    if (typeof resetCameraFlight === 'function') resetCameraFlight();
+    if (typeof hidePopup === 'function') hidePopup();
+
+    applyLinkedCameraPose(view);
+    pendingLinkedArt = view.art;
+    restoreLinkedArtwork();
+    return true;
+}
+
+// Throttled hash update (history.replaceState, so moving around doesn't flood the back button)
+function scheduleViewLinkUpdate() {
+    if (!isViewLinkTrackingActive || viewLinkUpdateTimer) return;
+    viewLinkUpdateTimer = setTimeout(() => {
+        viewLinkUpdateTimer = null;
+        writeViewLinkToUrl();
+    }, CONFIG.VIEW_LINK.UPDATE_INTERVAL_MS);
+}
+
+function writeViewLinkToUrl() {
+    if (!camera || !isViewLinkTrackingActive) return;
+    const hash = formatViewLink(captureCurrentView(), CONFIG.VIEW_LINK.DECIMALS);
+    if (hash !== location.hash) {
+        history.replaceState(history.state, '', hash);
+    }
+}
+
+// Full URL of the current view
+function getCurrentViewUrl() {
+    const url = new URL(location.href);
+    url.hash = formatViewLink(captureCurrentView(), CONFIG.VIEW_LINK.DECIMALS);
+    return url.href;
+}
+
+// "Copy link to this view" button
+async function copyViewLink() {
+    const url = getCurrentViewUrl();
+    const button = document.getElementById('copyViewLink');
+    try {
+        await navigator.clipboard.writeText(url);
+    } catch (error) {
+        // Clipboard API needs a secure context and focus - let the user copy it by hand
+        console.warn("Clipboard unavailable, showing the link instead:", error);
+        window.prompt("Copy this link:", url);
+        return false;
+    }
+
+    if (button) {
+        const icon = button.querySelector('i');
+        button.classList.add('active');
+        if (icon) icon.className = 'fas fa-check';
+        setTimeout(() => {
+            button.classList.remove('active');
+            if (icon) icon.className = 'fas fa-link';
+        }, CONFIG.VIEW_LINK.COPY_FEEDBACK_MS);
+    }
+    return true;
+}
+
+// Start tracking the view in the hash (called by main.js once the scene and camera are ready)
+function initViewLinks() {
+    const copyButton = document.getElementById('copyViewLink');
+    if (!CONFIG.VIEW_LINK.ENABLED) {
+        if (copyButton) copyButton.style.display = 'none';
+        return;
+    }
+
+    EventManager.removeCategory('view-link');
+    if (copyButton) {
+        EventManager.addListener('view-link', copyButton, 'click', (e) => {
+            e.preventDefault();
+            e.stopPropagation();
+            copyViewLink();
+        });
+    }
+    EventManager.addListener('view-link', window, 'hashchange', () => {
+        applyViewLink(parseViewLink(location.hash));
+    });
+
+    if (viewLinkObserver) camera.onViewMatrixChangedObservable.remove(viewLinkObserver);
+    viewLinkObserver = camera.onViewMatrixChangedObservable.add(scheduleViewLinkUpdate);
+    isViewLinkTrackingActive = true;
+
+    // Art may have finished loading before this point
+    restoreLinkedArtwork();
+    scheduleViewLinkUpdate();
+}
+
+function cleanupViewLinks() {
+    isViewLinkTrackingActive = false;
+    EventManager.removeCategory('view-link');
+    if (viewLinkObserver && camera) camera.onViewMatrixChangedObservable.remove(viewLinkObserver);
+    viewLinkObserver = null;
+    if (viewLinkUpdateTimer) {
+        clearTimeout(viewLinkUpdateTimer);
+        viewLinkUpdateTimer = null;
+    }
+}
+
+// Expose necessary functions globally
+if (typeof window !== 'undefined') {
+    window.getLinkedSceneId = getLinkedSceneId; // Used by gallery.js (initial scene)
+    window.getInitialLinkedView = getInitialLinkedView; // Used by camera.js (initial pose)
+    window.applyLinkedCameraPose = applyLinkedCameraPose;
+    window.restoreLinkedArtwork = restoreLinkedArtwork; // Called by interaction.js after art loads
+    window.scheduleViewLinkUpdate = scheduleViewLinkUpdate;
+    window.copyViewLink = copyViewLink;
+    window.initViewLinks = initViewLinks; // Called by main.js
+    window.cleanupViewLinks = cleanupViewLinks;
+}
+
+// Export for non-browser use (link parsing tests)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { parseViewLink, formatViewLink };
+}
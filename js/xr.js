@@ -0,0 +1,378 @@
+// xr.js - WebXR immersive VR: "Enter VR", teleport on the collider floor, in-world artwork panel
+
+// XR state
+let xrExperience = null; // BABYLON.WebXRDefaultExperience, created once per page
+let xrSessionState = null; // See nextXRSessionState()
+let xrTeleportFloor = null; // Walkable-only copy of the collider, teleport target
+let xrArtPanel = null; // { mesh, texture } - in-world artwork info
+let xrPointerObserver = null;
+
+// --- Session state (pure, testable with NullEngine / in node) ---
+// unavailable: no WebXR or immersive-vr unsupported | checking | ready | entering | in-xr | exiting
+const XR_SESSION_TRANSITIONS = Object.freeze({
+    unavailable: { check: 'checking' },
+    checking: { supported: 'ready', unsupported: 'unavailable' },
+    ready: { enter: 'entering', entering: 'entering', unsupported: 'unavailable' },
+    entering: { 'in-xr': 'in-xr', failed: 'ready', 'not-in-xr': 'ready', exiting: 'exiting' },
+    'in-xr': { exiting: 'exiting', 'not-in-xr': 'ready' },
+    exiting: { 'not-in-xr': 'ready' }
+});
+
+function createXRSessionState() {
+    return { status: 'unavailable', error: null };
+}
+
+// Returns the next state, or the same object when the event is not valid in the current status
+function nextXRSessionState(state, event, error = null) {
+    const status = XR_SESSION_TRANSITIONS[state.status]?.[event];
+    if (!status) return state;
+    return { status, error: event === 'failed' ? (error || 'Unknown error') : null };
+}
+
+// Events produced by Babylon's WebXRState values
+function getXRSessionEvent(webXRState, WebXRState) {
+    switch (webXRState) {
+        case WebXRState.ENTERING_XR: return 'entering';
+        case WebXRState.IN_XR: return 'in-xr';
+        case WebXRState.EXITING_XR: return 'exiting';
+        case WebXRState.NOT_IN_XR: return 'not-in-xr';
+        default: return null;
+    }
+}
+
+// Keep only triangles flat enough to stand on (normal within maxSlopeDegrees of +Y), so walls are never teleport targets
+function extractWalkableTriangles(positions, indices, maxSlopeDegrees) {
+    const minNormalY = Math.cos(maxSlopeDegrees * Math.PI / 180);
+    const walkable = [];
+    for (let i = 0; i + 2 < indices.length; i += 3) {
+        const a = indices[i] * 3, b = indices[i + 1] * 3, c = indices[i + 2] * 3;
+        const abx = positions[b] - positions[a], aby = positions[b + 1] - positions[a + 1], abz = positions[b + 2] - positions[a + 2];
+        const acx = positions[c] - positions[a], acy = positions[c + 1] - positions[a + 1], acz = positions[c + 2] - positions[a + 2];
+        const nx = aby * acz - abz * acy;
+        const ny = abz * acx - abx * acz;
+        const nz = abx * acy - aby * acx;
+        const length = Math.sqrt(nx * nx + ny * ny + nz * nz);
+        // Winding differs between exporters: accept floors facing either way
+        if (length > 0 && Math.abs(ny) / length >= minNormalY) {
+            walkable.push(indices[i], indices[i + 1], indices[i + 2]);
+        }
+    }
+    return walkable;
+}
+
+// --- Babylon glue ---
+
+function isXRSessionActive() {
+    return !!xrSessionState && (xrSessionState.status === 'in-xr' || xrSessionState.status === 'entering');
+}
+
+function getXRSessionStatus() {
+    return xrSessionState ? xrSessionState.status : 'unavailable';
+}
+
+function dispatchXRSessionEvent(event, error = null) {
+    const previous = xrSessionState;
+    xrSessionState = nextXRSessionState(xrSessionState, event, error);
+    if (xrSessionState !== previous) {
+        if (CONFIG.DEBUG.ENABLE_LOGGING) console.log(`XR session: ${previous.status} -> ${xrSessionState.status}`);
+        updateXRButton();
+    }
+    return xrSessionState;
+}
+
+// Check support and prepare the default experience (called by main.js; works with NullEngine, ends "unavailable")
+async function initXR(targetScene = scene) {
+    xrSessionState = createXRSessionState();
+    if (!CONFIG.XR.ENABLED || !targetScene) {
+        updateXRButton();
+        return xrSessionState;
+    }
+
+    dispatchXRSessionEvent('check');
+    let supported = false;
+    try {
+        supported = typeof navigator !== 'undefined' && !!navigator.xr &&
+            await BABYLON.WebXRSessionManager.IsSessionSupportedAsync('immersive-vr');
+    } catch (error) {
+        console.warn("WebXR support check failed:", error);
+    }
+    if (!supported) {
+        console.log("WebXR immersive-vr not supported, VR mode disabled.");
+        return dispatchXRSessionEvent('unsupported');
+    }
+
+    try {
+        // Own button instead of Babylon's overlay; floor meshes are added per session
+        xrExperience = await targetScene.createDefaultXRExperienceAsync({
+            disableDefaultUI: true,
+            floorMeshes: [],
+            optionalFeatures: true
+        });
+    } catch (error) {
+        console.error("WebXR experience could not be created:", error);
+        return dispatchXRSessionEvent('unsupported');
+    }
+
+    xrExperience.baseExperience.onStateChangedObservable.add((webXRState) => {
+        const event = getXRSessionEvent(webXRState, BABYLON.WebXRState);
+        if (event === 'in-xr') onXRSessionStarted();
+        if (event === 'not-in-xr') onXRSessionEnded();
+        if (event) dispatchXRSessionEvent(event);
+    });
+
+    if (typeof document !== 'undefined') {
+        const button = document.getElementById('enterVR');
+        if (button) {
+            EventManager.addListener('xr', button, 'click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                toggleXRSession();
+            });
+        }
+    }
+    return dispatchXRSessionEvent('supported');
+}
+
+async function enterXR() {
+    if (!xrExperience || getXRSessionStatus() !== 'ready') return false;
+    dispatchXRSessionEvent('enter');
+
+    // Desktop-only animations must not fight the headset
+    if (typeof exitTour === 'function') exitTour();
+    if (typeof resetCameraFlight === 'function') resetCameraFlight();
+    if (typeof closeAllPanels === 'function') closeAllPanels();
+
+    try {
+        await xrExperience.baseExperience.enterXRAsync('immersive-vr', CONFIG.XR.REFERENCE_SPACE);
+        return true;
+    } catch (error) {
+        console.error("Entering VR failed:", error);
+        dispatchXRSessionEvent('failed', error.message || String(error));
+        showError(`Could not start VR: ${error.message || error}`);
+        return false;
+    }
+}
+
+async function exitXR() {
+    if (!xrExperience || !isXRSessionActive()) return false;
+    await xrExperience.baseExperience.exitXRAsync();
+    return true;
+}
+
+function toggleXRSession() {
+    return isXRSessionActive() ? exitXR() : enterXR();
+}
+
+function onXRSessionStarted() {
+    buildXRTeleportFloor();
+    xrPointerObserver = scene.onPointerObservable.add(handleXRPointer, BABYLON.PointerEventTypes.POINTERDOWN);
+}
+
+function onXRSessionEnded() {
+    // Continue on the desktop from where the visitor took off the headset
+    const xrCamera = xrExperience.baseExperience.camera;
+    if (camera && xrCamera) {
+        camera.position.x = xrCamera.position.x;
+        camera.position.z = xrCamera.position.z;
+        const yaw = xrCamera.rotationQuaternion ? xrCamera.rotationQuaternion.toEulerAngles().y : xrCamera.rotation.y;
+        camera.setTarget(camera.position.add(new BABYLON.Vector3(Math.sin(yaw), 0, Math.cos(yaw))));
+        if (typeof resetGroundFollow === 'function') resetGroundFollow();
+    }
+
+    if (xrPointerObserver) {
+        scene.onPointerObservable.remove(xrPointerObserver);
+        xrPointerObserver = null;
+    }
+    hideXRArtPanel();
+    disposeXRTeleportFloor();
+}
+
+// Teleport targets: walkable triangles of the collider, or a flat floor at eye height minus CAMERA.HEIGHT without one
+function buildXRTeleportFloor() {
+    disposeXRTeleportFloor();
+
+    const positions = [];
+    const indices = [];
+    const colliderMeshes = scene.meshes.filter(mesh => typeof isColliderMesh === 'function' && isColliderMesh(mesh) && mesh.getTotalVertices() > 0);
+    colliderMeshes.forEach(mesh => {
+        const worldMatrix = mesh.computeWorldMatrix(true);
+        const localPositions = mesh.getVerticesData(BABYLON.VertexBuffer.PositionKind);
+        const meshIndices = mesh.getIndices();
+        if (!localPositions || !meshIndices) return;
+
+        // Appended value by value: spreading a large collider into push() overflows the call stack
+        const offset = positions.length / 3;
+        const worldPositions = new Float32Array(localPositions.length);
+        const point = new BABYLON.Vector3();
+        for (let i = 0; i < localPositions.length; i += 3) {
+            BABYLON.Vector3.TransformCoordinatesFromFloatsToRef(localPositions[i], localPositions[i + 1], localPositions[i + 2], worldMatrix, point);
+            worldPositions[i] = point.x;
+            worldPositions[i + 1] = point.y;
+            worldPositions[i + 2] = point.z;
+            positions.push(point.x, point.y, point.z);
+        }
+        extractWalkableTriangles(worldPositions, meshIndices, CONFIG.GROUND.MAX_SLOPE_DEGREES)
+            .forEach(index => indices.push(index + offset));
+    });
+
+    if (indices.length > 0) {
+        xrTeleportFloor = new BABYLON.Mesh("XRTeleportFloor", scene);
+        const vertexData = new BABYLON.VertexData();
+        vertexData.positions = positions;
+        vertexData.indices = indices;
+        vertexData.applyToMesh(xrTeleportFloor);
+    } else {
+        const floorY = (camera ? camera.position.y : CONFIG.CAMERA.HEIGHT) - CONFIG.CAMERA.HEIGHT;
+        xrTeleportFloor = BABYLON.MeshBuilder.CreateGround("XRTeleportFloor",
+            { width: CONFIG.XR.FALLBACK_FLOOR_SIZE, height: CONFIG.XR.FALLBACK_FLOOR_SIZE }, scene);
+        xrTeleportFloor.position.y = floorY;
+        console.warn("XR: No collider floor found, teleporting on a flat floor.");
+    }
+
+    // Pickable for the teleport ray but never drawn or collided with
+    xrTeleportFloor.visibility = 0;
+    xrTeleportFloor.isPickable = true;
+    xrTeleportFloor.checkCollisions = false;
+    xrTeleportFloor.doNotSyncBoundingInfo = true;
+
+    const teleportation = xrExperience.teleportation;
+    if (teleportation) teleportation.addFloorMesh(xrTeleportFloor);
+    console.log(`XR teleport floor: ${indices.length / 3} walkable triangle(s) from ${colliderMeshes.length} collider mesh(es).`);
+}
+
+function disposeXRTeleportFloor() {
+    if (!xrTeleportFloor) return;
+    if (xrExperience && xrExperience.teleportation) xrExperience.teleportation.removeFloorMesh(xrTeleportFloor);
+    xrTeleportFloor.dispose();
+    xrTeleportFloor = null;
+}
+
+// Controller ray selection: art mesh -> in-world panel, the panel itself or empty space -> close
+function handleXRPointer(pointerInfo) {
+    if (!isXRSessionActive()) return;
+    const mesh = pointerInfo.pickInfo && pointerInfo.pickInfo.hit ? pointerInfo.pickInfo.pickedMesh : null;
+
+    if (mesh && mesh.isArtMesh) {
+        showXRArtPanel(mesh);
+    } else if (!mesh || (xrArtPanel && mesh === xrArtPanel.mesh)) {
+        hideXRArtPanel();
+    }
+}
+
+// Plane with the artwork text, floating in front of the visitor and facing them
+function showXRArtPanel(mesh) {
+    const info = (typeof getArtInfo === 'function') ? getArtInfo(mesh) : null;
+    if (!info) return;
+
+    if (!xrArtPanel) {
+        const panelMesh = BABYLON.MeshBuilder.CreatePlane("XRArtPanel",
+            { width: CONFIG.XR.PANEL_WIDTH, height: CONFIG.XR.PANEL_HEIGHT }, scene);
+        const textureHeight = Math.round(CONFIG.XR.PANEL_TEXTURE_WIDTH * CONFIG.XR.PANEL_HEIGHT / CONFIG.XR.PANEL_WIDTH);
+        const texture = new BABYLON.DynamicTexture("XRArtPanelTexture",
+            { width: CONFIG.XR.PANEL_TEXTURE_WIDTH, height: textureHeight }, scene, true);
+        const material = new BABYLON.StandardMaterial("XRArtPanelMaterial", scene);
+        material.emissiveTexture = texture; // Unlit: readable regardless of scene lights
+        material.disableLighting = true;
+        material.backFaceCulling = false;
+        panelMesh.material = material;
+        panelMesh.billboardMode = BABYLON.Mesh.BILLBOARDMODE_ALL;
+        panelMesh.isPickable = true; // Selecting the panel closes it
+        xrArtPanel = { mesh: panelMesh, texture };
+    }
+
+    drawXRArtPanelText(xrArtPanel.texture, info);
+
+    // In front of the head, slightly below eye level
+    const xrCamera = xrExperience.baseExperience.camera;
+    const forward = xrCamera.getDirection(BABYLON.Axis.Z);
+    forward.y = 0;
+    forward.normalize();
+    xrArtPanel.mesh.position.copyFrom(xrCamera.position.add(forward.scale(CONFIG.XR.PANEL_DISTANCE)));
+    xrArtPanel.mesh.position.y -= 0.15;
+    xrArtPanel.mesh.setEnabled(true);
+}
+
+// Word-wrapped text on the panel texture
+function drawXRArtPanelText(texture, info) {
+    const context = texture.getContext();
+    const { width, height } = texture.getSize();
+    const padding = width * 0.05;
+
+    context.fillStyle = 'rgba(20, 20, 20, 0.92)';
+    context.fillRect(0, 0, width, height);
+    context.fillStyle = '#ffffff';
+    context.font = `bold ${Math.round(width * 0.05)}px sans-serif`;
+    context.fillText(info.title, padding, padding + width * 0.05);
+
+    context.fillStyle = '#bbbbbb';
+    context.font = `${Math.round(width * 0.032)}px sans-serif`;
+    context.fillText(`${info.artist} | ${info.year} | ${info.medium}`, padding, padding + width * 0.11);
+
+    context.fillStyle = '#dddddd';
+    const lineHeight = width * 0.042;
+    let y = padding + width * 0.18;
+    let line = '';
+    info.description.split(/\s+/).forEach(word => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (context.measureText(candidate).width > width - padding * 2 && line) {
+            if (y < height - padding) context.fillText(line, padding, y);
+            y += lineHeight;
+            line = word;
+        } else {
+            line = candidate;
+        }
+    });
+    if (line && y < height - padding) context.fillText(line, padding, y);
+
+    context.fillStyle = '#888888';
+    context.fillText('Select to close', padding, height - padding * 0.6);
+    texture.update();
+}
+
+function hideXRArtPanel() {
+    if (xrArtPanel) xrArtPanel.mesh.setEnabled(false);
+}
+
+// "Enter VR" button: hidden unless immersive-vr is supported
+function updateXRButton() {
+    if (typeof document === 'undefined') return;
+    const button = document.getElementById('enterVR');
+    if (!button) return;
+
+    const status = getXRSessionStatus();
+    button.style.display = status === 'unavailable' || status === 'checking' ? 'none' : '';
+    button.disabled = status === 'entering' || status === 'exiting';
+    button.classList.toggle('active', status === 'in-xr');
+    button.title = status === 'in-xr' ? 'Exit VR' : 'Enter VR';
+}
+
+function cleanupXR() {
+    EventManager.removeCategory('xr');
+    hideXRArtPanel();
+    disposeXRTeleportFloor();
+    if (xrArtPanel) {
+        xrArtPanel.texture.dispose();
+        xrArtPanel.mesh.dispose(false, true);
+        xrArtPanel = null;
+    }
+    if (xrExperience) {
+        xrExperience.dispose();
+        xrExperience = null;
+    }
+    xrSessionState = createXRSessionState();
+}
+
+// Expose necessary functions globally
+if (typeof window !== 'undefined') {
+    window.initXR = initXR; // Called by main.js
+    window.isXRSessionActive = isXRSessionActive; // Used by main.js / interaction.js
+    window.getXRSessionStatus = getXRSessionStatus;
+    window.enterXR = enterXR;
+    window.exitXR = exitXR;
+    window.cleanupXR = cleanupXR;
+}
+
+// Export for non-browser use (tests/xr.test.js: session state, floor extraction, initXR on a NullEngine)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createXRSessionState, nextXRSessionState, getXRSessionEvent, extractWalkableTriangles, initXR, getXRSessionStatus };
+}
@@ -0,0 +1,149 @@
+// sw.js - Service worker: offline app shell and scene asset caching
+
+// Shares CONFIG.OFFLINE with the page (config.js has no DOM dependencies)
+importScripts('js/config.js');
+
+const SHELL_CACHE = `${CONFIG.OFFLINE.SHELL_CACHE_PREFIX}${CONFIG.OFFLINE.CACHE_VERSION}`;
+const ASSET_CACHE = CONFIG.OFFLINE.ASSET_CACHE_NAME;
+
+// --- Install: precache index.html and everything it references (local scripts/styles + CDN) ---
+self.addEventListener('install', (event) => {
+    event.waitUntil(precacheAppShell().then(() => self.skipWaiting()));
+});
+
+async function precacheAppShell() {
+    const cache = await caches.open(SHELL_CACHE);
+
+    const indexResponse = await fetch('index.html', { cache: 'no-cache' });
+    if (!indexResponse.ok) {
+        throw new Error(`Service worker: index.html returned HTTP ${indexResponse.status}`);
+    }
+    const html = await indexResponse.clone().text();
+    await cache.put('index.html', indexResponse.clone());
+    await cache.put('./', indexResponse);
+
+    // Collect src/href attributes instead of keeping a hand-written file list in sync
+    // (plus files only loaded from script: manifests and the splat worker)
+    const shellUrls = new Set(['manifest.webmanifest', CONFIG.ASSETS.GALLERY_MANIFEST, CONFIG.ASSETS.ART_CATALOG, CONFIG.SPLAT_WORKER.SCRIPT].filter(Boolean));
+    const attributePattern = /\s(?:src|href)="([^"#][^"]*)"/g;
+    let match;
+    while ((match = attributePattern.exec(html)) !== null) {
+        if (!match[1].startsWith('data:')) shellUrls.add(match[1]);
+    }
+
+    // One failing URL (e.g. a blocked CDN) must not break installation
+    await Promise.all(Array.from(shellUrls).map(async (url) => {
+        try {
+            const response = await fetch(url, { mode: 'cors', credentials: 'omit', cache: 'no-cache' });
+            if (response.ok) {
+                await cache.put(url, response);
+            }
+        } catch (error) {
+            console.warn(`Service worker: could not precache ${url}:`, error);
+        }
+    }));
+}
+
+// --- Activate: drop shell caches from older versions ---
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const cacheNames = await caches.keys();
+        await Promise.all(cacheNames
+            .filter(name => name.startsWith(CONFIG.OFFLINE.SHELL_CACHE_PREFIX) && name !== SHELL_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// --- Fetch routing ---
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+
+    // Partial requests are left to the network; a cached full body can't answer them correctly
+    if (request.headers.has('range')) return;
+
+    // loadCollider() probes files with HEAD; answer from cache so offline scenes keep their collider
+    if (request.method === 'HEAD') {
+        event.respondWith(handleHeadRequest(request));
+        return;
+    }
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (isSceneAsset(url)) {
+        event.respondWith(cacheFirst(request, ASSET_CACHE, CONFIG.OFFLINE.CACHE_ASSETS_ON_LOAD));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    } else {
+        // CDN URLs are unversioned ("latest"), so serve the cached copy and refresh it in the background
+        event.respondWith(staleWhileRevalidate(event, request, SHELL_CACHE));
+    }
+});
+
+function isSceneAsset(url) {
+    const extension = url.pathname.substring(url.pathname.lastIndexOf('.') + 1).toLowerCase();
+    return CONFIG.OFFLINE.ASSET_EXTENSIONS.includes(extension);
+}
+
+async function handleHeadRequest(request) {
+    const cached = await caches.match(request.url);
+    if (cached) {
+        return new Response(null, { status: 200, headers: cached.headers });
+    }
+    return fetch(request);
+}
+
+// Scene assets: never re-download what is already cached
+async function cacheFirst(request, cacheName, storeResponse) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (storeResponse && response.ok && response.status === 200) {
+        const cache = await caches.open(cacheName);
+        // The clone streams into the cache while the page reads the original (keeps progress reporting)
+        cache.put(request, response.clone()).catch(error => {
+            console.warn(`Service worker: could not cache ${request.url}:`, error);
+        });
+    }
+    return response;
+}
+
+// App shell: prefer fresh files, fall back to the cached copy when offline
+async function networkFirst(request, cacheName) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(cacheName);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (networkError) {
+        const cached = await caches.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        // Navigations to unknown paths still get the app
+        if (request.mode === 'navigate') {
+            const shell = await caches.match('index.html');
+            if (shell) return shell;
+        }
+        throw networkError;
+    }
+}
+
+async function staleWhileRevalidate(event, request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+
+    const refresh = fetch(request).then(response => {
+        if (response.ok || response.type === 'opaque') {
+            return cache.put(request, response.clone()).then(() => response);
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => { /* Offline: keep the cached copy */ }));
+        return cached;
+    }
+    return refresh;
+}
@@ -0,0 +1,58 @@
+// art-catalog.test.js - Art catalog schema validation and mesh name matching
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateArtCatalog } = require('../js/art-catalog.js');
+
+test('validateArtCatalog fills defaults and maps every mesh name to its entry', () => {
+    const catalog = validateArtCatalog({
+        version: 1,
+        artworks: [
+            { id: 'Statue01', title: 'Statue', year: 1901 },
+            { id: 'Diptych', title: 'Diptych', artist: 'A. Painter', meshes: ['DiptychLeft', 'DiptychRight'],
+              view: { position: [0, 1.6, -2], target: [0, 1.5, 0] } }
+        ]
+    });
+
+    assert.deepEqual(catalog.errors, []);
+    assert.equal(catalog.entries.length, 2);
+    const statue = catalog.byId.get('Statue01');
+    assert.deepEqual(statue.meshes, ['Statue01']); // Defaults to the id
+    assert.equal(statue.year, '1901');
+    assert.equal(statue.view, null); // Computed from the mesh bounds
+    assert.equal(catalog.byMeshName.get('DiptychRight').id, 'Diptych');
+    assert.equal(catalog.byId.get('Diptych').artist, 'A. Painter');
+    assert.deepEqual(catalog.byId.get('Diptych').view.target, [0, 1.5, 0]);
+    assert.ok(Object.isFrozen(statue));
+});
+
+test('validateArtCatalog drops invalid entries and reports why', () => {
+    const catalog = validateArtCatalog({
+        artworks: [
+            { id: 'Good', title: 'Good' },
+            { id: 'Good', title: 'Duplicate' },
+            { id: 'NoTitle' },
+            { id: 'Extra', title: 'Extra', price: 10 },
+            { id: 'BadYear', title: 'Bad year', year: 1.5 },
+            { id: 'BadView', title: 'Bad view', view: { position: [0, 1], target: [0, 0, 0] } },
+            { id: 'Thief', title: 'Thief', meshes: ['Good'] },
+            'not an object'
+        ]
+    });
+
+    assert.deepEqual(catalog.entries.map(entry => entry.id), ['Good', 'Thief']);
+    assert.equal(catalog.errors.length, 7);
+    assert.match(catalog.errors[0], /'Good': duplicate id/);
+    assert.match(catalog.errors[1], /'title' must be a non-empty string/);
+    assert.match(catalog.errors[2], /unknown field 'price'/);
+    assert.match(catalog.errors[3], /'year' must be a string or an integer/);
+    assert.match(catalog.errors[4], /'view' must have/);
+    assert.match(catalog.errors[5], /mesh 'Good' is already used by 'Good'/);
+    assert.match(catalog.errors[6], /artworks\[7\]: must be an object/);
+    assert.equal(catalog.byMeshName.get('Good').id, 'Good'); // The first claim wins
+});
+
+test('validateArtCatalog rejects a malformed or newer catalog', () => {
+    assert.throws(() => validateArtCatalog(null), /'artworks' array/);
+    assert.throws(() => validateArtCatalog({ artworks: {} }), /'artworks' array/);
+    assert.throws(() => validateArtCatalog({ version: 2, artworks: [] }), /Unsupported catalog version: 2/);
+});
@@ -0,0 +1,66 @@
+// benchmark.test.js - Frame-time statistics and a headless runBenchmark() on a NullEngine
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createNullScene } = require('./setup.js');
+const { runBenchmark, computeFrameTimeStats, buildDefaultBenchmarkPath, sampleBenchmarkPath } = require('../js/benchmark.js');
+
+test('computeFrameTimeStats uses nearest-rank percentiles', () => {
+    const frameTimes = Array.from({ length: 100 }, (_, i) => 100 - i); // Unsorted on purpose
+    assert.deepEqual(computeFrameTimeStats(frameTimes), {
+        frames: 100, mean: 50.5, min: 1, max: 100, p50: 50, p95: 95, p99: 99
+    });
+});
+
+test('computeFrameTimeStats handles tiny and empty inputs', () => {
+    assert.deepEqual(computeFrameTimeStats([]), { frames: 0, mean: null, min: null, max: null, p50: null, p95: null, p99: null });
+    const single = computeFrameTimeStats([16.666]);
+    assert.equal(single.p50, 16.67);
+    assert.equal(single.p99, 16.67);
+});
+
+test('default path is a closed loop that starts and ends at the same pose', () => {
+    const path = buildDefaultBenchmarkPath(new BABYLON.Vector3(0, 1.6, 0), 0);
+    assert.equal(path.poses.length, CONFIG.BENCHMARK.DEFAULT_PATH_KEYFRAMES);
+    const start = sampleBenchmarkPath(path, 0);
+    const end = sampleBenchmarkPath(path, 1);
+    assert.ok(BABYLON.Vector3.Distance(start.position, end.position) < 1e-6);
+    assert.ok(Math.abs(BABYLON.Vector3.Distance(start.position, new BABYLON.Vector3(0, 1.6, 0)) - CONFIG.BENCHMARK.DEFAULT_PATH_RADIUS) < 1e-6);
+});
+
+test('runBenchmark flies the path once per preset on a NullEngine', async () => {
+    const { engine, scene } = createNullScene();
+    BABYLON.MeshBuilder.CreateBox('box', { size: 1 }, scene);
+    const appliedPresets = [];
+    let lastProgress = 0;
+    try {
+        const path = buildDefaultBenchmarkPath(new BABYLON.Vector3(0, 1.6, 0), 0);
+        const results = await runBenchmark(scene, {
+            path,
+            presets: [{ name: 'FULL', pixelRatio: 1 }, { name: 'LOW', pixelRatio: 0.35 }],
+            applyPreset: preset => {
+                appliedPresets.push(preset.name);
+                engine.setHardwareScalingLevel(1 / preset.pixelRatio);
+            },
+            framesPerPreset: 12,
+            warmupFrames: 3,
+            syncGpu: false, // No GPU to wait for
+            onProgress: fraction => { lastProgress = fraction; }
+        });
+
+        assert.deepEqual(appliedPresets, ['FULL', 'LOW']);
+        assert.deepEqual(results.map(result => result.preset), ['FULL', 'LOW']);
+        results.forEach(result => {
+            assert.equal(result.frames, 12);
+            assert.ok(result.p50 >= 0 && result.p50 <= result.p95 && result.p95 <= result.p99);
+        });
+        assert.equal(lastProgress, 1);
+        assert.equal(scene.useConstantAnimationDeltaTime, false); // Restored afterwards
+
+        // The last measured frame is the end of the path
+        const end = sampleBenchmarkPath(path, 1);
+        assert.ok(BABYLON.Vector3.Distance(scene.activeCamera.position, end.position) < 1e-4);
+    } finally {
+        scene.dispose();
+        engine.dispose();
+    }
+});
@@ -0,0 +1,44 @@
+// bookmarks.test.js - Validation of imported bookmark files
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeBookmarkImport } = require('../js/bookmarks.js');
+
+test('normalizeBookmarkImport keeps valid bookmarks and cleans optional fields', () => {
+    const { bookmarks, errors } = normalizeBookmarkImport({
+        version: 1,
+        bookmarks: [
+            { name: '  Entrance ', scene: 'main', position: [0, 1.6, 0], target: [0, 1.6, 1], fov: 60,
+              thumbnail: 'data:image/jpeg;base64,AAAA', created: 1700000000000 },
+            { name: '', scene: '', position: [1, 2, 3], target: [4, 5, 6], fov: 500, thumbnail: 'https://example.com/x.jpg' }
+        ]
+    });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(bookmarks[0], {
+        name: 'Entrance', scene: 'main', position: [0, 1.6, 0], target: [0, 1.6, 1], fov: 60,
+        thumbnail: 'data:image/jpeg;base64,AAAA', created: 1700000000000
+    });
+    assert.equal(bookmarks[1].name, 'Bookmark 2');
+    assert.equal(bookmarks[1].scene, null);
+    assert.equal(bookmarks[1].fov, null);
+    assert.equal(bookmarks[1].thumbnail, null); // Only inline images, never remote URLs
+    assert.equal(typeof bookmarks[1].created, 'number');
+});
+
+test('normalizeBookmarkImport accepts a bare array and reports invalid items', () => {
+    const { bookmarks, errors } = normalizeBookmarkImport([
+        { position: [0, 0, 0], target: [0, 0, 1] },
+        { position: [0, 0], target: [0, 0, 1] },
+        null
+    ]);
+    assert.equal(bookmarks.length, 1);
+    assert.deepEqual(errors, [
+        "bookmarks[1]: needs 'position' and 'target' arrays of 3 numbers",
+        "bookmarks[2]: needs 'position' and 'target' arrays of 3 numbers"
+    ]);
+});
+
+test('normalizeBookmarkImport rejects files without bookmarks', () => {
+    assert.throws(() => normalizeBookmarkImport({}), /'bookmarks' array/);
+    assert.throws(() => normalizeBookmarkImport(null), /'bookmarks' array/);
+});
@@ -0,0 +1,73 @@
+// collider-generator.test.js - Splat position extraction, floor fitting and the voxel collider
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractSplatPositions, buildVoxelCollider, fitFloorPlane } = require('../js/collider-generator.js');
+
+// .splat rows (32 bytes: xyz float32, scale, rgba bytes at 24) for [x, y, z, alpha] entries
+function createSplatRows(points) {
+    const buffer = new ArrayBuffer(points.length * 32);
+    const floats = new Float32Array(buffer);
+    const bytes = new Uint8Array(buffer);
+    points.forEach(([x, y, z, alpha], row) => {
+        floats.set([x, y, z], row * 8);
+        bytes[row * 32 + 27] = alpha;
+    });
+    return buffer;
+}
+
+// Deterministic 8 x 8 m room: a floor at y = 0 and walls along the x = 0 and x = 8 sides
+function createRoomPositions() {
+    const points = [];
+    for (let x = 0; x <= 8; x += 0.1) {
+        for (let z = 0; z <= 8; z += 0.1) points.push(x, 0, z);
+    }
+    for (let y = 0.1; y <= 2.5; y += 0.1) {
+        for (let z = 0; z <= 8; z += 0.1) points.push(0, y, z, 8, y, z);
+    }
+    return new Float32Array(points);
+}
+
+test('extractSplatPositions skips transparent and non-finite splats', () => {
+    const buffer = createSplatRows([[1, 2, 3, 255], [4, 5, 6, 10], [NaN, 0, 0, 255], [7, 8, 9, 200]]);
+    assert.deepEqual(Array.from(extractSplatPositions(buffer, 0.3)), [1, 2, 3, 7, 8, 9]);
+});
+
+test('extractSplatPositions applies a Babylon-layout matrix', () => {
+    const buffer = createSplatRows([[1, 2, 3, 255]]);
+    // Mirror on Y, then translate by (10, 0, -1)
+    const transform = [1, 0, 0, 0, 0, -1, 0, 0, 0, 0, 1, 0, 10, 0, -1, 1];
+    assert.deepEqual(Array.from(extractSplatPositions(buffer, 0, transform)), [11, -2, 2]);
+});
+
+test('fitFloorPlane finds a tilted floor and ignores a table above it', () => {
+    const points = [];
+    for (let x = 0; x < 20; x++) {
+        for (let z = 0; z < 20; z++) points.push([x * 0.5, 0.05 * x * 0.5 + 1, z * 0.5]);
+    }
+    for (let i = 0; i < 50; i++) points.push([i % 5, 2, Math.floor(i / 5)]);
+
+    const plane = fitFloorPlane(points, 0.05, 15, 200);
+    assert.ok(Math.abs(plane.a - 0.05) < 1e-6);
+    assert.ok(Math.abs(plane.b) < 1e-6);
+    assert.ok(Math.abs(plane.c - 1) < 1e-6);
+    assert.ok(plane.inlierRatio > 0.85);
+});
+
+test('fitFloorPlane rejects too few points', () => {
+    assert.throws(() => fitFloorPlane([[0, 0, 0]], 0.05, 15, 10), /Not enough splat data/);
+});
+
+test('buildVoxelCollider builds floor and wall geometry for a room', () => {
+    const result = buildVoxelCollider(createRoomPositions(), { VOXEL_SIZE: 0.5 });
+    assert.ok(Math.abs(result.floorPlane.c) < 0.3);
+    assert.ok(result.stats.floorCells > 0);
+    assert.ok(result.stats.wallCells > 0);
+    assert.equal(result.indices.length, result.stats.triangles * 3);
+    assert.equal(result.positions.length % 3, 0);
+    const maxIndex = result.indices.reduce((max, index) => Math.max(max, index), 0);
+    assert.ok(maxIndex < result.positions.length / 3);
+});
+
+test('buildVoxelCollider refuses tiny splat clouds', () => {
+    assert.throws(() => buildVoxelCollider(new Float32Array(30)), /Too few splats/);
+});
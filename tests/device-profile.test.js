@@ -0,0 +1,54 @@
+// device-profile.test.js - Device tier classification from static signals and the splat benchmark
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { classifyDeviceTier } = require('../js/device-profile.js');
+
+// Same thresholds as CONFIG.DEVICE_PROFILE
+const SETTINGS = {
+    LOW_END_MEMORY_GB: 2, LOW_END_CPU_CORES: 4, LOW_END_SCREEN_PIXELS: 1000000, MIN_TEXTURE_SIZE: 4096,
+    DESKTOP_MEMORY_GB: 4, DESKTOP_CPU_CORES: 2, SLOW_FRAME_MS: 25, FAST_FRAME_MS: 8
+};
+
+function createSignals(overrides = {}) {
+    return {
+        isMobile: false,
+        isLowEndUA: false,
+        deviceMemoryGB: 8,
+        cpuCores: 8,
+        screenPixels: 1920 * 1080,
+        gpuFrameTimeMs: null,
+        ...overrides,
+        webgl: { version: 2, maxTextureSize: 16384, renderer: 'NVIDIA GeForce RTX 3070', ...overrides.webgl }
+    };
+}
+
+test('classifyDeviceTier puts dedicated and integrated desktop GPUs apart', () => {
+    assert.equal(classifyDeviceTier(createSignals(), SETTINGS), 'HIGH_END');
+    assert.equal(classifyDeviceTier(createSignals({ webgl: { renderer: 'Intel(R) UHD Graphics 620' } }), SETTINGS), 'DESKTOP');
+    assert.equal(classifyDeviceTier(createSignals({ deviceMemoryGB: 4 }), SETTINGS), 'DESKTOP');
+});
+
+test('classifyDeviceTier treats software rendering and missing WebGL as LOW_END', () => {
+    assert.equal(classifyDeviceTier(createSignals({ webgl: { renderer: 'Google SwiftShader' } }), SETTINGS), 'LOW_END');
+    assert.equal(classifyDeviceTier(createSignals({ webgl: { version: 0, renderer: '' } }), SETTINGS), 'LOW_END');
+});
+
+test('classifyDeviceTier sorts phones by memory, cores, texture size and user agent', () => {
+    const phone = { isMobile: true, deviceMemoryGB: 8, cpuCores: 8, screenPixels: 1080 * 2400 };
+    assert.equal(classifyDeviceTier(createSignals(phone), SETTINGS), 'MOBILE');
+    assert.equal(classifyDeviceTier(createSignals({ ...phone, deviceMemoryGB: 2 }), SETTINGS), 'LOW_END');
+    assert.equal(classifyDeviceTier(createSignals({ ...phone, cpuCores: 4 }), SETTINGS), 'LOW_END');
+    assert.equal(classifyDeviceTier(createSignals({ ...phone, webgl: { maxTextureSize: 2048 } }), SETTINGS), 'LOW_END');
+    assert.equal(classifyDeviceTier(createSignals({ ...phone, isLowEndUA: true }), SETTINGS), 'LOW_END');
+    // Unknown memory/cores (Safari) don't count against a phone
+    assert.equal(classifyDeviceTier(createSignals({ ...phone, deviceMemoryGB: null, cpuCores: null }), SETTINGS), 'MOBILE');
+});
+
+test('classifyDeviceTier lets the splat benchmark move the tier', () => {
+    assert.equal(classifyDeviceTier(createSignals({ gpuFrameTimeMs: 40 }), SETTINGS), 'DESKTOP');
+    assert.equal(classifyDeviceTier(createSignals({ isMobile: true, gpuFrameTimeMs: 40 }), SETTINGS), 'LOW_END');
+    assert.equal(classifyDeviceTier(createSignals({ deviceMemoryGB: 4, gpuFrameTimeMs: 5 }), SETTINGS), 'HIGH_END');
+    // Fast phones stay MOBILE: only DESKTOP is promoted
+    assert.equal(classifyDeviceTier(createSignals({ isMobile: true, gpuFrameTimeMs: 5 }), SETTINGS), 'MOBILE');
+    assert.equal(classifyDeviceTier(createSignals({ webgl: { renderer: 'llvmpipe' }, gpuFrameTimeMs: 40 }), SETTINGS), 'LOW_END');
+});
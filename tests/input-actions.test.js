@@ -0,0 +1,41 @@
+// input-actions.test.js - Frame-rate independent velocity model and move vector clamping
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { stepInputVelocity, clampMoveVector, createInputActions } = require('../js/input-actions.js');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('stepInputVelocity accelerates by at most acceleration * deltaTime', () => {
+    const velocity = stepInputVelocity({ x: 0, z: 0 }, 3, 4, 10, 20, 0.1); // Target speed 5 m/s
+    close(velocity.x, 0.6);
+    close(velocity.z, 0.8);
+});
+
+test('stepInputVelocity reaches the target without overshooting', () => {
+    const velocity = stepInputVelocity({ x: 1.9, z: 0 }, 2, 0, 10, 20, 0.1);
+    assert.deepEqual(velocity, { x: 2, z: 0 });
+});
+
+test('stepInputVelocity brakes with the deceleration rate', () => {
+    const velocity = stepInputVelocity({ x: 4, z: 0 }, 0, 0, 10, 20, 0.05);
+    close(velocity.x, 3);
+    close(velocity.z, 0);
+});
+
+test('stepInputVelocity gives the same result for one long or several short frames', () => {
+    const once = stepInputVelocity({ x: 0, z: 0 }, 0, 3, 8, 8, 0.3);
+    const stepped = { x: 0, z: 0 };
+    for (let i = 0; i < 3; i++) stepInputVelocity(stepped, 0, 3, 8, 8, 0.1);
+    close(once.z, stepped.z);
+});
+
+test('clampMoveVector limits diagonals to unit length and keeps short vectors', () => {
+    const diagonal = clampMoveVector({ x: 1, y: 1 });
+    close(diagonal.x, Math.SQRT1_2);
+    close(diagonal.y, Math.SQRT1_2);
+    assert.deepEqual(clampMoveVector({ x: 0.3, y: -0.4 }), { x: 0.3, y: -0.4 });
+});
+
+test('createInputActions starts idle', () => {
+    assert.deepEqual(createInputActions(), { move: { x: 0, y: 0 }, look: { x: 0, y: 0 }, sprint: false, interact: false });
+});
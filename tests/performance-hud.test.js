@@ -0,0 +1,26 @@
+// performance-hud.test.js - CSV export of HUD recordings
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildHudRecordingCsv, HUD_CSV_COLUMNS } = require('../js/performance-hud.js');
+
+test('buildHudRecordingCsv writes one row per sample in column order', () => {
+    const csv = buildHudRecordingCsv({
+        samples: [
+            { t: 0, frameMs: 16.66666, renderMs: 4.2, drawCalls: 12, activeSplats: 1200000, pixelRatio: 1, heapMB: 310.1234, resolution: 'Manual FULL' },
+            { t: 17, frameMs: 33.3, renderMs: null, drawCalls: null, activeSplats: null, pixelRatio: 0.75, heapMB: null, resolution: 'Dynamic (moving)' }
+        ]
+    });
+    assert.equal(csv,
+        `${HUD_CSV_COLUMNS.join(',')}\n` +
+        '0,16.667,4.2,12,1200000,1,310.123,"Manual FULL"\n' +
+        '17,33.3,,,,0.75,,"Dynamic (moving)"\n');
+});
+
+test('buildHudRecordingCsv quotes text cells and escapes quotes', () => {
+    const csv = buildHudRecordingCsv({ samples: [{ t: 1, resolution: 'Target "60" FPS, capped' }] });
+    assert.equal(csv.split('\n')[1], '1,,,,,,,"Target ""60"" FPS, capped"');
+});
+
+test('buildHudRecordingCsv handles an empty recording', () => {
+    assert.equal(buildHudRecordingCsv({ samples: [] }), `${HUD_CSV_COLUMNS.join(',')}\n`);
+});
@@ -0,0 +1,13 @@
+// setup.js - Globals the browser scripts expect (index.html loads Babylon and config.js before them)
+global.BABYLON = require('babylonjs');
+global.CONFIG = require('../js/config.js');
+
+// Headless engine + scene with an active camera
+function createNullScene() {
+    const engine = new BABYLON.NullEngine();
+    const scene = new BABYLON.Scene(engine);
+    new BABYLON.UniversalCamera('camera', new BABYLON.Vector3(0, 1.6, 0), scene);
+    return { engine, scene };
+}
+
+module.exports = { createNullScene };
@@ -0,0 +1,95 @@
+// splat-formats.test.js - Splat budget decimation and the chunked .ksplat/.spz decoders
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SPLAT_FORMATS, SPLAT_ROW_BYTES, decimateSplats, decodeSplatBuffer } = require('../js/splat-formats.js');
+
+// .splat rows whose importance grows with the index (scale = index + 1, full opacity)
+function createSplatRows(count) {
+    const buffer = new ArrayBuffer(count * SPLAT_ROW_BYTES);
+    const floats = new Float32Array(buffer);
+    const bytes = new Uint8Array(buffer);
+    for (let i = 0; i < count; i++) {
+        floats[i * 8] = i; // x, to identify the row afterwards
+        floats[i * 8 + 3] = floats[i * 8 + 4] = floats[i * 8 + 5] = i + 1;
+        bytes[i * SPLAT_ROW_BYTES + 27] = 255;
+    }
+    return buffer;
+}
+
+test('decimateSplats keeps the most important rows in their original order', () => {
+    const result = decimateSplats(createSplatRows(10), 4);
+    assert.equal(result.splatCount, 4);
+    const floats = new Float32Array(result.data);
+    assert.deepEqual([0, 1, 2, 3].map(i => floats[i * 8]), [6, 7, 8, 9]);
+});
+
+test('decimateSplats reads padded SH textures with a 16-byte stride', () => {
+    const count = 10;
+    // Padded like Babylon's converter: whole texture rows, far more than count * 16 bytes
+    const sh = [new Uint8Array(64 * 16), new Uint8Array(64 * 16)];
+    sh.forEach((texture, degree) => {
+        for (let i = 0; i < count; i++) texture.fill(i + degree * 100, i * 16, (i + 1) * 16);
+    });
+
+    const result = decimateSplats(createSplatRows(count), 4, sh);
+    assert.equal(result.sh.length, 2);
+    result.sh.forEach((texture, degree) => {
+        assert.equal(texture.byteLength, 4 * 16);
+        assert.deepEqual([0, 1, 2, 3].map(i => texture[i * 16]), [6, 7, 8, 9].map(i => i + degree * 100));
+    });
+});
+
+test('decimateSplats returns the input untouched within the budget', () => {
+    const data = createSplatRows(3);
+    const result = decimateSplats(data, 5);
+    assert.equal(result.data, data);
+    assert.equal(result.splatCount, 3);
+});
+
+// Uncompressed (level 0) .ksplat with one section and no SH
+function createKSplat(count) {
+    const bytesPerSplat = 44;
+    const buffer = new ArrayBuffer(4096 + 1024 + count * bytesPerSplat);
+    const view = new DataView(buffer);
+    view.setUint32(4, 1, true); // maxSectionCount
+    view.setUint32(8, 1, true); // sectionCount
+    view.setUint32(16, count, true);
+    view.setUint32(4096, count, true); // sectionSplatCount
+    view.setUint32(4096 + 4, count, true); // sectionMaxSplatCount
+    for (let i = 0; i < count; i++) {
+        const base = 4096 + 1024 + i * bytesPerSplat;
+        view.setFloat32(base, i, true); // x
+        view.setFloat32(base + 24, 1, true); // rotation w
+        view.setUint8(base + 43, 255); // alpha
+    }
+    return buffer;
+}
+
+// Gzipped .spz v2 with all-zero splat data
+function createSpz(count) {
+    const raw = Buffer.alloc(16 + count * (9 + 1 + 3 + 3 + 3));
+    raw.writeUInt32LE(0x5053474e, 0);
+    raw.writeUInt32LE(2, 4);
+    raw.writeUInt32LE(count, 8);
+    raw.writeUInt8(12, 13); // fractionalBits
+    const gzipped = require('node:zlib').gzipSync(raw);
+    return gzipped.buffer.slice(gzipped.byteOffset, gzipped.byteOffset + gzipped.byteLength);
+}
+
+for (const [format, create] of [[SPLAT_FORMATS.KSPLAT, createKSplat], [SPLAT_FORMATS.SPZ, createSpz]]) {
+    test(`decodeSplatBuffer reports .${format} progress per chunk`, async () => {
+        const fractions = [];
+        const rows = await decodeSplatBuffer(format, create(5), { chunkSplats: 2, onProgress: fraction => fractions.push(fraction) });
+        assert.equal(rows.byteLength, 5 * SPLAT_ROW_BYTES);
+        assert.deepEqual(fractions, [0.4, 0.8, 1]);
+    });
+
+    test(`decodeSplatBuffer stops a .${format} decode between chunks when cancelled`, async () => {
+        let chunks = 0;
+        await assert.rejects(
+            decodeSplatBuffer(format, create(5), { chunkSplats: 2, onProgress: () => chunks++, isCancelled: () => chunks > 0 }),
+            { name: 'AbortError' }
+        );
+        assert.equal(chunks, 1);
+    });
+}
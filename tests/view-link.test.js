@@ -0,0 +1,39 @@
+// view-link.test.js - Parsing and formatting of the shareable view hash
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseViewLink, formatViewLink } = require('../js/view-link.js');
+
+test('parseViewLink reads every field of a full link', () => {
+    assert.deepEqual(parseViewLink('#scene=main&pos=1.25,1.70,-4.50&rot=-2.10,91.35&fov=75&art=Statue01'), {
+        scene: 'main',
+        position: [1.25, 1.7, -4.5],
+        rotation: [-2.1, 91.35],
+        fov: 75,
+        art: 'Statue01'
+    });
+});
+
+test('parseViewLink ignores malformed values and empty hashes', () => {
+    assert.equal(parseViewLink(''), null);
+    assert.equal(parseViewLink(undefined), null);
+    assert.equal(parseViewLink('#fov=60'), null); // Nothing to navigate to
+    assert.equal(parseViewLink('#pos=1,2'), null);
+
+    const view = parseViewLink('#pos=1,2,3&rot=1,x&fov=200');
+    assert.deepEqual(view.position, [1, 2, 3]);
+    assert.equal(view.rotation, null);
+    assert.equal(view.fov, null);
+});
+
+test('formatViewLink round-trips through parseViewLink', () => {
+    const view = { scene: 'east wing', position: [1.234, 1.7, -4.5], rotation: [-2.1, 91.349], fov: 75, art: 'Statue/01' };
+    const hash = formatViewLink(view, 2);
+    assert.equal(hash, '#scene=east%20wing&pos=1.23,1.70,-4.50&rot=-2.10,91.35&fov=75&art=Statue%2F01');
+    assert.deepEqual(parseViewLink(hash), {
+        scene: 'east wing', position: [1.23, 1.7, -4.5], rotation: [-2.1, 91.35], fov: 75, art: 'Statue/01'
+    });
+});
+
+test('formatViewLink leaves out missing fields', () => {
+    assert.equal(formatViewLink({ scene: 'main', position: null, rotation: null, fov: null, art: null }), '#scene=main');
+});
@@ -0,0 +1,86 @@
+// xr.test.js - WebXR session state machine, teleport floor extraction and initXR() without WebXR
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createNullScene } = require('./setup.js');
+const {
+    createXRSessionState,
+    nextXRSessionState,
+    getXRSessionEvent,
+    extractWalkableTriangles,
+    initXR
+} = require('../js/xr.js');
+
+function runEvents(events) {
+    return events.reduce((state, event) => nextXRSessionState(state, event), createXRSessionState());
+}
+
+test('session goes through a full enter/exit cycle back to ready', () => {
+    let state = createXRSessionState();
+    const visited = [state.status];
+    ['check', 'supported', 'enter', 'in-xr', 'exiting', 'not-in-xr'].forEach(event => {
+        state = nextXRSessionState(state, event);
+        visited.push(state.status);
+    });
+    assert.deepEqual(visited, ['unavailable', 'checking', 'ready', 'entering', 'in-xr', 'exiting', 'ready']);
+});
+
+test('unsupported check ends unavailable', () => {
+    assert.equal(runEvents(['check', 'unsupported']).status, 'unavailable');
+});
+
+test('failed enter returns to ready with the error', () => {
+    const state = nextXRSessionState(runEvents(['check', 'supported', 'enter']), 'failed', 'NotAllowedError');
+    assert.equal(state.status, 'ready');
+    assert.equal(state.error, 'NotAllowedError');
+    assert.equal(nextXRSessionState(state, 'enter').error, null);
+});
+
+test('invalid events keep the same state object', () => {
+    const ready = runEvents(['check', 'supported']);
+    assert.equal(nextXRSessionState(ready, 'in-xr'), ready);
+    assert.equal(nextXRSessionState(ready, 'exiting'), ready);
+    const unavailable = createXRSessionState();
+    assert.equal(nextXRSessionState(unavailable, 'enter'), unavailable);
+});
+
+test('Babylon WebXRState values map to session events', () => {
+    const { WebXRState } = BABYLON;
+    assert.equal(getXRSessionEvent(WebXRState.ENTERING_XR, WebXRState), 'entering');
+    assert.equal(getXRSessionEvent(WebXRState.IN_XR, WebXRState), 'in-xr');
+    assert.equal(getXRSessionEvent(WebXRState.EXITING_XR, WebXRState), 'exiting');
+    assert.equal(getXRSessionEvent(WebXRState.NOT_IN_XR, WebXRState), 'not-in-xr');
+    assert.equal(getXRSessionEvent(-1, WebXRState), null);
+});
+
+test('extractWalkableTriangles keeps floors and gentle slopes, drops walls', () => {
+    const positions = [
+        // 0-2: floor (counter-clockwise from above)
+        0, 0, 0, 1, 0, 0, 0, 0, 1,
+        // 3-5: wall in the XY plane
+        0, 0, 0, 1, 0, 0, 0, 1, 0,
+        // 6-8: 30 degree ramp
+        0, 0, 0, 0, 0, 1, 1, Math.tan(Math.PI / 6), 0,
+        // 9-11: 60 degree slope
+        0, 0, 0, 0, 0, 1, 1, Math.tan(Math.PI / 3), 0
+    ];
+    const indices = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, /* floor, opposite winding */ 0, 2, 1];
+    assert.deepEqual(extractWalkableTriangles(positions, indices, 45), [0, 1, 2, 6, 7, 8, 0, 2, 1]);
+    assert.deepEqual(extractWalkableTriangles(positions, indices, 0.5), [0, 1, 2, 0, 2, 1]);
+});
+
+test('extractWalkableTriangles skips degenerate triangles', () => {
+    const positions = [0, 0, 0, 1, 0, 0, 2, 0, 0];
+    assert.deepEqual(extractWalkableTriangles(positions, [0, 1, 2], 45), []);
+});
+
+test('initXR on a NullEngine scene ends unavailable', async () => {
+    const { engine, scene } = createNullScene();
+    try {
+        const state = await initXR(scene);
+        assert.equal(state.status, 'unavailable');
+        assert.equal(state.error, null);
+    } finally {
+        scene.dispose();
+        engine.dispose();
+    }
+});